@@ -1,5 +1,12 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import { apiFetch, apiBase } from "./api";
+import AuditLog from "./AuditLog.jsx";
+import CategorySettings from "./CategorySettings.jsx";
+import DraftEditor from "./DraftEditor.jsx";
+import KnowledgeBase from "./KnowledgeBase.jsx";
+import SlaSettings from "./SlaSettings.jsx";
+import Team from "./Team.jsx";
+import Templates from "./Templates.jsx";
+import { GMAIL_RECONNECT_REQUIRED, RATE_LIMITED, apiFetch, apiBase, apiUrl, loadCsrfToken } from "./api";
 
 function Pill({ tone = "neutral", children, title }) {
   return (
@@ -25,7 +32,12 @@ function urgencyIcon(u) {
   return "•";
 }
 
-function categoryTone(cat) {
+// Configured categories (settings) carry their own color/icon; the keyword
+// heuristics only cover categories that are no longer in the list.
+function categoryTone(cat, categories = []) {
+  const configured = categories.find((c) => c.name === cat);
+  if (configured) return configured.color;
+
   const x = String(cat || "").toUpperCase();
   if (x.includes("FREEZE")) return "info";
   if (x.includes("CANCEL")) return "danger";
@@ -35,7 +47,10 @@ function categoryTone(cat) {
   return "neutral";
 }
 
-function categoryIcon(cat) {
+function categoryIcon(cat, categories = []) {
+  const configured = categories.find((c) => c.name === cat);
+  if (configured) return configured.icon;
+
   const x = String(cat || "").toUpperCase();
   if (x.includes("FREEZE")) return "🧊";
   if (x.includes("CANCEL")) return "🛑";
@@ -60,42 +75,30 @@ function Badge({ children }) {
   return <span className="badge">{children}</span>;
 }
 
+function formatBytes(n) {
+  if (typeof n !== "number") return "";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function percent(x) {
   if (typeof x !== "number") return "";
   return `${Math.round(x * 100)}%`;
 }
 
+// The server already turns HTML mail into plain text (see server/htmlToText.js);
+// this only tidies what is left of older stored emails.
 function cleanForDisplay(text) {
   if (!text) return "";
 
-  let t = String(text);
-
-  // Remove CSS blocks often appearing in marketing emails
-  t = t.replace(/(^|\n)\s*body\s*\{[\s\S]*?\}\s*(?=\n|$)/gi, "\n");
-  t = t.replace(/(^|\n)\s*@media\s*[\s\S]*?\}\s*(?=\n|$)/gi, "\n");
-
-  // Remove super long tracking links (example: t1.marketing.ryanair...)
-  t = t
+  return String(text)
     .split("\n")
-    .filter((line) => {
-      const s = line.trim();
-      if (!s) return true;
-
-      // Drop lines that are basically only a huge URL
-      const isMostlyUrl = /^https?:\/\/\S{60,}$/i.test(s);
-      if (isMostlyUrl) return false;
-
-      // Drop known tracker domains (adjust list as you see them)
-      if (/t1\.marketing\.ryanairmail\.com/i.test(s)) return false;
-
-      return true;
-    })
-    .join("\n");
-
-  // Collapse crazy whitespace
-  t = t.replace(/\n{3,}/g, "\n\n").trim();
-
-  return t;
+    // Drop lines that are basically only a huge URL
+    .filter((line) => !/^https?:\/\/\S{60,}$/i.test(line.trim()))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
 }
 
 // Linkify URLs in text, but truncate them if they're super long
@@ -145,6 +148,240 @@ function MessageBody({ text }) {
 }
 
 
+// Live progress of a background sync job (see /api/sync/jobs/:id/events)
+function SyncProgress({ job, onCancel }) {
+  const c = job.counts || {};
+  const total = job.total ?? 0;
+  const pct = total ? Math.round(((c.processed || 0) / total) * 100) : 0;
+
+  return (
+    <div className="card">
+      <div className="row">
+        <div className="small">
+          <b>{job.cancelRequested ? "Cancelling…" : "Syncing inbox…"}</b>{" "}
+          {job.total === null ? "checking for changes" : `${c.processed || 0} / ${total}`}
+          {job.mode ? ` (${job.mode})` : ""}
+        </div>
+        <button onClick={onCancel} disabled={job.cancelRequested}>
+          Cancel
+        </button>
+      </div>
+
+      <div className="progress" title={`${pct}%`}>
+        <div className="progress__bar" style={{ width: `${pct}%` }} />
+      </div>
+
+      <div className="small" style={{ marginTop: 8 }}>
+        Fetched {c.fetched || 0} · Updated {c.updated || 0} · Summarized {c.summarized || 0} · Triaged{" "}
+        {c.triaged || 0}
+        {c.aiErrors ? ` · Errors ${c.aiErrors}` : ""}
+      </div>
+
+      {job.current?.subject ? (
+        <div
+          className="small"
+          style={{ marginTop: 4, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+        >
+          Now: {job.current.subject}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// What triage read out of the email: member, IDs, dates, amounts, classes, phone numbers
+function EntityDetails({ entities }) {
+  if (!entities) return null;
+  const { member_name, ids = [], dates = [], amounts = [], classes = [], phones = [] } = entities;
+  const rows = [
+    ["Member", member_name],
+    ["IDs", ids.map((x) => `${x.value} (${x.kind})`).join(", ")],
+    ["Dates", dates.map((d) => `${d.end ? `${d.start} → ${d.end}` : d.start}${d.about ? ` (${d.about})` : ""}`).join(", ")],
+    ["Amounts", amounts.map((a) => (a.currency ? `${a.value.toFixed(2)} ${a.currency}` : String(a.value))).join(", ")],
+    ["Classes", classes.join(", ")],
+    ["Phones", phones.join(", ")]
+  ].filter(([, value]) => value);
+  if (!rows.length) return null;
+
+  return (
+    <div className="card" style={{ marginTop: 10 }}>
+      <div style={{ fontWeight: 900, marginBottom: 6 }}>Details</div>
+      {rows.map(([label, value]) => (
+        <div key={label} className="small">
+          <b>{label}:</b> {value}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Staff corrections of the AI triage. The override, where set, is what the inbox shows;
+// saving one also teaches triage (past corrections become few-shot examples).
+function TriageCorrection({ email, categories, onSaved }) {
+  const gmailId = email.gmailId || email.id;
+  const [open, setOpen] = useState(false);
+  const [category, setCategory] = useState(emailCategory(email) || categories[0]?.name || "");
+  const [urgency, setUrgency] = useState(emailUrgency(email) || "MEDIUM");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  if (!email.ai) return null;
+
+  async function save(reset) {
+    setBusy(true);
+    setMessage("");
+    try {
+      const { override, dueAt, slaHours } = await apiFetch(`/api/emails/${gmailId}/override`, {
+        method: reset ? "DELETE" : "PUT",
+        body: reset ? undefined : JSON.stringify({ category, urgency }),
+        timeoutMs: 15000
+      });
+      onSaved({ override, dueAt, slaHours });
+      if (reset) {
+        setCategory(email.ai.category || categories[0]?.name || "");
+        setUrgency(email.ai.urgency || "MEDIUM");
+      }
+      setOpen(false);
+    } catch (e) {
+      setMessage(`Correction error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="small" style={{ textAlign: "right" }}>
+      {email.override ? (
+        <div>
+          {email.ai.category ? "Corrected" : "Triaged manually"}
+          {email.override.by ? ` by ${email.override.by}` : ""}
+          {email.ai.category ? ` · AI said ${prettyLabel(email.ai.category)} / ${prettyLabel(email.ai.urgency)}` : ""}
+        </div>
+      ) : null}
+      {email.ai.examples?.length ? <div>Triage used {email.ai.examples.length} past correction(s) as examples</div> : null}
+      {open ? (
+        <div style={{ display: "flex", gap: 6, marginTop: 6, flexWrap: "wrap", justifyContent: "flex-end" }}>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} disabled={busy}>
+            {categories.map((c) => (
+              <option key={c.name} value={c.name}>
+                {c.icon} {prettyLabel(c.name)}
+              </option>
+            ))}
+          </select>
+          <select value={urgency} onChange={(e) => setUrgency(e.target.value)} disabled={busy}>
+            {["HIGH", "MEDIUM", "LOW"].map((u) => (
+              <option key={u} value={u}>
+                {prettyLabel(u)}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => save(false)} disabled={busy}>
+            Save
+          </button>
+          {email.override ? (
+            <button onClick={() => save(true)} disabled={busy}>
+              Reset to AI
+            </button>
+          ) : null}
+          <button onClick={() => setOpen(false)} disabled={busy}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button style={{ marginTop: 4 }} onClick={() => setOpen(true)}>
+          {needsManualTriage(email) ? "🛠 Triage manually" : "✏️ Correct category / urgency"}
+        </button>
+      )}
+      {message ? <div style={{ marginTop: 4 }}>{message}</div> : null}
+    </div>
+  );
+}
+
+// Triage failed (or was cut off) and staff have not classified the email themselves yet
+function needsManualTriage(e) {
+  return Boolean(e?.ai?.needsManualTriage && !e.override);
+}
+
+// Category / urgency shown for an email: the staff override if any, else the AI triage
+function emailCategory(e) {
+  return e?.override?.category || e?.ai?.category || "";
+}
+
+function emailUrgency(e) {
+  return e?.override?.urgency || e?.ai?.urgency || "";
+}
+
+// Workflow states (server/workflow.js) in tab order; "UNREAD" is the plain unread inbox in any state
+const STATE_TABS = [
+  { state: "NEW", label: "New" },
+  { state: "IN_PROGRESS", label: "In progress" },
+  { state: "WAITING_ON_MEMBER", label: "Waiting on member" },
+  { state: "RESOLVED", label: "Resolved" },
+  { state: "UNREAD", label: "Unread" }
+];
+
+// Button labels for moving an email to a state
+const STATE_ACTIONS = {
+  NEW: "↩ Back to new",
+  IN_PROGRESS: "▶ Start / reopen",
+  WAITING_ON_MEMBER: "⏸ Waiting on member",
+  RESOLVED: "✔ Resolve"
+};
+
+function emailState(e) {
+  return e?.state || "NEW";
+}
+
+// Workspace roles, most powerful first (server/workspaces.js): hasRole("admin", "agent") -> true
+const ROLES = ["owner", "admin", "agent", "readonly"];
+
+function hasRole(role, min) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank <= ROLES.indexOf(min);
+}
+
+// Inbox filter on the assignee (GET /api/emails?assigned=me|none)
+const ASSIGNED_FILTERS = [
+  { value: "ALL", label: "Everyone" },
+  { value: "me", label: "Assigned to me" },
+  { value: "none", label: "Unassigned" }
+];
+
+// "1h 20m" / "2d 3h"
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(Math.abs(ms) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// SLA badge of an email: countdown to dueAt, overdue, or how the reply did against it (null without an SLA)
+function slaBadge(e, now) {
+  if (!e?.dueAt) return null;
+  const due = new Date(e.dueAt).toLocaleString();
+
+  if (emailState(e) === "RESOLVED" && e.reply?.status !== "SENT") return null;
+  if (e.reply?.status === "SENT") {
+    const late = e.reply.sentAt > e.dueAt;
+    return { tone: late ? "warn" : "ok", text: late ? "⏱ Answered late" : "✅ Answered in time", title: `Due ${due}` };
+  }
+
+  const left = e.dueAt - now;
+  if (left < 0) return { tone: "danger", text: `⏰ Overdue ${formatDuration(left)}`, title: `Was due ${due}` };
+  return { tone: left < 60 * 60000 ? "warn" : "neutral", text: `⏳ Due in ${formatDuration(left)}`, title: `Due ${due} (${e.slaHours} business h)` };
+}
+
+function SlaPill({ email, now }) {
+  const badge = slaBadge(email, now);
+  if (!badge) return null;
+  return (
+    <Pill tone={badge.tone} title={badge.title}>
+      {badge.text}
+    </Pill>
+  );
+}
+
 // Ensure UI title is 2-3 words max (defensive)
 function shortTitle(t) {
   if (!t) return "";
@@ -176,6 +413,17 @@ export default function App() {
   const [me, setMe] = useState(null);
   const [emails, setEmails] = useState([]);
   const [selected, setSelected] = useState(null);
+  const [transitions, setTransitions] = useState([]); // states the selected email can move to
+
+  // workflow tab of the inbox and how many emails each state has; the ref serves callbacks of older renders
+  const [stateTab, setStateTab] = useState("NEW");
+  const [stateCounts, setStateCounts] = useState(null);
+  const [scanLimit, setScanLimit] = useState(null); // emails looked at when older ones were left out
+  const stateTabRef = useRef(stateTab);
+  const [assigned, setAssigned] = useState("ALL"); // ASSIGNED_FILTERS value
+  const assignedRef = useRef(assigned);
+  const [members, setMembers] = useState([]); // workspace members, for assignment
+  const [gmailConnected, setGmailConnected] = useState(true); // false after Google refused the stored tokens
   const [status, setStatus] = useState("");
   const [loading, setLoading] = useState(false);
 
@@ -184,35 +432,55 @@ export default function App() {
   const [filterCategory, setFilterCategory] = useState("ALL"); // e.g. BILLING_PAYMENT | ... | ALL
   const [sortBy, setSortBy] = useState("DATE_DESC");           // DATE_DESC, DATE_ASC, URGENCY_DESC, ...
 
+  // clock for the SLA countdowns
+  const [now, setNow] = useState(() => Date.now());
+
   const [deletingId, setDeletingId] = useState(null);
+  const [replyBusy, setReplyBusy] = useState(false);
+  const [draftText, setDraftText] = useState(""); // editable reply draft of the selected email
+
+  // live AI re-run of the selected email: { running, fields, draft, message } while streaming
+  const [live, setLive] = useState(null);
+  const liveRef = useRef(null);
+
+  // triage categories from settings; the "categories" / "knowledge" / "templates" / "sla" views replace the email panel
+  const [categories, setCategories] = useState([]);
+  const [view, setView] = useState("inbox");
+
+  // running background sync job (null when idle)
+  const [syncJob, setSyncJob] = useState(null);
 
 
   // for auto-scrolling to new emails or open email details
   const emailViewRef = useRef(null);
 
   // kept, but no longer shown in UI
-  const [health, setHealth] = useState({ ok: false, ollamaOk: null, model: null });
+  const [health, setHealth] = useState({ ok: false, llmOk: null, provider: null, model: null });
 
   // prevent repeated auto-syncs
   const [didInitialSync, setDidInitialSync] = useState(false);
 
   const authed = useMemo(() => !!me?.user, [me]);
+  const role = me?.workspace?.role || null;
+  const canWork = hasRole(role, "agent");
+  const isAdmin = hasRole(role, "admin");
 
   const urgencyOptions = useMemo(() => {
     // Show common choices even if missing in current batch
     return ["ALL", "CRITICAL", "HIGH", "MEDIUM", "LOW", "NONE"];
   }, []);
 
+  // "MANUAL" = emails flagged "needs manual triage"
   const categoryOptions = useMemo(() => {
-    const cats = emails.map((e) => e.ai?.category || "").filter(Boolean);
-    return ["ALL", ...uniqueSorted(cats)];
-  }, [emails]);
+    const cats = emails.map(emailCategory).filter(Boolean);
+    return ["ALL", "MANUAL", ...uniqueSorted([...categories.map((c) => c.name), ...cats])];
+  }, [emails, categories]);
 
   const visibleEmails = useMemo(() => {
     // 1) filter
     let list = emails.filter((e) => {
-      const u = String(e.ai?.urgency || "").toUpperCase();
-      const c = String(e.ai?.category || "").toUpperCase();
+      const u = emailUrgency(e).toUpperCase();
+      const c = emailCategory(e).toUpperCase();
 
       const urgencyOk =
         filterUrgency === "ALL"
@@ -224,21 +492,23 @@ export default function App() {
       const categoryOk =
         filterCategory === "ALL"
           ? true
-          : c === String(filterCategory).toUpperCase();
+          : filterCategory === "MANUAL"
+            ? needsManualTriage(e)
+            : c === String(filterCategory).toUpperCase();
 
       return urgencyOk && categoryOk;
     });
 
     // 2) sort
     const cmp = (a, b) => {
-      const au = urgencyRank(a.ai?.urgency);
-      const bu = urgencyRank(b.ai?.urgency);
+      const au = urgencyRank(emailUrgency(a));
+      const bu = urgencyRank(emailUrgency(b));
 
       const ad = safeTime(a.dateIso);
       const bd = safeTime(b.dateIso);
 
-      const ac = String(a.ai?.category || "");
-      const bc = String(b.ai?.category || "");
+      const ac = emailCategory(a);
+      const bc = emailCategory(b);
 
       const acon = typeof a.ai?.confidence === "number" ? a.ai.confidence : -1;
       const bcon = typeof b.ai?.confidence === "number" ? b.ai.confidence : -1;
@@ -246,6 +516,8 @@ export default function App() {
       const afrom = String(a.fromEmail || "");
       const bfrom = String(b.fromEmail || "");
 
+      const dueRank = (e) => (e.dueAt && e.reply?.status !== "SENT" && emailState(e) !== "RESOLVED" ? e.dueAt : Infinity);
+
       const asub = String(a.subject || "");
       const bsub = String(b.subject || "");
 
@@ -268,6 +540,10 @@ export default function App() {
         case "CONF_ASC":
           return acon - bcon || bd - ad;
 
+        case "DUE_ASC":
+          // emails without a due date (or already answered) go last
+          return dueRank(a) - dueRank(b) || bd - ad;
+
         case "FROM_ASC":
           return afrom.localeCompare(bfrom) || bd - ad;
         case "SUBJECT_ASC":
@@ -282,6 +558,11 @@ export default function App() {
     return [...list].sort(cmp);
   }, [emails, filterUrgency, filterCategory, sortBy]);
 
+  // SLA countdowns move on their own
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
 
   // scroll to top when selecting a new email
   useEffect(() => {
@@ -298,32 +579,218 @@ export default function App() {
       try {
         const data = await apiFetch("/api/me", { timeoutMs: 15000 });
         setMe(data);
+        setGmailConnected(data.gmailConnected !== false);
       } catch {
         setMe({ user: null });
       }
     })();
   }, []);
 
+  // any API call can find out that Gmail access was revoked (see api.js)
+  useEffect(() => {
+    const disconnected = () => setGmailConnected(false);
+    window.addEventListener("gmail-reconnect-required", disconnected);
+    return () => window.removeEventListener("gmail-reconnect-required", disconnected);
+  }, []);
+
   async function refreshHealth() {
     try {
       const h = await apiFetch("/api/health", { timeoutMs: 5000 });
       setHealth(h);
       return h;
     } catch {
-      const h = { ok: false, ollamaOk: false, model: null };
+      const h = { ok: false, llmOk: false, provider: null, model: null };
       setHealth(h);
       return h;
     }
   }
 
   async function refreshEmails() {
-    const data = await apiFetch("/api/emails?unread=true", { timeoutMs: 30000 });
+    const tab = stateTabRef.current;
+    const who = assignedRef.current;
+    const query = (tab === "UNREAD" ? "unread=true" : `unread=false&state=${tab}`) + (who === "ALL" ? "" : `&assigned=${who}`);
+    const data = await apiFetch(`/api/emails?${query}`, { timeoutMs: 30000 });
+    if (stateTabRef.current !== tab || assignedRef.current !== who) return; // filter changed while loading
     setEmails(data.emails || []);
+    if (data.counts) setStateCounts(data.counts);
+    setScanLimit(data.truncated ? data.scanned : null);
+  }
+
+  function selectStateTab(tab) {
+    stateTabRef.current = tab;
+    setStateTab(tab);
+    setEmails([]);
+    refreshEmails().catch((e) => setStatus(`Load error: ${e.message}`));
+  }
+
+  function selectAssigned(value) {
+    assignedRef.current = value;
+    setAssigned(value);
+    setEmails([]);
+    refreshEmails().catch((e) => setStatus(`Load error: ${e.message}`));
+  }
+
+  // Assigns the open email to a member (null unassigns)
+  async function assignEmail(userId) {
+    const gmailId = selected?.gmailId || selected?.id;
+    if (!gmailId) return;
+    try {
+      const { assignee } = await apiFetch(`/api/emails/${gmailId}/assignee`, {
+        method: "PUT",
+        body: JSON.stringify({ userId }),
+        timeoutMs: 15000
+      });
+      setSelected((prev) => (prev && (prev.gmailId || prev.id) === gmailId ? { ...prev, assignee } : prev));
+      setEmails((prev) => prev.map((e) => (e.gmailId === gmailId ? { ...e, assignee } : e)));
+      if (assignedRef.current !== "ALL") refreshEmails().catch(() => { });
+    } catch (e) {
+      setStatus(`Assign error: ${e.message}`);
+    }
+  }
+
+  // Makes another workspace active; everything on screen belongs to the old one, so start over
+  async function switchWorkspace(workspaceId) {
+    try {
+      await apiFetch(`/api/workspaces/${workspaceId}/switch`, { method: "POST", timeoutMs: 15000 });
+      window.location.reload();
+    } catch (e) {
+      setStatus(`Switch error: ${e.message}`);
+    }
+  }
+
+  // Moves the open email to another workflow state
+  async function moveEmail(state) {
+    const gmailId = selected?.gmailId || selected?.id;
+    if (!gmailId) return;
+    try {
+      const res = await apiFetch(`/api/emails/${gmailId}/state`, {
+        method: "POST",
+        body: JSON.stringify({ state }),
+        timeoutMs: 30000
+      });
+      const patch = { state: res.state, stateChangedAt: res.stateChangedAt, resolvedAt: res.resolvedAt, stateHistory: res.stateHistory };
+      setSelected((prev) => (prev && (prev.gmailId || prev.id) === gmailId ? { ...prev, ...patch } : prev));
+      setTransitions(res.transitions);
+      await refreshEmails();
+    } catch (e) {
+      setStatus(`State error: ${e.message}`);
+    }
+  }
+
+  // Follows a sync job until it finishes. Uses the SSE stream and falls back
+  // to polling if the stream drops (proxy timeout, server restart...).
+  function watchSyncJob(jobId) {
+    return new Promise((resolve) => {
+      const es = new EventSource(apiUrl(`/api/sync/jobs/${jobId}/events`), { withCredentials: true });
+
+      es.addEventListener("progress", (ev) => {
+        const msg = JSON.parse(ev.data);
+        setSyncJob(msg.job);
+        // show each email as soon as it is fully processed
+        if (msg.event?.stage === "done") refreshEmails().catch(() => { });
+      });
+
+      es.addEventListener("done", (ev) => {
+        es.close();
+        resolve(JSON.parse(ev.data).job);
+      });
+
+      es.onerror = () => {
+        es.close();
+        (async () => {
+          while (true) {
+            try {
+              const { job } = await apiFetch(`/api/sync/jobs/${jobId}`, { timeoutMs: 15000 });
+              setSyncJob(job);
+              if (job.finishedAt) return resolve(job);
+            } catch {
+              return resolve(null);
+            }
+            await new Promise((r) => setTimeout(r, 2000));
+          }
+        })();
+      };
+    });
+  }
+
+  async function cancelSync() {
+    if (!syncJob) return;
+    try {
+      const { job } = await apiFetch(`/api/sync/jobs/${syncJob.id}/cancel`, { method: "POST", timeoutMs: 15000 });
+      setSyncJob(job);
+    } catch (e) {
+      setStatus(`Cancel error: ${e.message}`);
+    }
   }
 
   async function openEmail(gmailId) {
+    liveRef.current?.es?.close();
+    liveRef.current = null;
+    setLive(null);
+
     const data = await apiFetch(`/api/emails/${gmailId}`, { timeoutMs: 30000 });
     setSelected(data.email || null);
+    setTransitions(data.transitions || []);
+    setDraftText(data.email?.draft?.text ?? data.email?.ai?.reply_draft ?? "");
+    setView("inbox");
+  }
+
+  // Re-runs the AI for the open email over SSE: classification fills in as it is parsed,
+  // the draft appears token by token. A stopped or failed run keeps its partial result on the server.
+  async function rerunLive() {
+    const gmailId = selected?.gmailId || selected?.id;
+    if (!gmailId || liveRef.current) return;
+
+    // held until the stream opens, so a second click cannot start another run
+    const pending = { es: null, stop: () => {} };
+    liveRef.current = pending;
+    setLive({ running: true, fields: {}, draft: "", message: "" });
+    let csrfToken;
+    try {
+      csrfToken = await loadCsrfToken();
+    } catch (e) {
+      liveRef.current = null;
+      setLive({ running: false, fields: {}, draft: "", message: e.message });
+      return;
+    }
+    // another email was opened meanwhile
+    if (liveRef.current !== pending) return;
+    const es = new EventSource(apiUrl(`/api/emails/${gmailId}/triage/stream?csrfToken=${encodeURIComponent(csrfToken)}`), {
+      withCredentials: true
+    });
+    const payload = (ev) => JSON.parse(ev.data);
+    let failure = "";
+
+    const finish = async (message) => {
+      if (liveRef.current?.es !== es) return;
+      es.close();
+      liveRef.current = null;
+      // the server saves a partial result just after the stream ends
+      if (message) await new Promise((r) => setTimeout(r, 500));
+      try {
+        const { email } = await apiFetch(`/api/emails/${gmailId}`, { timeoutMs: 30000 });
+        setSelected((prev) => (prev && (prev.gmailId || prev.id) === gmailId ? email : prev));
+        setDraftText(email.draft?.text ?? email.ai?.reply_draft ?? "");
+        setEmails((prev) => prev.map((e) => (e.gmailId === gmailId ? { ...e, ai: email.ai, aiSummary: email.aiSummary, entities: email.entities } : e)));
+      } catch (e) {
+        message = message || `Reload error: ${e.message}`;
+      }
+      setLive((prev) => (message ? { ...prev, running: false, message } : null));
+    };
+
+    es.addEventListener("partial", (ev) => setLive((prev) => prev && { ...prev, fields: payload(ev) }));
+    es.addEventListener("draft", (ev) => setLive((prev) => prev && { ...prev, draft: prev.draft + payload(ev).text }));
+    es.addEventListener("failed", (ev) => {
+      const { message, partial, code } = payload(ev);
+      if (code === GMAIL_RECONNECT_REQUIRED) setGmailConnected(false);
+      failure = partial ? `${message} (partial result kept)` : message;
+      setLive((prev) => prev && { ...prev, message: failure });
+    });
+    es.addEventListener("done", () => finish(failure));
+    es.onerror = () => finish("Connection lost. Any partial result is kept.");
+
+    // closing the stream makes the server stop the model and keep what it has
+    liveRef.current = { es, stop: () => finish("Stopped. The partial result is kept.") };
   }
 
   async function deleteEmail(gmailId) {
@@ -353,8 +820,60 @@ export default function App() {
 }
 
 
+  // Copies the draft to the clipboard; the server only records the copy in the audit log
+  async function copyReply() {
+    const gmailId = selected?.gmailId || selected?.id;
+    try {
+      await navigator.clipboard.writeText(draftText);
+      setStatus("Reply copied.");
+    } catch (e) {
+      return setStatus(`Copy error: ${e.message}`);
+    }
+    apiFetch(`/api/emails/${gmailId}/draft/copied`, {
+      method: "POST",
+      body: JSON.stringify({ text: draftText }),
+      timeoutMs: 15000
+    }).catch(() => { });
+  }
+
+  // Reply actions: "draft" creates a Gmail draft, "send" sends after an explicit confirmation.
+  async function replyAction(kind) {
+    const gmailId = selected?.gmailId || selected?.id;
+    const text = draftText.trim();
+    if (!gmailId || !text) return;
+
+    if (kind === "send") {
+      const ok = window.confirm(`Send this reply to ${selected.fromEmail} now? It will be sent from your Gmail account.`);
+      if (!ok) return;
+    }
+
+    setReplyBusy(true);
+    try {
+      const { reply, state } = await apiFetch(`/api/emails/${gmailId}/reply/${kind}`, {
+        method: "POST",
+        body: JSON.stringify({ text, confirm: kind === "send" }),
+        timeoutMs: 30000
+      });
+      // the server keeps an unsaved edit as a draft revision before using it
+      setSelected((prev) =>
+        prev && (prev.gmailId || prev.id) === gmailId ? { ...prev, ...state, reply, draft: { ...prev.draft, text: draftText } } : prev
+      );
+      setEmails((prev) => prev.map((e) => (e.gmailId === gmailId ? { ...e, reply } : e)));
+      // a sent reply moves the case to "waiting on member"
+      if (state) {
+        setTransitions(["IN_PROGRESS", "RESOLVED"]);
+        refreshEmails().catch(() => { });
+      }
+      setStatus(kind === "send" ? "Reply sent." : "Gmail draft created.");
+    } catch (e) {
+      setStatus(`Reply error: ${e.message}`);
+    } finally {
+      setReplyBusy(false);
+    }
+  }
+
   async function clearAllEmails() {
-    const ok = window.confirm("Clear ALL stored emails for this user? This cannot be undone.");
+    const ok = window.confirm("Clear ALL stored emails of this inbox for everyone in the team? This cannot be undone.");
     if (!ok) return;
 
     setLoading(true);
@@ -376,28 +895,45 @@ export default function App() {
 
     // Load whatever is already in Firestore right away
     refreshEmails().catch(() => { });
+    apiFetch("/api/settings/categories", { timeoutMs: 15000 })
+      .then((data) => setCategories(data.categories || []))
+      .catch(() => { });
+    apiFetch("/api/workspace", { timeoutMs: 15000 })
+      .then((data) => setMembers(data.members || []))
+      .catch(() => { });
 
-    if (didInitialSync) return;
+    // read-only members cannot sync, and nothing can be synced without Gmail access
+    if (didInitialSync || !canWork || me?.gmailConnected === false) return;
 
     (async () => {
       setLoading(true);
       try {
-        // Silent health check so sync errors are nicer if Ollama is down
+        // Silent health check so sync errors are nicer if the LLM server is down
         await refreshHealth();
 
-        const data = await apiFetch("/api/emails/sync", {
+        const { job: started } = await apiFetch("/api/emails/sync", {
           method: "POST",
           body: JSON.stringify({ maxResults: 20 }),
-          timeoutMs: 180000
+          timeoutMs: 30000
         });
+        setSyncJob(started);
 
-        const secs = Math.round((data.durationMs || 0) / 1000);
-        const errNote = data.aiErrors ? ` (AI errors: ${data.aiErrors})` : "";
-
+        const job = await watchSyncJob(started.id);
         await refreshEmails();
+
+        if (job) {
+          const secs = Math.round(((job.finishedAt || Date.now()) - job.startedAt) / 1000);
+          const errNote = job.counts.aiErrors ? ` (AI errors: ${job.counts.aiErrors})` : "";
+          if (job.errorCode === GMAIL_RECONNECT_REQUIRED) setGmailConnected(false);
+          if (job.status === "failed") setStatus(`Sync failed: ${job.error}`);
+          else if (job.status === "cancelled") setStatus(`Sync cancelled after ${job.counts.processed} emails.`);
+          else setStatus(`Synced ${job.counts.fetched} new emails (${job.mode}) in ${secs}s${errNote}.`);
+        }
       } catch (e) {
-        setStatus(`Error: ${e.message}`);
+        if (e.code === RATE_LIMITED) setStatus(`Sync skipped: too many syncs right now. Try again in ${e.retryAfterSeconds}s.`);
+        else setStatus(`Error: ${e.message}`);
       } finally {
+        setSyncJob(null);
         setLoading(false);
         setDidInitialSync(true);
       }
@@ -426,7 +962,7 @@ export default function App() {
     return (
       <div style={{ padding: 24, maxWidth: 720 }}>
         <h2 style={{ marginTop: 0 }}>AI Admin Assistant</h2>
-        <p className="small">Connect your Gmail (readonly), triage messages, and draft replies using local AI (Ollama).</p>
+        <p className="small">Connect your Gmail, triage messages, and draft replies using local AI (Ollama or any OpenAI-compatible server).</p>
 
         <div className="card">
           <div className="row">
@@ -446,6 +982,24 @@ export default function App() {
   return (
     <div className="container">
       <div className="sidebar">
+        {!gmailConnected ? (
+          <div className="card reconnectBanner">
+            <div>
+              <b>Gmail is disconnected.</b>
+              <div className="small">
+                {me.gmailOwnerEmail && me.gmailOwnerEmail !== me.user.email
+                  ? `Google no longer accepts the access of ${me.gmailOwnerEmail}, who connected this inbox. Ask them to log in again.`
+                  : "Google no longer accepts the stored access (revoked or expired). Sync and replies are paused until you reconnect."}
+              </div>
+            </div>
+            {!me.gmailOwnerEmail || me.gmailOwnerEmail === me.user.email ? (
+              <a href={`${API}/auth/google`}>
+                <button>Reconnect Gmail</button>
+              </a>
+            ) : null}
+          </div>
+        ) : null}
+
         <div className="card">
           <div className="row">
             <div>
@@ -456,16 +1010,89 @@ export default function App() {
             <button onClick={logout}>Logout</button>
           </div>
 
+          {me.workspace ? (
+            <div className="small" style={{ marginTop: 10 }}>
+              <b>Inbox:</b>{" "}
+              {me.workspaces?.length > 1 ? (
+                <select value={me.workspace.id} onChange={(e) => switchWorkspace(e.target.value)}>
+                  {me.workspaces.map((w) => (
+                    <option key={w.id} value={w.id}>
+                      {w.name} ({w.role})
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                `${me.workspace.name} (${role})`
+              )}
+            </div>
+          ) : null}
+
           <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap" }}>
-            <button onClick={clearAllEmails} disabled={loading || emails.length === 0}>
-              Clear all
+            {isAdmin ? (
+              <button onClick={clearAllEmails} disabled={loading || emails.length === 0}>
+                Clear all
+              </button>
+            ) : null}
+            <button onClick={() => setView(view === "team" ? "inbox" : "team")}>
+              {view === "team" ? "Back to inbox" : "Team"}
+            </button>
+            {isAdmin ? (
+              <button onClick={() => setView(view === "categories" ? "inbox" : "categories")}>
+                {view === "categories" ? "Back to inbox" : "Categories"}
+              </button>
+            ) : null}
+            <button onClick={() => setView(view === "knowledge" ? "inbox" : "knowledge")}>
+              {view === "knowledge" ? "Back to inbox" : "Knowledge base"}
+            </button>
+            <button onClick={() => setView(view === "templates" ? "inbox" : "templates")}>
+              {view === "templates" ? "Back to inbox" : "Templates"}
             </button>
+            {isAdmin ? (
+              <button onClick={() => setView(view === "sla" ? "inbox" : "sla")}>
+                {view === "sla" ? "Back to inbox" : "Response times"}
+              </button>
+            ) : null}
+            {isAdmin ? (
+              <button onClick={() => setView(view === "audit" ? "inbox" : "audit")}>
+                {view === "audit" ? "Back to inbox" : "Audit log"}
+              </button>
+            ) : null}
           </div>
         </div>
 
+        {syncJob ? <SyncProgress job={syncJob} onCancel={cancelSync} /> : null}
+
         <h3 style={{ marginTop: 16, marginBottom: 8 }}>Inbox</h3>
+        <div className="stateTabs">
+          {STATE_TABS.map((t) => (
+            <button
+              key={t.state}
+              className={stateTab === t.state ? "stateTab stateTab--active" : "stateTab"}
+              onClick={() => selectStateTab(t.state)}
+            >
+              {t.label}
+              {stateCounts && t.state !== "UNREAD" ? ` (${stateCounts[t.state]})` : ""}
+            </button>
+          ))}
+        </div>
+        {scanLimit ? (
+          <div className="small" style={{ marginTop: 6 }}>
+            Counts and this list only cover the {scanLimit} most recent emails; older ones are not shown.
+          </div>
+        ) : null}
         <div className="card" style={{ marginTop: 10 }}>
           <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              <div className="small"><b>Filter: Assigned</b></div>
+              <select value={assigned} onChange={(e) => selectAssigned(e.target.value)}>
+                {ASSIGNED_FILTERS.map((f) => (
+                  <option key={f.value} value={f.value}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
               <div className="small"><b>Filter: Priority</b></div>
               <select value={filterUrgency} onChange={(e) => setFilterUrgency(e.target.value)}>
@@ -482,7 +1109,7 @@ export default function App() {
               <select value={filterCategory} onChange={(e) => setFilterCategory(e.target.value)}>
                 {categoryOptions.map((c) => (
                   <option key={c} value={c}>
-                    {c === "ALL" ? "All" : prettyLabel(c)}
+                    {c === "ALL" ? "All" : c === "MANUAL" ? "🛠 Needs manual triage" : prettyLabel(c)}
                   </option>
                 ))}
               </select>
@@ -497,6 +1124,7 @@ export default function App() {
                 <option value="URGENCY_ASC">Priority (Low → High)</option>
                 <option value="CATEGORY_ASC">Type (A → Z)</option>
                 <option value="CATEGORY_DESC">Type (Z → A)</option>
+                <option value="DUE_ASC">Due soonest</option>
                 <option value="CONF_DESC">Confidence (High → Low)</option>
                 <option value="CONF_ASC">Confidence (Low → High)</option>
                 <option value="FROM_ASC">Sender (A → Z)</option>
@@ -510,6 +1138,7 @@ export default function App() {
                   setFilterUrgency("ALL");
                   setFilterCategory("ALL");
                   setSortBy("DATE_DESC");
+                  if (assigned !== "ALL") selectAssigned("ALL");
                 }}
               >
                 Reset
@@ -524,7 +1153,15 @@ export default function App() {
 
         <div className="list">
           {visibleEmails.length === 0 ? (
-            <div className="small">{loading ? "Loading inbox…" : "No unread emails found."}</div>
+            <div className="small">
+              {loading
+                ? "Loading inbox…"
+                : assigned !== "ALL"
+                  ? "No emails match the assignee filter."
+                  : stateTab === "UNREAD"
+                    ? "No unread emails found."
+                    : "No emails in this state."}
+            </div>
           ) : (
             visibleEmails.map((e) => {
 
@@ -534,15 +1171,17 @@ export default function App() {
               return (
                 <button className="listItem" key={e.gmailId} onClick={() => openEmail(e.gmailId)}>
                   <div className="row" style={{ alignItems: "flex-start" }}>
-                    <button
-                      onClick={(ev) => {
-                        ev.stopPropagation(); // prevent opening email
-                        deleteEmail(e.gmailId);
-                      }}
-                      disabled={deletingId === e.gmailId}
-                    >
-                      Delete
-                    </button>
+                    {isAdmin ? (
+                      <button
+                        onClick={(ev) => {
+                          ev.stopPropagation(); // prevent opening email
+                          deleteEmail(e.gmailId);
+                        }}
+                        disabled={deletingId === e.gmailId}
+                      >
+                        Delete
+                      </button>
+                    ) : null}
 
                     <div style={{ flex: 1, minWidth: 0 }}>
                       <div className="emailTitle" title={displayTitle}>
@@ -564,16 +1203,32 @@ export default function App() {
                     </div>
 
                     <div style={{ display: "flex", flexDirection: "column", gap: 6, alignItems: "flex-end" }}>
-                      {e.ai?.category && (
-                        <Pill tone={categoryTone(e.ai.category)} title="Category">
-                          {categoryIcon(e.ai.category)} {prettyLabel(e.ai.category)}
+                      {needsManualTriage(e) && (
+                        <Pill tone="danger" title={e.ai.error || "AI triage failed"}>
+                          🛠 Needs manual triage
+                        </Pill>
+                      )}
+                      {emailCategory(e) && (
+                        <Pill tone={categoryTone(emailCategory(e), categories)} title={e.override ? "Category (corrected by staff)" : "Category"}>
+                          {categoryIcon(emailCategory(e), categories)} {prettyLabel(emailCategory(e))}
                         </Pill>
                       )}
-                      {e.ai?.urgency && (
-                        <Pill tone={urgencyTone(e.ai.urgency)} title="Urgency">
-                          {urgencyIcon(e.ai.urgency)} {prettyLabel(e.ai.urgency)}
+                      {emailUrgency(e) && (
+                        <Pill tone={urgencyTone(emailUrgency(e))} title={e.override ? "Urgency (corrected by staff)" : "Urgency"}>
+                          {urgencyIcon(emailUrgency(e))} {prettyLabel(emailUrgency(e))}
                         </Pill>
                       )}
+                      {e.threadStats?.followUpsSinceOurReply > 0 && (
+                        <Pill tone="warn" title="Member messages in this thread since our last reply">
+                          🔁 {e.threadStats.followUpsSinceOurReply}×
+                        </Pill>
+                      )}
+                      <SlaPill email={e} now={now} />
+                      {e.assignee ? (
+                        <Pill tone="neutral" title={`Assigned to ${e.assignee.email}`}>
+                          👤 {e.assignee.userId === me.user.id ? "Me" : e.assignee.displayName || e.assignee.email}
+                        </Pill>
+                      ) : null}
                     </div>
                   </div>
 
@@ -604,7 +1259,19 @@ export default function App() {
       </div>
 
       <div className="main" ref={emailViewRef}>
-        {!selected ? (
+        {view === "audit" ? (
+          <AuditLog onClose={() => setView("inbox")} />
+        ) : view === "team" ? (
+          <Team me={me} onChanged={(data) => setMembers(data.members || [])} onClose={() => setView("inbox")} />
+        ) : view === "categories" ? (
+          <CategorySettings onSaved={setCategories} onClose={() => setView("inbox")} />
+        ) : view === "knowledge" ? (
+          <KnowledgeBase canEdit={isAdmin} onClose={() => setView("inbox")} />
+        ) : view === "templates" ? (
+          <Templates categories={categories} canEdit={isAdmin} onClose={() => setView("inbox")} />
+        ) : view === "sla" ? (
+          <SlaSettings onSaved={() => refreshEmails().catch(() => { })} onClose={() => setView("inbox")} />
+        ) : !selected ? (
           <div className="card">
             <h2 style={{ marginTop: 0 }}>Select an email</h2>
             <p className="small">Pick an email on the left to see the AI result and draft reply.</p>
@@ -624,29 +1291,98 @@ export default function App() {
                   <b>Date:</b> {selected.dateIso || "(unknown)"}
                 </div>
 
+                {selected.threadStats?.earlierMessages > 0 ? (
+                  <div className="small">
+                    <b>Thread:</b> {selected.threadStats.earlierMessages} earlier message(s),{" "}
+                    {selected.threadStats.ourReplies} from us
+                  </div>
+                ) : null}
+
                 {selected.aiSummary?.title ? (
                   <div className="small" style={{ marginTop: 6 }}>
                     <b>Original subject:</b> {selected.subject || "(no subject)"}
                   </div>
                 ) : null}
+
+                <div className="stateActions">
+                  <span className="small" title={selected.stateHistory?.at(-1)?.reason || ""}>
+                    <b>State:</b> {STATE_TABS.find((t) => t.state === emailState(selected))?.label}
+                    {selected.stateChangedAt ? ` since ${new Date(selected.stateChangedAt).toLocaleString()}` : ""}
+                    {selected.stateHistory?.at(-1)?.reason ? ` (${selected.stateHistory.at(-1).reason})` : ""}
+                  </span>
+                  {canWork
+                    ? transitions.map((state) => (
+                      <button key={state} onClick={() => moveEmail(state)}>
+                        {STATE_ACTIONS[state]}
+                      </button>
+                    ))
+                    : null}
+                </div>
+
+                <div className="assignee small">
+                  <b>Assigned to:</b>
+                  {canWork ? (
+                    <>
+                      <select value={selected.assignee?.userId || ""} onChange={(e) => assignEmail(e.target.value || null)}>
+                        <option value="">Nobody</option>
+                        {members
+                          .filter((m) => hasRole(m.role, "agent") || m.id === selected.assignee?.userId)
+                          .map((m) => (
+                            <option key={m.id} value={m.id}>
+                              {m.displayName || m.email}
+                              {m.id === me.user.id ? " (me)" : ""}
+                            </option>
+                          ))}
+                      </select>
+                      {selected.assignee?.userId !== me.user.id ? (
+                        <button onClick={() => assignEmail(me.user.id)}>🙋 Take it</button>
+                      ) : null}
+                    </>
+                  ) : (
+                    <span>{selected.assignee ? selected.assignee.displayName || selected.assignee.email : "Nobody"}</span>
+                  )}
+                </div>
               </div>
 
               <div style={{ display: "flex", flexDirection: "column", gap: 8, alignItems: "flex-end" }}>
-                {selected.ai?.category && (
-                  <Pill tone={categoryTone(selected.ai.category)} title="Category">
-                    {categoryIcon(selected.ai.category)} {prettyLabel(selected.ai.category)}
+                {needsManualTriage(selected) && (
+                  <Pill tone="danger" title={selected.ai.error || "AI triage failed"}>
+                    🛠 Needs manual triage
+                  </Pill>
+                )}
+                {emailCategory(selected) && (
+                  <Pill tone={categoryTone(emailCategory(selected), categories)} title={selected.override ? "Category (corrected by staff)" : "Category"}>
+                    {categoryIcon(emailCategory(selected), categories)} {prettyLabel(emailCategory(selected))}
+                  </Pill>
+                )}
+                {emailUrgency(selected) && (
+                  <Pill tone={urgencyTone(emailUrgency(selected))} title={selected.override ? "Urgency (corrected by staff)" : "Urgency"}>
+                    {urgencyIcon(emailUrgency(selected))} {prettyLabel(emailUrgency(selected))}
                   </Pill>
                 )}
-                {selected.ai?.urgency && (
-                  <Pill tone={urgencyTone(selected.ai.urgency)} title="Urgency">
-                    {urgencyIcon(selected.ai.urgency)} {prettyLabel(selected.ai.urgency)}
+                {selected.threadStats?.followUpsSinceOurReply > 0 && (
+                  <Pill tone="warn" title="Member messages in this thread since our last reply">
+                    🔁 Chased {selected.threadStats.followUpsSinceOurReply}×
                   </Pill>
                 )}
+                <SlaPill email={selected} now={now} />
                 {typeof selected.ai?.confidence === "number" && (
                   <Pill tone="neutral" title="Model confidence">
                     🎯 {percent(selected.ai.confidence)}
                   </Pill>
                 )}
+                {canWork ? (
+                  <TriageCorrection
+                    key={selected.gmailId || selected.id}
+                    email={selected}
+                    categories={categories}
+                    onSaved={(patch) => {
+                      const gmailId = selected.gmailId || selected.id;
+                      setSelected((prev) => (prev ? { ...prev, ...patch } : prev));
+                      setEmails((prev) => prev.map((e) => (e.gmailId === gmailId ? { ...e, ...patch } : e)));
+                    }}
+                  />
+                ) : null}
 
               </div>
             </div>
@@ -671,32 +1407,194 @@ export default function App() {
               </div>
             ) : null}
 
+            <EntityDetails entities={selected.entities} />
+
             <h3 style={{ marginTop: 16 }}>Message</h3>
             <MessageBody text={(selected.cleanBodyText || selected.bodyText || selected.snippet || "").trim()} />
 
-            <h3 style={{ marginTop: 16 }}>AI draft reply</h3>
-            <pre>{selected.ai?.reply_draft || "(No draft available yet)"}</pre>
+            {Array.isArray(selected.attachments) && selected.attachments.length > 0 ? (
+              <>
+                <h3 style={{ marginTop: 16 }}>Attachments</h3>
+                <div className="card">
+                  {selected.attachments.map((a) => (
+                    <div key={a.partId ?? a.filename} className="attachmentRow">
+                      <a
+                        href={apiUrl(`/api/emails/${selected.gmailId || selected.id}/attachments/${a.partId}`)}
+                        target="_blank"
+                        rel="noreferrer"
+                      >
+                        📎 {a.filename}
+                      </a>
+                      <span className="small">
+                        {" "}
+                        {a.mimeType} · {formatBytes(a.size)}
+                        {a.inline ? " · inline" : ""}
+                        {a.textError ? " · could not read" : a.textSkipped ? " · too large to read" : ""}
+                      </span>
+                    </div>
+                  ))}
+
+                  {selected.ai?.attachment_facts ? (
+                    <div className="small" style={{ marginTop: 10 }}>
+                      {selected.ai.attachment_facts.invoice_numbers?.length ? (
+                        <div>
+                          <b>Invoice numbers:</b> {selected.ai.attachment_facts.invoice_numbers.join(", ")}
+                        </div>
+                      ) : null}
+                      {selected.ai.attachment_facts.amounts?.length ? (
+                        <div>
+                          <b>Amounts:</b> {selected.ai.attachment_facts.amounts.join(", ")}
+                        </div>
+                      ) : null}
+                      {selected.ai.attachment_facts.dates?.length ? (
+                        <div>
+                          <b>Dates:</b> {selected.ai.attachment_facts.dates.join(", ")}
+                        </div>
+                      ) : null}
+                    </div>
+                  ) : null}
+                </div>
+              </>
+            ) : null}
+
+            <h3 style={{ marginTop: 16 }}>Draft reply</h3>
+            {live ? (
+              <div className="card liveTriage">
+                <div className="row">
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                    <b className="small">{live.running ? "Re-running AI…" : "AI re-run stopped"}</b>
+                    {live.fields.category ? (
+                      <Pill tone={categoryTone(live.fields.category, categories)} title="Category">
+                        {categoryIcon(live.fields.category, categories)} {prettyLabel(live.fields.category)}
+                      </Pill>
+                    ) : null}
+                    {live.fields.urgency ? (
+                      <Pill tone={urgencyTone(live.fields.urgency)} title="Urgency">
+                        {urgencyIcon(live.fields.urgency)} {prettyLabel(live.fields.urgency)}
+                      </Pill>
+                    ) : null}
+                    {typeof live.fields.confidence === "number" ? (
+                      <Pill tone="neutral" title="Model confidence">
+                        🎯 {percent(live.fields.confidence)}
+                      </Pill>
+                    ) : null}
+                  </div>
+                  {live.running ? <button onClick={() => liveRef.current?.stop()}>Stop</button> : <button onClick={() => setLive(null)}>Dismiss</button>}
+                </div>
+                <pre style={{ marginTop: 10 }}>
+                  {live.draft || (live.running ? "Waiting for the model…" : "")}
+                  {live.running ? "▍" : ""}
+                </pre>
+                {live.message ? <div className="small" style={{ marginTop: 8 }}>{live.message}</div> : null}
+              </div>
+            ) : null}
+
+            {!live?.running && selected.aiPartial?.reply_draft ? (
+              <div className="small" style={{ marginBottom: 8 }}>
+                An AI re-run was cut off ({selected.aiPartial.error}).{" "}
+                <button onClick={() => setDraftText(selected.aiPartial.reply_draft)}>Use its partial draft</button>
+              </div>
+            ) : null}
+
+            {!live?.running ? (
+              <DraftEditor
+                key={selected.gmailId || selected.id}
+                email={selected}
+                text={draftText}
+                setText={setDraftText}
+                onSaved={(draft) => {
+                  setSelected((prev) => (prev ? { ...prev, draft } : prev));
+                  setDraftText(draft.text);
+                }}
+              />
+            ) : null}
+
+            {selected.ai?.template ? (
+              <div className="small" style={{ marginTop: 8 }}>
+                📋 From template <b>{selected.ai.template.name}</b>
+                {selected.ai.template.missing?.length
+                  ? ` · fill in before sending: ${selected.ai.template.missing.map((m) => `[${m}]`).join(", ")}`
+                  : ""}
+              </div>
+            ) : null}
+
+            {selected.ai?.citations?.length ? (
+              <div style={{ marginTop: 10 }}>
+                <div className="small">
+                  <b>Sources used from the knowledge base:</b>
+                </div>
+                {selected.ai.citations.map((c) => (
+                  <details key={c.chunkId || c.ref} className="citation">
+                    <summary className="small">
+                      [{c.ref}] {c.docTitle}
+                    </summary>
+                    <div className="citation__text">{c.text}</div>
+                  </details>
+                ))}
+              </div>
+            ) : null}
 
             <div style={{ display: "flex", gap: 10, marginTop: 10, flexWrap: "wrap" }}>
-              <button
-                onClick={() => navigator.clipboard.writeText(selected.ai?.reply_draft || "")}
-                disabled={!selected.ai?.reply_draft}
-              >
+              <button onClick={copyReply} disabled={!draftText.trim()}>
                 Copy reply
               </button>
 
-              <button onClick={() => setSelected(null)}>Close</button>
+              {canWork ? (
+                <>
+                  <button
+                    onClick={() => replyAction("draft")}
+                    disabled={!draftText.trim() || replyBusy || selected.reply?.status === "SENT"}
+                  >
+                    Create Gmail draft
+                  </button>
+
+                  <button
+                    onClick={() => replyAction("send")}
+                    disabled={!draftText.trim() || replyBusy || selected.reply?.status === "SENT"}
+                  >
+                    Send
+                  </button>
+
+                  <button onClick={rerunLive} disabled={Boolean(live?.running)} title="Classify and draft again, live">
+                    ⚡ Re-run AI
+                  </button>
+                </>
+              ) : null}
 
               <button
-                onClick={() => deleteEmail(selected.gmailId || selected.id)}
-                disabled={deletingId === (selected.gmailId || selected.id)}
+                onClick={() => {
+                  liveRef.current?.es?.close();
+                  liveRef.current = null;
+                  setLive(null);
+                  setSelected(null);
+                }}
               >
-                Delete email
+                Close
               </button>
+
+              {isAdmin ? (
+                <button
+                  onClick={() => deleteEmail(selected.gmailId || selected.id)}
+                  disabled={deletingId === (selected.gmailId || selected.id)}
+                >
+                  Delete email
+                </button>
+              ) : null}
             </div>
 
+            {selected.reply?.status === "SENT" ? (
+              <div className="small" style={{ marginTop: 12 }}>
+                ✅ Reply sent to {selected.reply.to} on {new Date(selected.reply.sentAt).toLocaleString()}
+                {selected.reply.sentBy ? ` by ${selected.reply.sentBy}` : ""}.
+              </div>
+            ) : selected.reply?.status === "DRAFTED" ? (
+              <div className="small" style={{ marginTop: 12 }}>
+                📝 Gmail draft created on {new Date(selected.reply.draftedAt).toLocaleString()}.
+              </div>
+            ) : null}
+
             <div className="small" style={{ marginTop: 12 }}>
-              Safety: this app does not auto-send emails. You manually copy/paste.
+              Safety: nothing is sent automatically. A reply only goes out when you click Send and confirm.
             </div>
           </div>
         )}
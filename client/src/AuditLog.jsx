@@ -0,0 +1,187 @@
+import { useCallback, useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const EMPTY = { action: "", user: "", target: "", q: "", errors: false, from: "", to: "" };
+
+// Short human text for an entry's details
+function describe(e) {
+  const d = e.details || {};
+  if (e.action.startsWith("ai.")) {
+    return `${d.provider}/${d.model} · prompt ${d.promptVersion} · ${d.latencyMs} ms${d.error ? ` · ❌ ${d.error}` : ""}`;
+  }
+  if (e.action === "sync.run") {
+    const c = d.counts || {};
+    return `${d.status}${d.mode ? ` (${d.mode})` : ""} · ${c.fetched || 0} fetched, ${c.triaged || 0} triaged, ${c.aiErrors || 0} AI errors${d.error ? ` · ${d.error}` : ""}`;
+  }
+
+  const parts = [];
+  if (d.subject) parts.push(`“${d.subject}”`);
+  if (d.fromEmail) parts.push(`from ${d.fromEmail}`);
+  if (d.from !== undefined && d.to !== undefined) parts.push(`${d.from ?? "nobody"} → ${d.to ?? "nobody"}`);
+  if (d.category !== undefined && e.action === "email.override") parts.push(d.category ? `${d.category} / ${d.urgency}` : "back to AI");
+  if (d.revision) parts.push(`revision ${d.revision}`);
+  if (d.instructions) parts.push(`“${d.instructions}”`);
+  if (d.deleted !== undefined) parts.push(`${d.deleted} emails`);
+  if (d.email) parts.push(d.email);
+  if (d.role && !d.from) parts.push(d.role);
+  if (d.title || d.name) parts.push(d.title || d.name);
+  return parts.join(" · ");
+}
+
+// Audit trail viewer (GET /api/audit, owners and admins only): who did what, and every AI call.
+export default function AuditLog({ onClose }) {
+  const [filters, setFilters] = useState(EMPTY);
+  const [data, setData] = useState(null); // { entries, actions, scanned, cursor }
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  // more = the previous result: continue the same search from its cursor and append
+  const load = useCallback(async (f, more = null) => {
+    setBusy(true);
+    setMessage("");
+    try {
+      const params = new URLSearchParams();
+      for (const key of ["action", "user", "target", "q"]) if (f[key].trim()) params.set(key, f[key].trim());
+      if (f.errors) params.set("errors", "true");
+      if (f.from) params.set("from", new Date(`${f.from}T00:00:00`).toISOString());
+      if (f.to) params.set("to", new Date(`${f.to}T23:59:59.999`).toISOString());
+      if (more) params.set("cursor", more.cursor);
+      const res = await apiFetch(`/api/audit?${params}`, { timeoutMs: 30000 });
+      setData(more ? { ...res, entries: [...more.entries, ...res.entries], scanned: more.scanned + res.scanned } : res);
+    } catch (e) {
+      setMessage(`Could not load the audit log: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load(EMPTY);
+  }, [load]);
+
+  const [searched, setSearched] = useState(EMPTY); // filters of the shown result, for "Load more"
+  const search = (f) => {
+    setSearched(f);
+    load(f);
+  };
+
+  const set = (key) => (e) => setFilters({ ...filters, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Audit log</h2>
+          <div className="small">Every sign-in, sync, AI call, draft change, reply, deletion and settings change in this inbox.</div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      <form
+        className="auditFilters"
+        onSubmit={(e) => {
+          e.preventDefault();
+          search(filters);
+        }}
+      >
+        <label className="small">
+          Action
+          <select value={filters.action} onChange={set("action")}>
+            <option value="">All</option>
+            {[...new Set((data?.actions || []).map((a) => a.split(".")[0]))].map((group) => (
+              <optgroup key={group} label={group}>
+                <option value={group}>{group} (all)</option>
+                {data.actions
+                  .filter((a) => a.startsWith(`${group}.`))
+                  .map((a) => (
+                    <option key={a} value={a}>
+                      {a}
+                    </option>
+                  ))}
+              </optgroup>
+            ))}
+          </select>
+        </label>
+        <label className="small">
+          User
+          <input value={filters.user} placeholder="name@gym.com" onChange={set("user")} />
+        </label>
+        <label className="small">
+          Email id
+          <input value={filters.target} placeholder="Gmail id" onChange={set("target")} />
+        </label>
+        <label className="small">
+          Text
+          <input value={filters.q} placeholder="subject, sender, error…" onChange={set("q")} />
+        </label>
+        <label className="small">
+          From
+          <input type="date" value={filters.from} onChange={set("from")} />
+        </label>
+        <label className="small">
+          To
+          <input type="date" value={filters.to} onChange={set("to")} />
+        </label>
+        <label className="small slaDay">
+          <input type="checkbox" checked={filters.errors} onChange={set("errors")} />
+          Failures only
+        </label>
+        <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+          <button type="submit" disabled={busy}>
+            {busy ? "Loading…" : "Search"}
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setFilters(EMPTY);
+              search(EMPTY);
+            }}
+          >
+            Reset
+          </button>
+        </div>
+      </form>
+
+      {data ? (
+        <table className="auditTable">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Who</th>
+              <th>Action</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.entries.map((e) => (
+              <tr key={e.id} className={e.details?.error ? "auditTable__error" : ""}>
+                <td className="small">{new Date(e.at).toLocaleString()}</td>
+                <td className="small">{e.userEmail || "system"}</td>
+                <td className="small">
+                  <code>{e.action}</code>
+                </td>
+                <td className="small" title={e.target || ""}>
+                  {describe(e)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : null}
+
+      {data && !data.entries.length ? <div className="small" style={{ marginTop: 10 }}>No entries match.</div> : null}
+      {data ? (
+        <div className="small" style={{ marginTop: 10 }}>
+          Showing {data.entries.length} matching entries out of {data.scanned} searched
+          {data.cursor ? " · older entries not searched yet " : "."}
+          {data.cursor ? (
+            <button disabled={busy} onClick={() => load(searched, data)}>
+              {busy ? "Loading…" : "Load more"}
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const EMPTY_CATEGORY = { name: "", description: "", guidance: "", color: "neutral", icon: "✉️", defaultUrgency: "LOW" };
+
+// Settings screen for the triage categories (GET/PUT /api/settings/categories).
+// The whole list is edited locally and saved at once; the server validates and normalizes names.
+export default function CategorySettings({ onSaved, onClose }) {
+  const [data, setData] = useState(null); // { categories, custom, defaults, colors, urgencies }
+  const [rows, setRows] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await apiFetch("/api/settings/categories", { timeoutMs: 15000 });
+        setData(res);
+        setRows(res.categories);
+      } catch (e) {
+        setMessage(`Could not load categories: ${e.message}`);
+      }
+    })();
+  }, []);
+
+  function updateRow(idx, patch) {
+    setRows((prev) => prev.map((r, i) => (i === idx ? { ...r, ...patch } : r)));
+  }
+
+  function moveRow(idx, delta) {
+    setRows((prev) => {
+      const next = [...prev];
+      const to = idx + delta;
+      if (to < 0 || to >= next.length) return prev;
+      [next[idx], next[to]] = [next[to], next[idx]];
+      return next;
+    });
+  }
+
+  async function save(categories) {
+    setBusy(true);
+    setMessage("");
+    try {
+      const res = await apiFetch("/api/settings/categories", {
+        method: "PUT",
+        body: JSON.stringify({ categories }),
+        timeoutMs: 15000
+      });
+      setRows(res.categories);
+      setData((prev) => ({ ...prev, categories: res.categories, custom: res.custom }));
+      setMessage(res.custom ? "Categories saved. New triage results use them." : "Back to the built-in categories.");
+      onSaved?.(res.categories);
+    } catch (e) {
+      setMessage(`Save error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!data) {
+    return (
+      <div className="card">
+        <h2 style={{ marginTop: 0 }}>Categories</h2>
+        <div className="small">{message || "Loading…"}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Categories</h2>
+          <div className="small">
+            The AI picks one of these for every email. The description and guidance go into the triage prompt.
+            {data.custom ? "" : " You are using the built-in list."}
+          </div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      <div className="categoryList">
+        {rows.map((c, idx) => (
+          <div className="categoryRow" key={idx}>
+            <div className="categoryRow__head">
+              <span className={`pill pill--${c.color}`}>
+                {c.icon} {c.name || "NEW_CATEGORY"}
+              </span>
+              <div style={{ display: "flex", gap: 6 }}>
+                <button onClick={() => moveRow(idx, -1)} disabled={idx === 0} title="Move up">
+                  ↑
+                </button>
+                <button onClick={() => moveRow(idx, 1)} disabled={idx === rows.length - 1} title="Move down">
+                  ↓
+                </button>
+                <button onClick={() => setRows((prev) => prev.filter((_, i) => i !== idx))} disabled={rows.length === 1}>
+                  Remove
+                </button>
+              </div>
+            </div>
+
+            <div className="categoryRow__fields">
+              <label className="small">
+                Name
+                <input value={c.name} placeholder="LOST_AND_FOUND" onChange={(e) => updateRow(idx, { name: e.target.value })} />
+              </label>
+              <label className="small">
+                Icon
+                <input value={c.icon} maxLength={8} onChange={(e) => updateRow(idx, { icon: e.target.value })} />
+              </label>
+              <label className="small">
+                Color
+                <select value={c.color} onChange={(e) => updateRow(idx, { color: e.target.value })}>
+                  {data.colors.map((x) => (
+                    <option key={x} value={x}>
+                      {x}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="small">
+                Default urgency
+                <select value={c.defaultUrgency} onChange={(e) => updateRow(idx, { defaultUrgency: e.target.value })}>
+                  {data.urgencies.map((x) => (
+                    <option key={x} value={x}>
+                      {x}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <label className="small">
+              Description (what belongs here)
+              <textarea rows={2} value={c.description} onChange={(e) => updateRow(idx, { description: e.target.value })} />
+            </label>
+            <label className="small">
+              Routing guidance (how to reply)
+              <textarea rows={2} value={c.guidance} onChange={(e) => updateRow(idx, { guidance: e.target.value })} />
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button onClick={() => setRows((prev) => [...prev, { ...EMPTY_CATEGORY }])} disabled={rows.length >= 30}>
+          Add category
+        </button>
+        <button onClick={() => save(rows)} disabled={busy}>
+          {busy ? "Saving…" : "Save"}
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm("Replace your categories with the built-in list?")) save(null);
+          }}
+          disabled={busy || !data.custom}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
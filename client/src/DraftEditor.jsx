@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { apiFetch } from "./api.js";
+
+const SOURCE_LABEL = { ai: "AI draft", edit: "Edited", regenerate: "Regenerated", restore: "Restored" };
+
+// Reply draft editor: in-place edits (saved as revisions), "regenerate with instructions"
+// and the revision history with restore. The text itself is owned by App (Copy/Draft/Send use it).
+export default function DraftEditor({ email, text, setText, onSaved }) {
+  const gmailId = email.gmailId || email.id;
+  const savedText = email.draft?.text ?? email.ai?.reply_draft ?? "";
+  const dirty = text !== savedText;
+  const locked = email.reply?.status === "SENT";
+
+  const [instructions, setInstructions] = useState("");
+  const [history, setHistory] = useState(null); // revisions, loaded when opened
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  async function call(path, method, body, done) {
+    setBusy(true);
+    setMessage("");
+    try {
+      const { draft } = await apiFetch(`/api/emails/${gmailId}/draft${path}`, {
+        method,
+        body: JSON.stringify(body),
+        timeoutMs: 120000
+      });
+      onSaved(draft);
+      if (history) setHistory(draft.revisions);
+      setMessage(done);
+      return draft;
+    } catch (e) {
+      setMessage(`Draft error: ${e.message}`);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleHistory() {
+    if (history) return setHistory(null);
+    try {
+      const { draft } = await apiFetch(`/api/emails/${gmailId}/draft`, { timeoutMs: 15000 });
+      setHistory(draft.revisions);
+    } catch (e) {
+      setMessage(`Draft error: ${e.message}`);
+    }
+  }
+
+  async function regenerate() {
+    const draft = await call("/regenerate", "POST", { instructions, text }, "New version generated.");
+    if (draft) setInstructions("");
+  }
+
+  return (
+    <div>
+      <textarea
+        className="draftEditor"
+        rows={12}
+        value={text}
+        disabled={locked || busy}
+        placeholder="(No draft available yet)"
+        onChange={(e) => setText(e.target.value)}
+      />
+
+      {!locked ? (
+        <>
+          <div style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap", alignItems: "center" }}>
+            <button onClick={() => call("", "PUT", { text }, "Draft saved.")} disabled={busy || !dirty || !text.trim()}>
+              Save edit
+            </button>
+            <button onClick={() => setText(savedText)} disabled={busy || !dirty}>
+              Undo changes
+            </button>
+            <button onClick={toggleHistory} disabled={busy}>
+              {history ? "Hide history" : "History"}
+            </button>
+            {dirty ? <span className="small">Unsaved changes</span> : null}
+          </div>
+
+          <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+            <input
+              value={instructions}
+              maxLength={500}
+              placeholder='Regenerate with instructions, e.g. "more formal", "offer a 1-month freeze", "shorter"'
+              onChange={(e) => setInstructions(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && instructions.trim() && !busy) regenerate();
+              }}
+            />
+            <button onClick={regenerate} disabled={busy || !instructions.trim()}>
+              {busy ? "Working…" : "Regenerate"}
+            </button>
+          </div>
+        </>
+      ) : null}
+
+      {history ? (
+        <div style={{ marginTop: 8 }}>
+          {history.length === 0 ? <div className="small">No revisions yet.</div> : null}
+          {[...history].reverse().map((r) => (
+            <details key={r.n} className="citation">
+              <summary className="small">
+                #{r.n} {SOURCE_LABEL[r.source] || r.source}
+                {r.instructions ? ` ("${r.instructions}")` : ""}
+                {r.restoredFrom ? ` from #${r.restoredFrom}` : ""}
+                {r.at ? ` · ${new Date(r.at).toLocaleString()}` : ""}
+                {r.by ? ` · ${r.by}` : ""}
+                {r.text === savedText && r.n === history.at(-1).n ? " · current" : ""}
+              </summary>
+              <div className="citation__text">{r.text}</div>
+              {r.n !== history.at(-1).n && !locked ? (
+                <button
+                  style={{ marginTop: 6 }}
+                  onClick={() => call("/restore", "POST", { revision: r.n }, `Restored revision #${r.n}.`)}
+                  disabled={busy}
+                >
+                  Restore this version
+                </button>
+              ) : null}
+            </details>
+          ))}
+        </div>
+      ) : null}
+
+      {message ? <div className="small" style={{ marginTop: 8 }}>{message}</div> : null}
+    </div>
+  );
+}
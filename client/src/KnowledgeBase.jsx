@@ -0,0 +1,199 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+// Knowledge base screen: upload policy docs / FAQs / price lists (or paste text),
+// see what is indexed, and try a question to check what triage would retrieve.
+// Only owners and admins (canEdit) add, remove or re-index documents; the server checks it as well.
+export default function KnowledgeBase({ canEdit, onClose }) {
+  const [docs, setDocs] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const [file, setFile] = useState(null);
+  const [title, setTitle] = useState("");
+  const [pasted, setPasted] = useState("");
+
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+
+  async function refresh() {
+    try {
+      const res = await apiFetch("/api/knowledge", { timeoutMs: 15000 });
+      setDocs(res.documents || []);
+    } catch (e) {
+      setMessage(`Could not load documents: ${e.message}`);
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  async function run(fn, done) {
+    setBusy(true);
+    setMessage("");
+    try {
+      await fn();
+      if (done) setMessage(done);
+      await refresh();
+    } catch (e) {
+      setMessage(`Error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function upload() {
+    return run(async () => {
+      if (file) {
+        const params = new URLSearchParams({ filename: file.name, title: title || file.name });
+        await apiFetch(`/api/knowledge?${params}`, {
+          method: "POST",
+          headers: { "Content-Type": file.type || "application/octet-stream" },
+          body: file,
+          timeoutMs: 300000
+        });
+      } else {
+        await apiFetch("/api/knowledge", {
+          method: "POST",
+          body: JSON.stringify({ title, text: pasted }),
+          timeoutMs: 300000
+        });
+      }
+      setFile(null);
+      setTitle("");
+      setPasted("");
+    }, "Document added.");
+  }
+
+  function search() {
+    return run(async () => {
+      const res = await apiFetch("/api/knowledge/search", {
+        method: "POST",
+        body: JSON.stringify({ query }),
+        timeoutMs: 60000
+      });
+      setResults(res.results || []);
+    });
+  }
+
+  const staleCount = (docs || []).filter((d) => d.stale).length;
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Knowledge base</h2>
+          <div className="small">
+            Policies, FAQs and price lists. The most relevant passages are given to the AI for every email, and the
+            draft shows which ones it used.
+          </div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {canEdit ? (
+        <>
+          <h3 style={{ marginTop: 16 }}>Add a document</h3>
+          <div className="categoryRow">
+            <label className="small">
+              File (PDF, TXT, Markdown, CSV, HTML)
+              <input
+                type="file"
+                accept=".pdf,.txt,.md,.csv,.html,.htm"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+              />
+            </label>
+            <label className="small">
+              Title
+              <input value={title} placeholder="e.g. Price list 2026" onChange={(e) => setTitle(e.target.value)} />
+            </label>
+            {!file ? (
+              <label className="small">
+                …or paste the text
+                <textarea rows={5} value={pasted} onChange={(e) => setPasted(e.target.value)} />
+              </label>
+            ) : null}
+            <div>
+              <button onClick={upload} disabled={busy || (!file && !pasted.trim())}>
+                {busy ? "Working…" : "Add to knowledge base"}
+              </button>
+            </div>
+          </div>
+        </>
+      ) : null}
+
+      <h3 style={{ marginTop: 16 }}>Documents</h3>
+      {staleCount ? (
+        <div className="small" style={{ marginBottom: 8 }}>
+          {staleCount} document(s) were indexed with another embedding model and are not searched.{" "}
+          {canEdit ? (
+            <button onClick={() => run(() => apiFetch("/api/knowledge/reindex", { method: "POST", timeoutMs: 300000 }), "Re-indexed.")} disabled={busy}>
+              Re-index
+            </button>
+          ) : (
+            "An admin can re-index them."
+          )}
+        </div>
+      ) : null}
+      {!docs ? (
+        <div className="small">Loading…</div>
+      ) : docs.length === 0 ? (
+        <div className="small">No documents yet.</div>
+      ) : (
+        <div className="categoryList">
+          {docs.map((d) => (
+            <div key={d.id} className="categoryRow__head attachmentRow">
+              <div>
+                <b>{d.title}</b>
+                <span className="small">
+                  {" "}
+                  · {d.chunkCount} passage(s) · added {new Date(d.createdAt).toLocaleDateString()}
+                  {d.stale ? " · needs re-index" : ""}
+                </span>
+              </div>
+              {canEdit ? (
+                <button
+                  onClick={() => {
+                    if (window.confirm(`Remove "${d.title}" from the knowledge base?`)) {
+                      run(() => apiFetch(`/api/knowledge/${d.id}`, { method: "DELETE", timeoutMs: 30000 }), "Document removed.");
+                    }
+                  }}
+                  disabled={busy}
+                >
+                  Remove
+                </button>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h3 style={{ marginTop: 16 }}>Try a question</h3>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input value={query} placeholder="What are your opening hours?" onChange={(e) => setQuery(e.target.value)} />
+        <button onClick={search} disabled={busy || !query.trim()}>
+          Search
+        </button>
+      </div>
+      {results ? (
+        results.length === 0 ? (
+          <div className="small" style={{ marginTop: 8 }}>Nothing found.</div>
+        ) : (
+          <div className="categoryList">
+            {results.map((r) => (
+              <div key={r.chunkId} className="citation">
+                <div className="small">
+                  <b>{r.docTitle}</b> · match {Math.round(r.score * 100)}%
+                </div>
+                <div className="citation__text">{r.text}</div>
+              </div>
+            ))}
+          </div>
+        )
+      ) : null}
+
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
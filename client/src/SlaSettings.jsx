@@ -0,0 +1,189 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "" (no target) <-> null, "2" <-> 2
+const toHours = (v) => (v === "" || v == null ? null : Number(v));
+const fromHours = (v) => (v == null ? "" : String(v));
+
+// Settings screen for response-time SLAs (GET/PUT /api/settings/sla).
+// Targets are business hours; a category row overrides the general target for that category.
+export default function SlaSettings({ onSaved, onClose }) {
+  const [data, setData] = useState(null); // { sla, custom, defaults, urgencies, categories }
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  function load(sla) {
+    setForm({ ...sla, holidaysText: sla.holidays.join("\n") });
+  }
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await apiFetch("/api/settings/sla", { timeoutMs: 15000 });
+        setData(res);
+        load(res.sla);
+      } catch (e) {
+        setMessage(`Could not load SLA settings: ${e.message}`);
+      }
+    })();
+  }, []);
+
+  function setTarget(category, urgency, value) {
+    setForm((prev) => {
+      if (!category) return { ...prev, targets: { ...prev.targets, [urgency]: toHours(value) } };
+
+      const own = { ...prev.categoryTargets[category] };
+      if (value === "") delete own[urgency];
+      else own[urgency] = toHours(value);
+
+      const categoryTargets = { ...prev.categoryTargets, [category]: own };
+      if (!Object.keys(own).length) delete categoryTargets[category];
+      return { ...prev, categoryTargets };
+    });
+  }
+
+  function toggleDay(day) {
+    setForm((prev) => ({
+      ...prev,
+      businessDays: prev.businessDays.includes(day) ? prev.businessDays.filter((d) => d !== day) : [...prev.businessDays, day]
+    }));
+  }
+
+  async function save(reset) {
+    setBusy(true);
+    setMessage("");
+    try {
+      const { holidaysText, ...sla } = form;
+      sla.holidays = holidaysText.split(/[\s,]+/).filter(Boolean);
+      const res = await apiFetch("/api/settings/sla", {
+        method: "PUT",
+        body: JSON.stringify({ sla: reset ? null : sla }),
+        timeoutMs: 30000
+      });
+      load(res.sla);
+      setData((prev) => ({ ...prev, sla: res.sla, custom: res.custom }));
+      setMessage(`${res.custom ? "SLA settings saved." : "Back to the default SLA."} Due dates of ${res.updated} unread email(s) updated.`);
+      onSaved?.();
+    } catch (e) {
+      setMessage(`Save error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!data || !form) {
+    return (
+      <div className="card">
+        <h2 style={{ marginTop: 0 }}>Response times</h2>
+        <div className="small">{message || "Loading…"}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Response times</h2>
+          <div className="small">
+            How many business hours an email may wait for a reply. Emails get a due date from when they arrived.
+            {data.custom ? "" : " You are using the defaults."}
+          </div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      <div className="categoryList">
+        <div className="categoryRow">
+          <b>Business hours</b>
+          <div className="slaHours">
+            <label className="small">
+              Timezone
+              <input value={form.timezone} placeholder="Europe/London" onChange={(e) => setForm({ ...form, timezone: e.target.value })} />
+            </label>
+            <label className="small">
+              Opens
+              <input type="time" value={form.dayStart} onChange={(e) => setForm({ ...form, dayStart: e.target.value })} />
+            </label>
+            <label className="small">
+              Closes
+              <input type="time" value={form.dayEnd} onChange={(e) => setForm({ ...form, dayEnd: e.target.value })} />
+            </label>
+          </div>
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+            {DAYS.map((name, day) => (
+              <label key={day} className="small slaDay">
+                <input type="checkbox" checked={form.businessDays.includes(day)} onChange={() => toggleDay(day)} />
+                {name}
+              </label>
+            ))}
+          </div>
+          <label className="small">
+            Holidays (YYYY-MM-DD, one per line)
+            <textarea rows={3} value={form.holidaysText} onChange={(e) => setForm({ ...form, holidaysText: e.target.value })} />
+          </label>
+        </div>
+
+        <div className="categoryRow">
+          <b>Targets (business hours, empty = no target)</b>
+          <table className="slaTable">
+            <thead>
+              <tr>
+                <th />
+                {data.urgencies.map((u) => (
+                  <th key={u}>{u}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>All categories</td>
+                {data.urgencies.map((u) => (
+                  <td key={u}>
+                    <input type="number" min="0.25" step="0.25" value={fromHours(form.targets[u])} onChange={(e) => setTarget(null, u, e.target.value)} />
+                  </td>
+                ))}
+              </tr>
+              {data.categories.map((c) => (
+                <tr key={c}>
+                  <td className="small">{c}</td>
+                  {data.urgencies.map((u) => (
+                    <td key={u}>
+                      <input
+                        type="number"
+                        min="0.25"
+                        step="0.25"
+                        placeholder={fromHours(form.targets[u])}
+                        value={fromHours(form.categoryTargets[c]?.[u])}
+                        onChange={(e) => setTarget(c, u, e.target.value)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <button onClick={() => save(false)} disabled={busy}>
+          {busy ? "Saving…" : "Save"}
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm("Go back to the default response times?")) save(true);
+          }}
+          disabled={busy || !data.custom}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
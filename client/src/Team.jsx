@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const INVITE_ROLES = ["admin", "agent", "readonly"];
+
+const ROLE_HELP = {
+  owner: "connected the mailbox, can do everything",
+  admin: "settings, templates, knowledge base, members, deleting emails",
+  agent: "works the inbox: sync, drafts, replies, states, assignment",
+  readonly: "sees everything, changes nothing"
+};
+
+// Members of the shared inbox (GET /api/workspace), their roles and pending invitations.
+// Only owners and admins can change anything here; the server checks it as well.
+export default function Team({ me, onChanged, onClose }) {
+  const [data, setData] = useState(null); // { workspace, role, members, invites }
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("agent");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  const isAdmin = data ? ["owner", "admin"].includes(data.role) : false;
+
+  async function load() {
+    const res = await apiFetch("/api/workspace", { timeoutMs: 15000 });
+    setData(res);
+    return res;
+  }
+
+  useEffect(() => {
+    load().catch((e) => setMessage(`Could not load the team: ${e.message}`));
+  }, []);
+
+  async function run(action, done) {
+    setBusy(true);
+    setMessage("");
+    try {
+      await action();
+      onChanged?.(await load());
+      setMessage(done);
+    } catch (e) {
+      setMessage(`Error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function invite(ev) {
+    ev.preventDefault();
+    run(async () => {
+      await apiFetch("/api/workspace/invites", { method: "POST", body: JSON.stringify({ email, role }), timeoutMs: 15000 });
+      setEmail("");
+    }, `Invitation saved. ${email} joins when they log in with Google.`);
+  }
+
+  const changeRole = (member, next) =>
+    run(
+      () => apiFetch(`/api/workspace/members/${member.id}`, { method: "PUT", body: JSON.stringify({ role: next }), timeoutMs: 15000 }),
+      `${member.email} is now ${next}.`
+    );
+
+  function remove(member) {
+    if (!window.confirm(`Remove ${member.email} from this inbox? Their emails become unassigned.`)) return;
+    run(() => apiFetch(`/api/workspace/members/${member.id}`, { method: "DELETE", timeoutMs: 30000 }), `${member.email} removed.`);
+  }
+
+  const cancelInvite = (inv) =>
+    run(
+      () => apiFetch(`/api/workspace/invites/${encodeURIComponent(inv.email)}`, { method: "DELETE", timeoutMs: 15000 }),
+      `Invitation for ${inv.email} cancelled.`
+    );
+
+  if (!data) {
+    return (
+      <div className="card">
+        <h2 style={{ marginTop: 0 }}>Team</h2>
+        <div className="small">{message || "Loading…"}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Team · {data.workspace.name}</h2>
+          <div className="small">
+            Everyone here works the same inbox. You are <b>{data.role}</b> ({ROLE_HELP[data.role]}).
+          </div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      <div className="categoryList">
+        {data.members.map((m) => (
+          <div key={m.id} className="categoryRow teamRow">
+            <div>
+              <b>{m.displayName || m.email}</b>
+              {m.id === me.user.id ? " (you)" : ""}
+              <div className="small">{m.email}</div>
+            </div>
+            {isAdmin && m.role !== "owner" && m.id !== me.user.id ? (
+              <div style={{ display: "flex", gap: 8 }}>
+                <select value={m.role} disabled={busy} onChange={(e) => changeRole(m, e.target.value)}>
+                  {INVITE_ROLES.map((r) => (
+                    <option key={r} value={r}>
+                      {r}
+                    </option>
+                  ))}
+                </select>
+                <button disabled={busy} onClick={() => remove(m)}>
+                  Remove
+                </button>
+              </div>
+            ) : (
+              <span className="small" title={ROLE_HELP[m.role]}>
+                {m.role}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {isAdmin ? (
+        <>
+          <h3 style={{ marginTop: 16 }}>Invite</h3>
+          <form onSubmit={invite} style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            <input type="email" required placeholder="colleague@gym.com" value={email} onChange={(e) => setEmail(e.target.value)} />
+            <select value={role} onChange={(e) => setRole(e.target.value)}>
+              {INVITE_ROLES.map((r) => (
+                <option key={r} value={r}>
+                  {r}
+                </option>
+              ))}
+            </select>
+            <button type="submit" disabled={busy || !email}>
+              Invite
+            </button>
+          </form>
+
+          {data.invites.length ? (
+            <div className="categoryList">
+              {data.invites.map((inv) => (
+                <div key={inv.id} className="categoryRow teamRow">
+                  <div>
+                    <b>{inv.email}</b>
+                    <div className="small">
+                      Invited as {inv.role}
+                      {inv.invitedBy ? ` by ${inv.invitedBy}` : ""} · pending
+                    </div>
+                  </div>
+                  <button disabled={busy} onClick={() => cancelInvite(inv)}>
+                    Cancel
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : null}
+        </>
+      ) : null}
+
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
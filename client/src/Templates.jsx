@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "./api.js";
+
+const EMPTY_TEMPLATE = { name: "", description: "", categories: [], body: "" };
+
+// Reply template library (/api/templates). Placeholders are written as {{first_name}};
+// the AI picks a template that fits an email and fills them in.
+// Only owners and admins (canEdit) create, edit or delete templates; the server checks it as well.
+export default function Templates({ categories, canEdit, onClose }) {
+  const [templates, setTemplates] = useState(null);
+  const [editing, setEditing] = useState(null); // { id?, name, description, categories, body }
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  async function refresh() {
+    try {
+      const res = await apiFetch("/api/templates", { timeoutMs: 15000 });
+      setTemplates(res.templates || []);
+    } catch (e) {
+      setMessage(`Could not load templates: ${e.message}`);
+    }
+  }
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  async function save() {
+    setBusy(true);
+    setMessage("");
+    try {
+      const { id, name, description, categories: cats, body } = editing;
+      await apiFetch(id ? `/api/templates/${id}` : "/api/templates", {
+        method: id ? "PUT" : "POST",
+        body: JSON.stringify({ name, description, categories: cats, body }),
+        timeoutMs: 15000
+      });
+      setEditing(null);
+      setMessage("Template saved.");
+      await refresh();
+    } catch (e) {
+      setMessage(`Save error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(t) {
+    if (!window.confirm(`Delete the template "${t.name}"?`)) return;
+    setBusy(true);
+    try {
+      await apiFetch(`/api/templates/${t.id}`, { method: "DELETE", timeoutMs: 15000 });
+      setMessage("Template deleted.");
+      await refresh();
+    } catch (e) {
+      setMessage(`Delete error: ${e.message}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function toggleCategory(name) {
+    setEditing((prev) => ({
+      ...prev,
+      categories: prev.categories.includes(name) ? prev.categories.filter((c) => c !== name) : [...prev.categories, name]
+    }));
+  }
+
+  return (
+    <div className="card">
+      <div className="row" style={{ alignItems: "flex-start" }}>
+        <div>
+          <h2 style={{ marginTop: 0, marginBottom: 6 }}>Reply templates</h2>
+          <div className="small">
+            Approved replies the AI can pick and fill. Use placeholders like {"{{first_name}}"} or {"{{freeze_start}}"};
+            anything the AI cannot find in the email is left as [first_name] for you to fill in.
+          </div>
+        </div>
+        <button onClick={onClose}>Close</button>
+      </div>
+
+      {editing ? (
+        <div className="categoryRow" style={{ marginTop: 12 }}>
+          <label className="small">
+            Name
+            <input value={editing.name} placeholder="Freeze form link" onChange={(e) => setEditing({ ...editing, name: e.target.value })} />
+          </label>
+          <label className="small">
+            When to use it (optional)
+            <input value={editing.description} onChange={(e) => setEditing({ ...editing, description: e.target.value })} />
+          </label>
+          <div className="small">
+            Categories (none = any)
+            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 4 }}>
+              {categories.map((c) => (
+                <label key={c.name} style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    style={{ width: "auto" }}
+                    checked={editing.categories.includes(c.name)}
+                    onChange={() => toggleCategory(c.name)}
+                  />
+                  {c.icon} {c.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="small">
+            Text
+            <textarea rows={8} value={editing.body} onChange={(e) => setEditing({ ...editing, body: e.target.value })} />
+          </label>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={save} disabled={busy || !editing.name.trim() || !editing.body.trim()}>
+              {busy ? "Saving…" : "Save template"}
+            </button>
+            <button onClick={() => setEditing(null)} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : canEdit ? (
+        <div style={{ marginTop: 12 }}>
+          <button onClick={() => setEditing({ ...EMPTY_TEMPLATE })}>New template</button>
+        </div>
+      ) : null}
+
+      {!templates ? (
+        <div className="small" style={{ marginTop: 12 }}>Loading…</div>
+      ) : templates.length === 0 ? (
+        <div className="small" style={{ marginTop: 12 }}>No templates yet.</div>
+      ) : (
+        <div className="categoryList">
+          {templates.map((t) => (
+            <div key={t.id} className="categoryRow">
+              <div className="categoryRow__head">
+                <div>
+                  <b>{t.name}</b>
+                  <span className="small">
+                    {" "}
+                    · {t.categories?.length ? t.categories.join(", ") : "any category"}
+                    {t.placeholders?.length ? ` · ${t.placeholders.map((p) => `{{${p}}}`).join(" ")}` : ""}
+                  </span>
+                </div>
+                {canEdit ? (
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button onClick={() => setEditing({ ...EMPTY_TEMPLATE, ...t })} disabled={busy}>
+                      Edit
+                    </button>
+                    <button onClick={() => remove(t)} disabled={busy}>
+                      Delete
+                    </button>
+                  </div>
+                ) : null}
+              </div>
+              {t.description ? <div className="small">{t.description}</div> : null}
+              <div className="citation__text">{t.body}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message ? <div className="small" style={{ marginTop: 10 }}>{message}</div> : null}
+    </div>
+  );
+}
@@ -4,9 +4,35 @@ export function apiBase() {
   return import.meta.env.VITE_API_URL || "http://localhost:3001";
 }
 
-export async function apiFetch(path, options = {}) {
+export function apiUrl(path) {
   const base = apiBase().replace(/\/$/, "");
-  const url = path.startsWith("http") ? path : `${base}${path.startsWith("/") ? "" : "/"}${path}`;
+  return path.startsWith("http") ? path : `${base}${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+// Error code of the server when Gmail access was revoked or expired (server/tokens.js).
+// apiFetch announces it with a "gmail-reconnect-required" window event so the app can show its banner.
+export const GMAIL_RECONNECT_REQUIRED = "GMAIL_RECONNECT_REQUIRED";
+
+// Error code of the server's rate limits (server/security.js); err.retryAfterSeconds says when to try again.
+export const RATE_LIMITED = "RATE_LIMITED";
+
+// State-changing requests carry the session's CSRF token (GET /api/csrf). Logging in starts a new session,
+// so a CSRF_INVALID answer fetches a fresh token and retries once.
+const CSRF_INVALID = "CSRF_INVALID";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+let csrfToken = null;
+
+// Always asks the server; EventSource URLs use it (?csrfToken=) since they cannot carry the header.
+export async function loadCsrfToken() {
+  const res = await fetch(apiUrl("/api/csrf"), { credentials: "include" });
+  if (!res.ok) throw new Error(`Could not get a CSRF token (HTTP ${res.status})`);
+  csrfToken = (await res.json()).csrfToken;
+  return csrfToken;
+}
+
+export async function apiFetch(path, options = {}) {
+  const url = apiUrl(path);
+  const mutating = !SAFE_METHODS.includes(String(options.method || "GET").toUpperCase());
 
   // Default timeout: 120s (sync+AI can be slow)
   const timeoutMs = options.timeoutMs ?? 120000;
@@ -20,6 +46,7 @@ export async function apiFetch(path, options = {}) {
       credentials: "include", // IMPORTANT for session cookie
       headers: {
         "Content-Type": "application/json",
+        ...(mutating ? { "X-CSRF-Token": csrfToken || (await loadCsrfToken()) } : {}),
         ...(options.headers || {})
       },
       signal: controller.signal
@@ -36,7 +63,19 @@ export async function apiFetch(path, options = {}) {
         (typeof body === "string" && body) ||
         `HTTP ${res.status}`;
 
-      throw new Error(msg);
+      // err.code carries the server's machine-readable code, if any
+      const err = new Error(msg);
+      err.status = res.status;
+      err.code = (body && typeof body === "object" && body.code) || null;
+      if (err.code === CSRF_INVALID && !options.csrfRetried) {
+        csrfToken = null;
+        return apiFetch(path, { ...options, csrfRetried: true });
+      }
+      if (err.code === RATE_LIMITED) {
+        err.retryAfterSeconds = body.retryAfterSeconds ?? (Number(res.headers.get("Retry-After")) || null);
+      }
+      if (err.code === GMAIL_RECONNECT_REQUIRED) window.dispatchEvent(new Event("gmail-reconnect-required"));
+      throw err;
     }
 
     return body;
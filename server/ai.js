@@ -1,37 +1,71 @@
 // Used to define what ashape the model's JSON output MUST have, 
 // and to validate and safely parse the output before returning it.
 import { z } from "zod";
+import { DEFAULT_CATEGORIES, URGENCIES } from "./categories.js";
+import { fillTemplate } from "./templates.js";
+import { ID_KINDS, normalizeEntities } from "./entities.js";
 
-// TriageSchema
+// Version of the triage / summary / draft prompts below. Bump it whenever a prompt changes,
+// so audit entries (audit.js) tell which prompt produced an answer.
+export const PROMPT_VERSION = "2026-10-19";
+
+// triageSchema
 // Defines the exact JSON structure we expect back from the "triage" LLM call.
 // If model returns anything else (missing keys, extra keys, wrong types), we throw an error instead of returning bad data.
-const TriageSchema = z.object({
-  // Category MUST be exactly ONE of these 7 options. No more, no less.
-  // z.enum([...]) restricts the value to a fixed set of allowed labels. 
-  category: z.enum([
-    "CANCELLATION",
-    "FREEZE_REQUEST",
-    "BOOKING_CHANGE",
-    "BILLING_INVOICE",
-    "COMPLAINT",
-    "GENERAL_QUESTION",
-    "SPAM_OTHER"
-  ]),
-
-  // Urgency MUST be exactly ONE of these 3 options.
-  urgency: z.enum(["LOW", "MEDIUM", "HIGH"]),
-
-  // Confidence MUST be a number between 0 and 1.
-  confidence: z.number().min(0).max(1),
-
-  // reply_draft MUST be a non-empty string.
-  reply_draft: z.string().min(1)
-});
+// Built per call because the allowed categories come from the user's category settings (categories.js).
+function triageSchema(categoryNames) {
+  return z.object({
+    // Category MUST be exactly ONE of the configured category names.
+    // z.enum([...]) restricts the value to a fixed set of allowed labels.
+    category: z.enum(categoryNames),
+
+    // Urgency MUST be exactly ONE of these 3 options.
+    urgency: z.enum(URGENCIES),
+
+    // Confidence MUST be a number between 0 and 1.
+    confidence: z.number().min(0).max(1),
+
+    // reply_draft MUST be a non-empty string.
+    reply_draft: z.string().min(1),
+
+    // Knowledge-base snippets the reply relies on, by reference ("K1", "K2"...). Optional.
+    citations: z.array(z.string()).optional(),
+
+    // Reply template the model picked ("T1"...) and its placeholder values. Optional.
+    template_id: z.string().nullable().optional(),
+    template_values: z.record(z.union([z.string(), z.number(), z.null()])).optional(),
+
+    // Member name, IDs, dates, amounts, classes, phones (entities.js). Loosely checked here:
+    // normalizeEntities() drops what is invalid instead of failing the whole triage.
+    entities: z.object({}).passthrough().nullable().optional(),
+
+    // Facts read from the attachments (invoice PDFs, CSV statements...). Optional: only when there are attachments.
+    attachment_facts: z
+      .object({
+        amounts: z.array(z.string()).default([]),
+        dates: z.array(z.string()).default([]),
+        invoice_numbers: z.array(z.string()).default([])
+      })
+      .optional()
+  });
+}
 
+// One line per category for the prompt: what it is, how to handle it, its usual urgency.
+function formatCategories(categories) {
+  return categories
+    .map((c) => {
+      const guidance = c.guidance ? ` Handling: ${c.guidance}` : "";
+      return `- ${c.name}: ${c.description}${guidance} (usual urgency: ${c.defaultUrgency})`;
+    })
+    .join("\n");
+}
 
 // SummarySchema
 // Defines the expected JSON structure for the "summarize" LLM call.
 const SummarySchema = z.object({
+  // Short title (2-3 words) for the inbox list. Optional.
+  title: z.string().optional(),
+
   // Summary MUST be a non-empty string.
   summary: z.string().min(1),
 
@@ -39,6 +73,80 @@ const SummarySchema = z.object({
   key_points: z.array(z.string().min(1)).max(5).optional()
 });
 
+// DraftSchema
+// Expected JSON for the "regenerate draft" call.
+const DraftSchema = z.object({
+  reply_draft: z.string().min(1)
+});
+
+// JSON Schemas for the providers' structured output (Ollama "format", OpenAI "response_format").
+// They mirror the zod schemas above, which stay the authority: every answer is still validated with zod.
+const stringArray = { type: "array", items: { type: "string" } };
+
+function triageJsonSchema(categoryNames, { citations, template, attachmentFacts }) {
+  const properties = {
+    category: { type: "string", enum: categoryNames },
+    urgency: { type: "string", enum: URGENCIES },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    reply_draft: { type: "string", minLength: 1 }
+  };
+  properties.entities = {
+    type: "object",
+    properties: {
+      member_name: { type: ["string", "null"] },
+      ids: {
+        type: "array",
+        items: { type: "object", properties: { kind: { type: "string", enum: ID_KINDS }, value: { type: "string" } }, required: ["kind", "value"] }
+      },
+      dates: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { start: { type: "string" }, end: { type: ["string", "null"] }, about: { type: ["string", "null"] } },
+          required: ["start"]
+        }
+      },
+      amounts: {
+        type: "array",
+        items: { type: "object", properties: { value: { type: "number" }, currency: { type: ["string", "null"] } }, required: ["value"] }
+      },
+      classes: stringArray,
+      phones: stringArray
+    }
+  };
+  if (citations) properties.citations = stringArray;
+  if (template) {
+    properties.template_id = { type: ["string", "null"] };
+    properties.template_values = { type: "object", additionalProperties: { type: ["string", "number", "null"] } };
+  }
+  if (attachmentFacts) {
+    properties.attachment_facts = {
+      type: "object",
+      properties: { amounts: stringArray, dates: stringArray, invoice_numbers: stringArray },
+      required: ["amounts", "dates", "invoice_numbers"]
+    };
+  }
+  return { type: "object", properties, required: ["category", "urgency", "confidence", "reply_draft"], additionalProperties: false };
+}
+
+const SUMMARY_JSON_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    summary: { type: "string", minLength: 1 },
+    key_points: { ...stringArray, maxItems: 5 }
+  },
+  required: ["title", "summary", "key_points"],
+  additionalProperties: false
+};
+
+const DRAFT_JSON_SCHEMA = {
+  type: "object",
+  properties: { reply_draft: { type: "string", minLength: 1 } },
+  required: ["reply_draft"],
+  additionalProperties: false
+};
+
 // Chooses the best available text field from the email object and returns it.
 // Priority order:
   // 1) cleanBodyText (pre-cleaned text with signatures and quoted replies removed)
@@ -50,6 +158,175 @@ function pickMessage(email) {
   return (email.cleanBodyText || email.bodyText || email.snippet || "").trim();
 }
 
+// Formats the earlier messages of the thread for the prompt (oldest first).
+// thread = { history, stats } from fetchThreadHistory() / threadStats() in gmail.js.
+// Returns "" when there is no earlier conversation.
+function formatThread(thread, maxChars = 2500) {
+  const history = thread?.history || [];
+  if (!history.length) return "";
+
+  const lines = history.map((h, i) => {
+    const who = h.fromUs ? "US (our reply)" : `MEMBER (${h.fromEmail})`;
+    const text = (h.text || "").replace(/\s+/g, " ").trim();
+    return `[${i + 1}] ${who}, ${h.dateIso || "unknown date"}:\n${text}`;
+  });
+
+  const s = thread.stats || {};
+  return `
+CONVERSATION HISTORY (earlier messages in this thread, oldest first):
+Earlier messages from this member: ${s.memberMessages ?? 0}
+Our earlier replies: ${s.ourReplies ?? 0}
+Member messages since our last reply (unanswered chasers): ${s.followUpsSinceOurReply ?? 0}
+
+${lines.join("\n\n").slice(-maxChars)}
+`.trim();
+}
+
+// Formats readable attachments for the prompt: name/type/size, regex hints and the (capped) text.
+// Attachments without text (images, unsupported types) are listed by name only.
+function formatAttachments(attachments, maxChars = 1500) {
+  const list = attachments || [];
+  if (!list.length) return "";
+
+  const blocks = list.map((a) => {
+    const head = `- ${a.filename} (${a.mimeType}, ${Math.round((a.size || 0) / 1024)} KB)`;
+    if (!a.text) return head;
+
+    const f = a.facts || {};
+    const hints = [
+      f.amounts?.length ? `amounts: ${f.amounts.join(", ")}` : "",
+      f.dates?.length ? `dates: ${f.dates.join(", ")}` : "",
+      f.invoice_numbers?.length ? `invoice numbers: ${f.invoice_numbers.join(", ")}` : ""
+    ].filter(Boolean);
+
+    return `${head}${hints.length ? `\n  Detected: ${hints.join("; ")}` : ""}\n  Text:\n${a.text.slice(0, maxChars)}`;
+  });
+
+  return `ATTACHMENTS (text extracted from files attached to the newest message):\n${blocks.join("\n\n")}`;
+}
+
+// Numbers the knowledge-base snippets [K1], [K2]... so the model can cite them.
+// knowledge = searchKnowledge() results from knowledge.js, best first.
+function formatKnowledge(knowledge, maxChars = 900) {
+  if (!knowledge?.length) return "";
+
+  const blocks = knowledge.map((k, i) => `[K${i + 1}] ${k.docTitle}:\n${k.text.slice(0, maxChars)}`);
+  return `KNOWLEDGE BASE (our own policies, FAQ and prices; the only source for policy facts):\n${blocks.join("\n\n")}`;
+}
+
+// Model citations ("K2") -> the snippets they point at, for storing next to the draft
+function resolveCitations(refs, knowledge) {
+  const out = [];
+  for (const ref of new Set(refs || [])) {
+    const k = knowledge[Number(/^\[?K(\d+)\]?$/i.exec(String(ref).trim())?.[1]) - 1];
+    if (k) out.push({ ref: `K${knowledge.indexOf(k) + 1}`, docId: k.docId, docTitle: k.docTitle, chunkId: k.chunkId, text: k.text, score: k.score });
+  }
+  return out;
+}
+
+// Lists the reply templates as [T1], [T2]... with their placeholders and a preview of the text.
+// The model only picks one and supplies values; the full text is filled in by fillTemplate().
+function formatTemplates(templates, maxChars = 300) {
+  if (!templates?.length) return "";
+
+  const blocks = templates.map((t, i) => {
+    const forCats = t.categories?.length ? ` (for: ${t.categories.join(", ")})` : "";
+    const desc = t.description ? ` - ${t.description}` : "";
+    const ph = t.placeholders?.length ? `\n  Placeholders: ${t.placeholders.join(", ")}` : "";
+    return `[T${i + 1}] ${t.name}${forCats}${desc}${ph}\n  Text: ${t.body.replace(/\s+/g, " ").slice(0, maxChars)}`;
+  });
+  return `REPLY TEMPLATES (approved replies; use one when it fits):\n${blocks.join("\n\n")}`;
+}
+
+// The template the model picked, filled with its values.
+// Ignored when the reference is unknown or the template is meant for other categories.
+function resolveTemplate({ ref, values, templates, category }) {
+  const idx = Number(/^\[?T(\d+)\]?$/i.exec(String(ref || "").trim())?.[1]) - 1;
+  const t = templates[idx];
+  if (!t) return null;
+  if (t.categories?.length && !t.categories.includes(category)) return null;
+
+  const clean = {};
+  for (const [k, v] of Object.entries(values || {})) {
+    if (v != null) clean[k.toLowerCase()] = String(v);
+  }
+  const { text, missing } = fillTemplate(t.body, clean);
+  return { text, template: { id: t.id, name: t.name, values: clean, missing } };
+}
+
+// Past staff corrections (similarCorrections() in corrections.js) as few-shot examples
+function formatExamples(examples, maxChars = 400) {
+  if (!examples?.length) return "";
+
+  const blocks = examples.map((c, i) => {
+    const from = c.fromDomain ? `From: ...@${c.fromDomain}\n` : "";
+    return `Example ${i + 1}:\n${from}Subject: ${c.subject}\nMessage: ${c.text.slice(0, maxChars)}\nFirst triage: ${c.aiCategory} / ${c.aiUrgency} -> corrected by staff to: ${c.category} / ${c.urgency}`;
+  });
+  return `PAST CORRECTIONS (similar emails where staff fixed the category / urgency):\n${blocks.join("\n\n")}`;
+}
+
+// Union of the regex facts of all attachments (fallback when the model returns none)
+function mergeFacts(attachments) {
+  const out = { amounts: [], dates: [], invoice_numbers: [] };
+  for (const a of attachments || []) {
+    for (const key of Object.keys(out)) out[key].push(...(a.facts?.[key] || []));
+  }
+  for (const key of Object.keys(out)) out[key] = Array.from(new Set(out[key]));
+  return out;
+}
+
+// Reads a JSON string value from possibly unfinished JSON: { value, complete } or null if the key is not there yet.
+// An escape sequence cut off at the end is left out until the rest of it arrives.
+function partialString(text, key) {
+  const m = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+  if (!m) return null;
+
+  const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+  let value = "";
+  let i = m.index + m[0].length;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') return { value, complete: true };
+    if (ch !== "\\") {
+      value += ch;
+      i++;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-f]{4}$/i.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+    value += escapes[next] ?? next;
+    i += 2;
+  }
+  return { value, complete: false };
+}
+
+// partialTriage
+// What can already be shown from a triage answer that is still streaming (or was cut off):
+// category / urgency once their value is complete and allowed, confidence once the number ended,
+// and reply_draft as far as it got. Missing fields are left out.
+export function partialTriage(text, categoryNames) {
+  const out = {};
+  const category = partialString(text, "category");
+  if (category?.complete && categoryNames.includes(category.value)) out.category = category.value;
+
+  const urgency = partialString(text, "urgency");
+  if (urgency?.complete && URGENCIES.includes(urgency.value)) out.urgency = urgency.value;
+
+  const confidence = /"confidence"\s*:\s*([0-9.]+)\s*[,}\n]/.exec(text);
+  if (confidence && Number.isFinite(Number(confidence[1]))) out.confidence = Math.min(1, Math.max(0, Number(confidence[1])));
+
+  const draft = partialString(text, "reply_draft");
+  if (draft) out.reply_draft = draft.value;
+  return out;
+}
+
 // Pull JSON out of a string by finding the first { and the last } and parsing the text in between.
 // Needed in case model adds extra text.
 // Throws an error if no braces are found or if the JSON is malformed.
@@ -72,62 +349,73 @@ function extractJson(text) {
   }
 }
 
-// ollamaGenerate
-// Calls an Ollama model with the given prompt and returns the response text.
-// Parameters:
-  // - ollamaBaseUrl: base URL of the Ollama server (e.g. "http://localhost:11434")
-  // - model: name of the model to call (e.g. "triage-v1")
-  // - prompt: the text prompt to send to the model
-  // - timeoutMs: how long to wait for a response before aborting (in milliseconds)
-  // - temperature: controls randomness of the output, default is 0.2 for focused responses
-async function ollamaGenerate({ ollamaBaseUrl, model, prompt, timeoutMs, temperature = 0.2 }) {
-  // Ensure the base URL does not end with a slash to avoid double slashes in the final URL.
-  const base = ollamaBaseUrl.replace(/\/$/, "");
-  // The endpoint for generating text from a model.
-  const url = `${base}/api/generate`;
-
-  // Set up an AbortController to handle timeouts. If the model takes too long, we can abort the request.
-  const controller = new AbortController();
-  // Start a timer that will call controller.abort() after timeoutMs milliseconds.
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
-  
-  try {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream: false,
-        options: { temperature }
-      }),
-      signal: controller.signal
-    });
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      throw new Error(`Ollama error ${res.status}: ${txt.slice(0, 300)}`);
+// Readable zod issues for error messages and the repair prompt: "urgency: Invalid enum value..."
+function formatIssues(error) {
+  return error.issues.map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`).join("; ");
+}
+
+// generateJson
+// One LLM call that must answer with JSON matching zodSchema. When the answer cannot be parsed or
+// fails validation, the model gets its answer and the problem back and may try again,
+// up to llm.jsonRetries times (LLM_JSON_RETRIES). Only the first attempt is streamed to onToken.
+// Throws an error with schemaFailure = true when every attempt failed; request errors are not retried.
+async function generateJson({ llm, prompt, task, zodSchema, jsonSchema, timeoutMs, temperature, onToken = null, signal = null }) {
+  const retries = llm.jsonRetries ?? 2;
+  let request = prompt;
+  let problem = "";
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const args = { prompt: request, task, timeoutMs, temperature, schema: jsonSchema };
+    const text = onToken && attempt === 0 ? await llm.generateStream({ ...args, onToken, signal }) : await llm.generate(args);
+
+    try {
+      const parsed = zodSchema.safeParse(extractJson(text));
+      if (parsed.success) return parsed.data;
+      problem = `JSON failed schema validation: ${formatIssues(parsed.error)}`;
+    } catch (err) {
+      problem = err.message;
     }
+    if (signal?.aborted) break;
+
+    request = `${prompt}
 
-    const data = await res.json().catch(() => ({}));
-    return (data.response || "").trim();
-  } catch (err) {
-    if (err?.name === "AbortError") throw new Error(`Ollama timeout after ${timeoutMs}ms`);
-    throw new Error(`Ollama request failed: ${err?.message || err}`);
-  } finally {
-    clearTimeout(t);
+YOUR PREVIOUS ANSWER (rejected):
+${text.slice(0, 4000)}
+
+PROBLEM: ${problem}
+Answer again with the corrected JSON only, in exactly the requested shape.`;
   }
+
+  const attempts = retries + 1;
+  throw Object.assign(new Error(`${llm.name} ${problem} (${attempts} attempt${attempts === 1 ? "" : "s"})`), { schemaFailure: true });
 }
 
+// triageEmail / summarizeEmail
+// Both take an "llm" provider object built by makeLlm() in llm.js,
+// so the same prompt runs against Ollama, an OpenAI-compatible server or the fixture provider.
 export async function triageEmail({
   email,
-  ollamaBaseUrl,
-  model,
+  llm,
+  thread = null,
+  categories = DEFAULT_CATEGORIES,
+  knowledge = [],
+  templates = [],
+  examples = [],
+  onToken = null,
+  signal = null,
   timeoutMs = 180000,
   maxChars = 2000
 }) {
   const body = pickMessage(email).slice(0, maxChars);
+  const names = categories.map((c) => c.name);
+  const hasSpam = names.includes("SPAM_OTHER");
+  const history = formatThread(thread);
+  const attachments = formatAttachments(email.attachments);
+  const hasAttachmentText = (email.attachments || []).some((a) => a.text);
+  const kb = formatKnowledge(knowledge);
+  const usableTemplates = templates.filter((t) => !t.categories?.length || t.categories.some((c) => names.includes(c))).slice(0, 20);
+  const tpl = formatTemplates(usableTemplates);
+  const fewShot = formatExamples(examples);
 
   const prompt = `
 You are an expert customer support agent for a small gym in 2026.
@@ -135,10 +423,22 @@ Your job: understand the email, choose the right category/urgency, and write a m
 
 Return ONLY valid JSON in EXACTLY this shape:
 {
-  "category": "CANCELLATION | FREEZE_REQUEST | BOOKING_CHANGE | BILLING_INVOICE | COMPLAINT | GENERAL_QUESTION | SPAM_OTHER",
+  "category": "${names.join(" | ")}",
   "urgency": "LOW | MEDIUM | HIGH",
   "confidence": 0.0,
-  "reply_draft": "text"
+  "reply_draft": "text",
+  "entities": {
+    "member_name": "Jane Doe or null",
+    "ids": [{ "kind": "membership | booking", "value": "M-10442" }],
+    "dates": [{ "start": "2026-03-01", "end": "2026-03-31 or null", "about": "freeze" }],
+    "amounts": [{ "value": 49.99, "currency": "EUR" }],
+    "classes": ["Spin"],
+    "phones": ["+44 7700 900123"]
+  }${kb ? `,
+  "citations": ["K1"]` : ""}${tpl ? `,
+  "template_id": "T1 or null",
+  "template_values": { "first_name": "John" }` : ""}${hasAttachmentText ? `,
+  "attachment_facts": { "amounts": ["EUR 49.99"], "dates": ["2026-01-05"], "invoice_numbers": ["INV-1042"] }` : ""}
 }
 
 Rules:
@@ -149,15 +449,16 @@ Output / formatting:
 - Choose ONE category only.
 - confidence must be between 0 and 1.
 
-Spam handling:
+${hasSpam ? `Spam handling:
 - Use SPAM_OTHER for marketing, newsletters, promotions, or anything that is not a real member support request.
 - If SPAM_OTHER, urgency must be LOW.
 - For spam, reply_draft should politely decline and be extremely short.
 
-Safety + accuracy:
+` : ""}Safety + accuracy:
 - Never claim you completed an action (cancelled membership, issued refund, changed booking, froze membership)
   unless the email explicitly confirms it already happened.
 - Never invent gym policies, prices, dates, or account details.
+  Policies, prices and opening hours may only come from the KNOWLEDGE BASE, if one is given.
 - If the email asks for something you cannot confirm, say you can help and will check it.
 
 Urgency logic:
@@ -175,6 +476,12 @@ Urgency logic:
 - LOW if:
   - general questions, pricing, opening hours, future plans
   - non-urgent booking change far in the future
+- Otherwise use the usual urgency of the chosen category (see Categories).
+- Chasing (see CONVERSATION HISTORY, if present):
+  - 1 unanswered chaser before this email: urgency at least MEDIUM
+  - 2 or more unanswered chasers: urgency HIGH
+  - If we already replied, build on our earlier reply instead of repeating it.
+  - Do not ask for information the member already gave earlier in the thread.
 
 Reply quality requirements:
 - reply_draft must be 90–160 words.
@@ -207,45 +514,166 @@ Reply structure (must follow):
 5) If needed, ask ONE question (only one)
 6) Closing + signature exactly as specified
 
-Category guidance (use ONLY if relevant):
-- CANCELLATION: confirm member identity + effective cancellation date.
-- FREEZE_REQUEST: ask for freeze start date + duration.
-- BOOKING_CHANGE: ask for class/session + preferred new date/time.
-- BILLING_INVOICE: ask for date/amount and any identifying detail; reassure and investigate.
-- COMPLAINT: apologize, acknowledge, propose next step, offer manager follow-up.
-- GENERAL_QUESTION: answer directly if possible; otherwise ask one question.
-- SPAM_OTHER: politely decline.
+Categories (choose exactly one; follow its handling guidance when writing the reply):
+${formatCategories(categories)}
+
+Knowledge base (only if a KNOWLEDGE BASE is given):
+- If a snippet answers the question, answer it directly in the reply instead of promising to check.
+- List the snippets you relied on in "citations" (e.g. ["K1", "K3"]); use [] if none was relevant.
+- If the snippets do not cover the question, say you will check; do not guess.
+
+Reply templates (only if REPLY TEMPLATES are given):
+- If a template fits the request and the chosen category, set "template_id" (e.g. "T2") and give a value
+  for each of its placeholders in "template_values", taken from the email or thread. Leave a value "" if unknown; never invent one.
+- Still write reply_draft as usual; it is used when no template is chosen.
+- If no template fits, set "template_id" to null.
+
+Past corrections (only if PAST CORRECTIONS are given):
+- These show how our staff categorise emails; they override the general rules above.
+- If the email is similar to an example, choose the category / urgency staff chose, not the first triage.
+
+Entities (always fill "entities"; use null / [] for anything the email does not state):
+- member_name: the member's full name as written in the email or signature; never guess it from the address.
+- ids: membership numbers ("membership") and booking / reservation references ("booking") exactly as written.
+- dates: every date or period the request is about, as ISO YYYY-MM-DD; a period gets "start" and "end".
+  Resolve relative dates ("next Monday", "from March 1st for a month") against the email date. "about" says what it is
+  (e.g. "freeze", "class", "charge").
+- amounts: money mentioned, as a number with the ISO currency code (EUR, GBP, USD...) or null when unclear.
+- classes: class or session names (e.g. "Spin", "Yoga 7am").
+- phones: phone numbers as written.
+
+Attachments (only if ATTACHMENTS are given):
+- Use the attachment text to understand the request (e.g. which invoice is disputed).
+- Fill attachment_facts with amounts (with currency), dates and invoice numbers exactly as they appear in the attachments.
+- You may mention an invoice number or amount from the attachment in the reply; never invent one.
+
+${fewShot}
+
+${kb}
+
+${tpl}
 
-EMAIL:
+${history}
+
+${attachments}
+
+EMAIL (the newest message, the one to answer):
 From: ${email.fromEmail}
+Date: ${email.dateIso || "unknown"}
 Subject: ${email.subject}
 Message (cleaned & truncated):
 ${body}
 `.trim();
 
-  const text = await ollamaGenerate({
-    ollamaBaseUrl,
-    model,
+  // onToken streams the answer as it is generated (timeoutMs is then the longest pause between tokens)
+  const data = await generateJson({
+    llm,
     prompt,
+    task: "triage",
+    zodSchema: triageSchema(names),
+    jsonSchema: triageJsonSchema(names, { citations: Boolean(kb), template: Boolean(tpl), attachmentFacts: hasAttachmentText }),
     timeoutMs,
-    temperature: 0.2
+    temperature: 0.2,
+    onToken,
+    signal
   });
 
-  const json = extractJson(text);
-  const parsed = TriageSchema.safeParse(json);
-  if (!parsed.success) throw new Error("Ollama JSON failed schema validation: " + parsed.error.message);
+  const { citations, template_id: templateRef, template_values: templateValues, ...result } = data;
+  result.citations = resolveCitations(citations, knowledge);
+  result.examples = examples.map((c) => c.gmailId);
+  result.entities = normalizeEntities(result.entities);
+
+  const filled = resolveTemplate({ ref: templateRef, values: templateValues, templates: usableTemplates, category: result.category });
+  result.template = filled?.template || null;
+  if (filled) result.reply_draft = filled.text;
+
+  if (hasAttachmentText) {
+    const found = mergeFacts(email.attachments);
+    const model = result.attachment_facts || {};
+    result.attachment_facts = {
+      amounts: model.amounts?.length ? model.amounts : found.amounts,
+      dates: model.dates?.length ? model.dates : found.dates,
+      invoice_numbers: model.invoice_numbers?.length ? model.invoice_numbers : found.invoice_numbers
+    };
+  }
+
+  return result;
+}
+
+// regenerateDraft
+// Rewrites the current reply draft following staff instructions ("more formal", "offer a 1-month freeze").
+// Returns the new draft text. Same reply rules as triage; the email stays the last prompt section.
+export async function regenerateDraft({
+  email,
+  llm,
+  draft,
+  instructions,
+  knowledge = [],
+  timeoutMs = 60000,
+  maxChars = 2000
+}) {
+  const body = pickMessage(email).slice(0, maxChars);
+  const kb = formatKnowledge(knowledge);
+
+  const prompt = `
+You are an expert customer support agent for a small gym in 2026.
+A staff member wants the reply draft below rewritten. Follow their instructions.
+
+Return ONLY valid JSON in EXACTLY this shape:
+{
+  "reply_draft": "text"
+}
+
+Rules:
+- Follow the STAFF INSTRUCTIONS; keep everything else in the current draft that still fits.
+- Never claim an action was completed (cancellation, refund, booking change, freeze) unless the email confirms it.
+- Never invent policies, prices, dates or account details${kb ? " that are not in the KNOWLEDGE BASE" : ""}.
+  If the instructions offer something (e.g. "offer a 1-month freeze"), offer it as stated, nothing more.
+- Keep the greeting and end with EXACTLY this closing unless the instructions say otherwise:
+
+Kind regards,
+Management Team
+
+- Output JSON ONLY. No markdown, no backticks, no extra text.
+
+STAFF INSTRUCTIONS:
+${String(instructions).trim()}
+
+CURRENT DRAFT:
+${draft}
+
+${kb}
 
-  return parsed.data;
+EMAIL (the message being answered):
+From: ${email.fromEmail}
+Subject: ${email.subject}
+Message (cleaned & truncated):
+${body}
+`.trim();
+
+  const data = await generateJson({
+    llm,
+    prompt,
+    task: "draft",
+    zodSchema: DraftSchema,
+    jsonSchema: DRAFT_JSON_SCHEMA,
+    timeoutMs,
+    temperature: 0.4
+  });
+
+  return data.reply_draft;
 }
 
 export async function summarizeEmail({
   email,
-  ollamaBaseUrl,
-  model,
+  llm,
+  thread = null,
   timeoutMs = 45000,
   maxChars = 4000
 }) {
   const body = pickMessage(email).slice(0, maxChars);
+  const history = formatThread(thread, 1500);
+  const attachments = formatAttachments(email.attachments, 800);
 
   const prompt = `
 Summarize the following email for a gym admin.
@@ -261,23 +689,25 @@ Rules:
 - Title must be 2-3 words MAX.
 - Remove signatures, legal footers, and quoted replies (assume the text is already cleaned).
 - If the message is already short, keep summary very short.
+- If a CONVERSATION HISTORY is given, summarize the newest message in that context
+  (e.g. "third follow-up about the double charge").
 - No markdown, no extra text. Output JSON ONLY.
 
+${history}
+
+${attachments}
+
 EMAIL MESSAGE:
 ${body}
 `.trim();
 
-  const text = await ollamaGenerate({
-    ollamaBaseUrl,
-    model,
+  return generateJson({
+    llm,
     prompt,
+    task: "summary",
+    zodSchema: SummarySchema,
+    jsonSchema: SUMMARY_JSON_SCHEMA,
     timeoutMs,
     temperature: 0.2
   });
-
-  const json = extractJson(text);
-  const parsed = SummarySchema.safeParse(json);
-  if (!parsed.success) throw new Error("Summary JSON failed schema validation: " + parsed.error.message);
-
-  return parsed.data;
 }
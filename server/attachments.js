@@ -0,0 +1,110 @@
+import { extractText, getDocumentProxy } from "unpdf";
+import { htmlToText } from "./htmlToText.js";
+import { decodeBytes, decodeHeader, headerValue, isAttachmentPart, parseHeaderParams } from "./mime.js";
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // don't download/parse anything bigger
+const DEFAULT_MAX_CHARS = 4000; // stored + sent to the model per attachment
+
+// listAttachments
+// Walks a Gmail payload and returns metadata for every part that is a file (see isAttachmentPart):
+// { filename, mimeType, size, attachmentId, partId, charset, inline, contentId }.
+// Inline images often have no filename; they get one from their partId and type.
+// Small attachments can come inline (body.data, no attachmentId); those keep their data in "inlineData"
+// so they can be read without another request (stripped before storing).
+export function listAttachments(payload) {
+  const out = [];
+
+  const walk = (part) => {
+    if (!part) return;
+    if (isAttachmentPart(part)) {
+      const mimeType = String(part.mimeType || "application/octet-stream").toLowerCase();
+      const contentType = parseHeaderParams(headerValue(part.headers, "Content-Type"));
+      const disposition = parseHeaderParams(headerValue(part.headers, "Content-Disposition")).value;
+      const contentId = headerValue(part.headers, "Content-ID").replace(/^<|>$/g, "") || null;
+      const ext = (mimeType.split("/")[1] || "bin").replace("jpeg", "jpg").split(/[+;]/)[0];
+
+      out.push({
+        filename: decodeHeader(part.filename) || `${mimeType.startsWith("image/") ? "image" : "part"}-${part.partId || 0}.${ext}`,
+        mimeType,
+        size: part.body.size || 0,
+        attachmentId: part.body.attachmentId || null,
+        partId: part.partId ?? null,
+        charset: contentType.params.charset || null,
+        inline: disposition === "inline" || (Boolean(contentId) && disposition !== "attachment"),
+        contentId,
+        inlineData: part.body.attachmentId ? null : part.body.data
+      });
+    }
+    (part.parts || []).forEach(walk);
+  };
+
+  walk(payload);
+  return out;
+}
+
+// Which attachments we try to read: PDF, CSV, plain text / Markdown and HTML.
+export function attachmentKind({ mimeType, filename }) {
+  const mt = String(mimeType || "").toLowerCase();
+  const name = String(filename || "").toLowerCase();
+  if (mt === "application/pdf" || name.endsWith(".pdf")) return "pdf";
+  if (mt === "text/csv" || name.endsWith(".csv")) return "csv";
+  if (mt === "text/plain" || mt === "text/markdown" || /\.(txt|md)$/.test(name)) return "text";
+  if (mt === "text/html" || /\.html?$/.test(name)) return "html";
+  return null;
+}
+
+export function attachmentLimits(env) {
+  return {
+    maxBytes: Number(env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    maxChars: Number(env.ATTACHMENT_MAX_CHARS) || DEFAULT_MAX_CHARS
+  };
+}
+
+// Returns the readable text of an attachment (capped to maxChars), or null for unsupported types.
+export async function extractAttachmentText({ buffer, mimeType, filename, charset, maxChars = DEFAULT_MAX_CHARS }) {
+  const kind = attachmentKind({ mimeType, filename });
+  if (!kind) return null;
+
+  let text;
+  if (kind === "pdf") {
+    const pdf = await getDocumentProxy(new Uint8Array(buffer), { verbosity: 0 });
+    text = (await extractText(pdf, { mergePages: true })).text;
+  } else if (kind === "html") {
+    text = htmlToText(decodeBytes(buffer, charset));
+  } else {
+    text = decodeBytes(buffer, charset);
+  }
+
+  return String(text || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, maxChars);
+}
+
+// findFacts
+// Deterministic pass over attachment text for the things billing emails hinge on.
+// The model gets these as hints and they back-fill ai.attachment_facts when the model returns none.
+export function findFacts(text) {
+  const t = String(text || "");
+  const uniq = (arr) => Array.from(new Set(arr.map((x) => x.trim()))).slice(0, 10);
+
+  const amounts = uniq(
+    t.match(/(?:[€£$]\s?\d[\d,]*(?:\.\d{2})?|\b\d[\d,]*(?:\.\d{2})?\s?(?:EUR|GBP|USD)\b|\b(?:EUR|GBP|USD)\s?\d[\d,]*(?:\.\d{2})?)/gi) || []
+  );
+
+  const dates = uniq(
+    t.match(
+      /\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}[/.]\d{1,2}[/.]\d{2,4}|\d{1,2}\s(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s\d{4})\b/gi
+    ) || []
+  );
+
+  // "Invoice no. 10423", "Receipt #A-991" or a bare "INV-1042"
+  const invoiceNumbers = uniq([
+    ...[...t.matchAll(/\b(?:invoice|receipt)\s*(?:no\.?|number|#)?\s*[:#]?\s*([A-Z0-9]*\d[A-Z0-9-]*)/gi)].map((m) => m[1]),
+    ...(t.match(/\bINV[-_]?\d[\w-]*/gi) || [])
+  ]);
+
+  return { amounts, dates, invoice_numbers: invoiceNumbers };
+}
@@ -0,0 +1,188 @@
+// Audit trail: who did what in a workspace, and every AI call with its model and latency.
+// Entries are only ever appended (storage.audit has no update or delete) and look like
+//   { at, action, userId, userEmail, target, details }
+// target is the id the action was about (usually a gmailId), details a small action-specific object.
+// Deleting emails never touches the audit trail, so "who deleted this complaint?" stays answerable.
+import { z } from "zod";
+import { PROMPT_VERSION } from "./ai.js";
+
+export const AUDIT_ACTIONS = [
+  "auth.login",
+  "auth.logout",
+  "sync.run",
+  "ai.triage",
+  "ai.summary",
+  "ai.draft",
+  "draft.edit",
+  "draft.restore",
+  "draft.copy",
+  "reply.draft",
+  "reply.send",
+  "email.state",
+  "email.assign",
+  "email.override",
+  "email.delete",
+  "email.deleteAll",
+  "settings.llm",
+  "settings.categories",
+  "settings.sla",
+  "knowledge.add",
+  "knowledge.delete",
+  "knowledge.reindex",
+  "template.create",
+  "template.update",
+  "template.delete",
+  "member.invite",
+  "member.uninvite",
+  "member.role",
+  "member.remove"
+];
+
+// action, target and the date range are storage queries; the other filters (user, text, errors) are checked
+// in memory on at most AUDIT_SCAN entries per request, read AUDIT_PAGE at a time. A search that stops early
+// returns a cursor to continue from, so older entries stay reachable.
+export const AUDIT_SCAN = 1000;
+const AUDIT_PAGE = 200;
+
+// What an entry keeps of an email, so it still makes sense once the email is deleted
+export function emailRef(email) {
+  return email ? { subject: email.subject || "", fromEmail: email.fromEmail || "" } : {};
+}
+
+// makeAudit
+// Recorder bound to a workspace and the acting user (null for the system, e.g. a member reply).
+// A failing write is logged and swallowed: the audit trail must never break the action it records.
+export function makeAudit({ storage, workspaceId, user = null }) {
+  async function record(action, { target = null, details = {} } = {}) {
+    if (!workspaceId) return;
+    try {
+      await storage.audit.append(workspaceId, {
+        at: Date.now(),
+        action,
+        userId: user?.id || null,
+        userEmail: user?.email || null,
+        target,
+        details
+      });
+    } catch (err) {
+      console.error(`Audit write failed (${action}):`, err?.message || err);
+    }
+  }
+
+  // aiCall
+  // Runs one AI call (fn) and records it as "ai.<task>" with model, prompt version, latency and error.
+  // Returns / throws whatever fn does.
+  async function aiCall({ task, llm, target = null }, fn) {
+    const started = Date.now();
+    const details = { provider: llm.name, model: llm.model, promptVersion: PROMPT_VERSION };
+    try {
+      const result = await fn();
+      await record(`ai.${task}`, { target, details: { ...details, latencyMs: Date.now() - started, error: null } });
+      return result;
+    } catch (err) {
+      const error = err?.cancelled ? "cancelled" : String(err?.message || err).slice(0, 500);
+      await record(`ai.${task}`, { target, details: { ...details, latencyMs: Date.now() - started, error } });
+      throw err;
+    }
+  }
+
+  return { record, aiCall };
+}
+
+// Query parameters of GET /api/audit
+const FilterSchema = z.object({
+  action: z.string().trim().min(1).max(40).optional(), // "email.delete", or a prefix like "ai"
+  user: z.string().trim().min(1).max(120).optional(), // part of the user's email
+  target: z.string().trim().min(1).max(120).optional(),
+  q: z.string().trim().min(1).max(120).optional(), // text in the details (subject, sender, error...)
+  errors: z.enum(["true", "false"]).optional(), // only AI calls that failed / that succeeded
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  cursor: z.string().max(4000).optional(), // "cursor" of the previous response
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+});
+
+// The cursor is where a search stopped: the time of the last entry looked at and the ids already seen at
+// that time (entries written in the same millisecond have no order of their own).
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function decodeCursor(text) {
+  try {
+    const position = JSON.parse(Buffer.from(text, "base64url").toString("utf-8"));
+    return Number.isFinite(position?.at) && Array.isArray(position.ids) ? position : null;
+  } catch {
+    return null;
+  }
+}
+
+// parseAuditFilters
+// Returns { filters } or { error }.
+export function parseAuditFilters(query) {
+  const keys = Object.keys(FilterSchema.shape);
+  const given = Object.fromEntries(Object.entries(query || {}).filter(([k, v]) => keys.includes(k) && v !== ""));
+  const parsed = FilterSchema.safeParse(given);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".")}: ${issue.message}` };
+  }
+  const filters = parsed.data;
+  if (filters.cursor) {
+    filters.cursor = decodeCursor(filters.cursor);
+    if (!filters.cursor) return { error: "cursor: invalid" };
+  }
+  return { filters };
+}
+
+export function matchesAudit(entry, f) {
+  const has = (hay, needle) => String(hay || "").toLowerCase().includes(needle.toLowerCase());
+
+  if (f.action && entry.action !== f.action && !entry.action.startsWith(`${f.action}.`)) return false;
+  if (f.user && !has(entry.userEmail, f.user)) return false;
+  if (f.target && entry.target !== f.target) return false;
+  if (f.q && !has(JSON.stringify(entry.details || {}), f.q)) return false;
+  if (f.errors === "true" && !entry.details?.error) return false;
+  if (f.errors === "false" && (!entry.action.startsWith("ai.") || entry.details?.error)) return false;
+  if (f.from && entry.at < f.from.getTime()) return false;
+  if (f.to && entry.at > f.to.getTime()) return false;
+  return true;
+}
+
+// searchAudit
+// Newest matching entries first, up to filters.limit.
+// Returns { entries, scanned, cursor }; cursor is null once there is nothing older left to look at.
+export async function searchAudit({ storage, workspaceId, filters }) {
+  // "ai" -> every ai.* action, so the prefix filter is a storage query as well
+  const actions = filters.action ? AUDIT_ACTIONS.filter((a) => a === filters.action || a.startsWith(`${filters.action}.`)) : null;
+  if (actions && !actions.length) return { entries: [], scanned: 0, cursor: null };
+
+  const entries = [];
+  let scanned = 0;
+  let position = filters.cursor || null;
+  let more = true;
+
+  while (more && entries.length < filters.limit && scanned < AUDIT_SCAN) {
+    const page = await storage.audit.list(workspaceId, {
+      actions,
+      target: filters.target || null,
+      from: filters.from?.getTime() ?? null,
+      to: filters.to?.getTime() ?? null,
+      before: position,
+      limit: AUDIT_PAGE
+    });
+    more = page.length === AUDIT_PAGE;
+
+    for (const [i, entry] of page.entries()) {
+      scanned += 1;
+      position = position?.at === entry.at ? { at: entry.at, ids: [...position.ids, entry.id] } : { at: entry.at, ids: [entry.id] };
+      if (matchesAudit(entry, filters)) entries.push(entry);
+      if (entries.length >= filters.limit || scanned >= AUDIT_SCAN) {
+        more = more || i < page.length - 1;
+        break;
+      }
+    }
+  }
+
+  return { entries, scanned, cursor: more ? encodeCursor(position) : null };
+}
@@ -1,14 +1,15 @@
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { ensureWorkspace } from "./workspaces.js";
+import { makeAudit } from "./audit.js";
 
-export function configureAuth({ firestore, google }) {
+export function configureAuth({ storage, google }) {
   passport.serializeUser((user, done) => done(null, user.id));
 
   passport.deserializeUser(async (id, done) => {
     try {
-      const snap = await firestore.collection("users").doc(id).get();
-      if (!snap.exists) return done(null, null);
-      done(null, { id: snap.id, ...snap.data() });
+      const user = await storage.users.get(id);
+      done(null, user);
     } catch (err) {
       done(err);
     }
@@ -29,11 +30,10 @@ export function configureAuth({ firestore, google }) {
 
           const tokenExpiry = params.expires_in ? Date.now() + params.expires_in * 1000 : null;
 
-          const usersRef = firestore.collection("users");
-          const q = await usersRef.where("googleId", "==", googleId).limit(1).get();
+          const existing = await storage.users.findByGoogleId(googleId);
 
-          if (q.empty) {
-            const docRef = await usersRef.add({
+          if (!existing) {
+            const id = await storage.users.create({
               googleId,
               email,
               displayName,
@@ -42,23 +42,26 @@ export function configureAuth({ firestore, google }) {
               tokenExpiry,
               createdAt: Date.now()
             });
+            const workspaceId = await ensureWorkspace({ storage, user: { id, email, displayName } });
+            await makeAudit({ storage, workspaceId, user: { id, email } }).record("auth.login", { details: { firstLogin: true } });
 
-            return done(null, { id: docRef.id, googleId, email, displayName });
+            return done(null, { id, googleId, email, displayName });
           }
 
-          const doc = q.docs[0];
-          const existing = doc.data();
-
-          await doc.ref.update({
+          await storage.users.update(existing.id, {
             email,
             displayName,
             accessToken,
             refreshToken: refreshToken || existing.refreshToken || null,
             tokenExpiry,
+            gmailDisconnected: false, // a new login reconnects Gmail (tokens.js)
             updatedAt: Date.now()
           });
+          // first login since workspaces: moves the user's data into a personal workspace; also accepts invitations
+          const workspaceId = await ensureWorkspace({ storage, user: existing });
+          await makeAudit({ storage, workspaceId, user: { id: existing.id, email } }).record("auth.login");
 
-          return done(null, { id: doc.id, googleId, email, displayName });
+          return done(null, { id: existing.id, googleId, email, displayName });
         } catch (err) {
           return done(err);
         }
@@ -0,0 +1,113 @@
+// Category taxonomy for triage.
+// Categories are data, not code: each workspace can edit the list in settings,
+// and the triage prompt + schema are built from it at runtime.
+import { z } from "zod";
+
+export const URGENCIES = ["LOW", "MEDIUM", "HIGH"];
+
+// Same tones as the UI pills
+export const CATEGORY_COLORS = ["neutral", "info", "ok", "warn", "danger"];
+
+// The original gym list; used until a workspace saves its own.
+export const DEFAULT_CATEGORIES = [
+  {
+    name: "CANCELLATION",
+    description: "Member wants to cancel their membership or asks how to.",
+    guidance: "Confirm member identity + effective cancellation date.",
+    color: "danger",
+    icon: "🛑",
+    defaultUrgency: "MEDIUM"
+  },
+  {
+    name: "FREEZE_REQUEST",
+    description: "Member wants to pause or freeze their membership for a while.",
+    guidance: "Ask for freeze start date + duration.",
+    color: "info",
+    icon: "🧊",
+    defaultUrgency: "MEDIUM"
+  },
+  {
+    name: "BOOKING_CHANGE",
+    description: "Booking, rescheduling or cancelling a class or session.",
+    guidance: "Ask for class/session + preferred new date/time.",
+    color: "info",
+    icon: "📅",
+    defaultUrgency: "MEDIUM"
+  },
+  {
+    name: "BILLING_INVOICE",
+    description: "Payments, invoices, receipts, refunds and charges.",
+    guidance: "Ask for date/amount and any identifying detail; reassure and investigate.",
+    color: "warn",
+    icon: "💳",
+    defaultUrgency: "MEDIUM"
+  },
+  {
+    name: "COMPLAINT",
+    description: "Unhappy member: service, staff, facilities or safety.",
+    guidance: "Apologize, acknowledge, propose next step, offer manager follow-up.",
+    color: "danger",
+    icon: "🗣️",
+    defaultUrgency: "HIGH"
+  },
+  {
+    name: "GENERAL_QUESTION",
+    description: "Anything else a member or prospect asks: opening hours, prices, facilities.",
+    guidance: "Answer directly if possible; otherwise ask one question.",
+    color: "neutral",
+    icon: "❓",
+    defaultUrgency: "LOW"
+  },
+  {
+    name: "SPAM_OTHER",
+    description: "Marketing, newsletters, promotions or anything that is not a real support request.",
+    guidance: "Politely decline.",
+    color: "neutral",
+    icon: "✉️",
+    defaultUrgency: "LOW"
+  }
+];
+
+// "Lost and found" -> "LOST_AND_FOUND"
+const categoryName = z
+  .string()
+  .trim()
+  .transform((s) => s.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, ""))
+  .pipe(z.string().regex(/^[A-Z][A-Z0-9_]{1,39}$/, "Name must start with a letter and be 2-40 letters, digits or _"));
+
+const CategorySchema = z.object({
+  name: categoryName,
+  description: z.string().trim().min(1).max(300),
+  guidance: z.string().trim().max(500).default(""),
+  color: z.enum(CATEGORY_COLORS).default("neutral"),
+  icon: z.string().trim().max(8).default("✉️"),
+  defaultUrgency: z.enum(URGENCIES).default("LOW")
+});
+
+const CategoryListSchema = z
+  .array(CategorySchema)
+  .min(1)
+  .max(30)
+  .superRefine((list, ctx) => {
+    const seen = new Set();
+    list.forEach((c, i) => {
+      if (seen.has(c.name)) ctx.addIssue({ code: "custom", path: [i, "name"], message: `Duplicate category ${c.name}` });
+      seen.add(c.name);
+    });
+  });
+
+// parseCategories
+// Validates + normalizes a category list from the settings screen.
+// Returns { categories } or { error } (a readable message for the 400 response).
+export function parseCategories(input) {
+  const parsed = CategoryListSchema.safeParse(input);
+  if (parsed.success) return { categories: parsed.data };
+
+  const issue = parsed.error.issues[0];
+  return { error: `${issue.path.join(".") || "categories"}: ${issue.message}` };
+}
+
+// The category list in effect for a workspace
+export function categoriesFor(workspace) {
+  return workspace?.categories?.length ? workspace.categories : DEFAULT_CATEGORIES;
+}
@@ -0,0 +1,121 @@
+// Human corrections: staff overrides of the AI category / urgency.
+// The override is stored on the email ("override", next to the untouched "ai" result) and as a
+// correction record; the corrections most similar to a new email (shared words, same sender domain)
+// are shown to the triage prompt as few-shot examples.
+import { z } from "zod";
+import { URGENCIES } from "./categories.js";
+
+const DEFAULT_TOP_K = 3;
+const DEFAULT_MIN_SCORE = 0.15;
+const DEFAULT_SCAN = 300;
+const DOMAIN_BONUS = 0.3;
+
+// Shared mail providers say nothing about the sender, so they get no domain bonus.
+const FREEMAIL_DOMAINS = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "outlook.com",
+  "hotmail.com",
+  "live.com",
+  "yahoo.com",
+  "icloud.com",
+  "me.com",
+  "aol.com",
+  "gmx.com",
+  "gmx.de",
+  "web.de",
+  "proton.me",
+  "protonmail.com"
+]);
+
+const STOPWORDS = new Set(
+  "the and for you your with this that have has are was were from our not but can could would will just about please thanks thank hello dear regards kind best".split(" ")
+);
+
+export function correctionLimits(env) {
+  return {
+    topK: Number(env.CORRECTIONS_TOP_K) || DEFAULT_TOP_K,
+    minScore: env.CORRECTIONS_MIN_SCORE != null ? Number(env.CORRECTIONS_MIN_SCORE) : DEFAULT_MIN_SCORE,
+    scan: Number(env.CORRECTIONS_SCAN) || DEFAULT_SCAN
+  };
+}
+
+// "Member <a@Club.example>" -> "club.example"
+export function senderDomain(fromEmail) {
+  return /@([^\s>]+)/.exec(String(fromEmail || ""))?.[1]?.toLowerCase().replace(/[.>]+$/, "") || "";
+}
+
+// Lower-cased words of 3+ letters, stopwords removed, as a Set
+export function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]{3,}/gu);
+  return new Set((words || []).filter((w) => !STOPWORDS.has(w)));
+}
+
+// The part of an email a correction keeps (and compares against)
+export function correctionText(email) {
+  const body = (email.cleanBodyText || email.bodyText || email.snippet || "").replace(/\s+/g, " ").trim();
+  return { subject: String(email.subject || "").slice(0, 200), text: body.slice(0, 600) };
+}
+
+// Jaccard overlap of the words, plus a bonus for the same (non-freemail) sender domain
+function similarity(tokens, domain, correction) {
+  const other = tokenize(`${correction.subject} ${correction.text}`);
+  let shared = 0;
+  for (const t of tokens) if (other.has(t)) shared++;
+  const union = tokens.size + other.size - shared;
+  const words = union ? shared / union : 0;
+  const sameDomain = domain && !FREEMAIL_DOMAINS.has(domain) && correction.fromDomain === domain;
+  return words + (sameDomain ? DOMAIN_BONUS : 0);
+}
+
+// similarCorrections
+// The corrections closest to an email, best first. Corrections of the email itself and
+// corrections to categories that no longer exist are skipped.
+export function similarCorrections({ corrections, email, categories, env }) {
+  const { topK, minScore } = correctionLimits(env);
+  const names = new Set(categories.map((c) => c.name));
+  const { subject, text } = correctionText(email);
+  const tokens = tokenize(`${subject} ${text}`);
+  const domain = senderDomain(email.fromEmail);
+
+  return corrections
+    .filter((c) => c.gmailId !== email.gmailId && names.has(c.category))
+    .map((c) => ({ ...c, score: similarity(tokens, domain, c) }))
+    .filter((c) => c.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+// Recent corrections to pick examples from (newest first).
+// Best effort: when loading fails the email is triaged without examples.
+export async function loadCorrections({ storage, workspaceId, env }) {
+  try {
+    return await storage.corrections.list(workspaceId, { limit: correctionLimits(env).scan });
+  } catch (err) {
+    console.warn("Loading corrections failed:", err?.message || err);
+    return [];
+  }
+}
+
+// parseOverride
+// Validates an override from the API against the workspace's categories.
+// Returns { override } (category and/or urgency) or { error }.
+export function parseOverride(input, categories) {
+  const names = categories.map((c) => c.name);
+  const parsed = z
+    .object({
+      category: z.enum(names).nullable().optional(),
+      urgency: z.enum(URGENCIES).nullable().optional()
+    })
+    .safeParse(input || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".") || "override"}: ${issue.message}` };
+  }
+
+  const { category = null, urgency = null } = parsed.data;
+  if (!category && !urgency) return { error: "Give a category and/or an urgency" };
+  return { override: { category, urgency } };
+}
@@ -0,0 +1,28 @@
+// Editable reply drafts with revision history.
+// The AI draft lives in email.ai.reply_draft; as soon as staff edit, regenerate or restore it,
+// email.draft = { text, revisions, updatedAt } holds the current text and every earlier version.
+// Revision: { n, text, source: "ai" | "edit" | "regenerate" | "restore", instructions, restoredFrom, at, by }
+
+const MAX_REVISIONS = 50;
+
+// The text a Gmail draft / sent reply uses
+export function currentDraftText(email) {
+  return email?.draft?.text ?? email?.ai?.reply_draft ?? "";
+}
+
+// Revision list so far; the AI draft becomes revision 1 the first time the draft changes.
+export function draftRevisions(email) {
+  if (email?.draft?.revisions?.length) return email.draft.revisions;
+  if (!email?.ai?.reply_draft) return [];
+  return [{ n: 1, text: email.ai.reply_draft, source: "ai", instructions: null, restoredFrom: null, at: email.ai.createdAt || null, by: null }];
+}
+
+// addRevision
+// Returns the new email.draft with text as the current version.
+// Older revisions beyond MAX_REVISIONS are dropped; "n" keeps counting so references stay stable.
+export function addRevision(email, { text, source, by = null, instructions = null, restoredFrom = null }) {
+  const prev = draftRevisions(email);
+  const n = (prev.at(-1)?.n || 0) + 1;
+  const revisions = [...prev, { n, text, source, instructions, restoredFrom, at: Date.now(), by }].slice(-MAX_REVISIONS);
+  return { text, revisions, updatedAt: Date.now() };
+}
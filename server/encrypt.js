@@ -0,0 +1,29 @@
+// Encryption migration command (npm run encrypt). Encrypts the Gmail tokens, email content and correction texts
+// that are still stored as plaintext (storage.js ENCRYPTED_FIELDS), and re-wraps values encrypted with an older key after a rotation (see encryption.js).
+// Safe to run again: values already encrypted with the active key are left alone.
+//
+//   npm run encrypt
+//
+// Uses the same .env as the server (STORAGE_BACKEND, ENCRYPTION_KEYS / ENCRYPTION_KEY_FILE ...).
+// Stop the server first with STORAGE_BACKEND=json: both processes rewrite the same file.
+import "dotenv/config";
+import { makeStorage } from "./storage.js";
+
+const storage = makeStorage({ env: process.env });
+
+if (!storage.encryption.enabled) {
+  console.error("No encryption key configured. Set ENCRYPTION_KEYS or ENCRYPTION_KEY_FILE first.");
+  process.exit(1);
+}
+
+console.log(`Encrypting ${storage.backend} storage with key "${storage.encryption.activeKeyId}"...`);
+const result = await storage.encryption.migrate({
+  onProgress: (p) => {
+    if (p.stage === "users") console.log(`users: ${p.rewritten} of ${p.scanned} rewritten`);
+    else console.log(`workspace ${p.workspaceId}: ${p.emails.rewritten} emails, ${p.corrections.rewritten} corrections rewritten so far`);
+  }
+});
+
+const line = (name) => `${name}: ${result[name].rewritten} of ${result[name].scanned}`;
+console.log(`Done. Rewritten ${line("users")}, ${line("emails")}, ${line("corrections")}.`);
+process.exit(0);
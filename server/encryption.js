@@ -0,0 +1,123 @@
+// Envelope encryption for sensitive fields at rest (Gmail tokens, email content), applied by storage.js.
+// Every value gets its own random data key (AES-256-GCM); that data key is stored next to the ciphertext,
+// itself encrypted ("wrapped") with a locally configured key-encryption key. An encrypted field looks like
+//   { enc: "v1", kid: "2026-10", key: "<wrapped data key>", iv: "...", data: "..." }
+// so plaintext from before encryption was turned on still reads, and `npm run encrypt` migrates it.
+//
+// Keys (32 bytes, base64 or hex), "id:key" pairs, the first one encrypts new data:
+//   ENCRYPTION_KEYS=2026-10:base64key,2025-01:base64key
+//   ENCRYPTION_KEY_FILE=./secrets/encryption.keys   (one "id:key" per line, # comments)
+// Rotation: put the new key first, keep the old ones, run `npm run encrypt` (re-wraps data keys only),
+// then drop the old keys. Without any key, fields are stored as plaintext.
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+const VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+
+function parseKey(id, text) {
+  const value = String(text || "").trim();
+  const bytes = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (bytes.length !== 32) throw new Error(`Encryption key "${id}" must be 32 bytes (base64 or 64 hex characters)`);
+  return bytes;
+}
+
+// "id:key" entries -> [{ id, key }]; a bare key gets the id "default"
+function parseKeyList(entries, source) {
+  const keys = [];
+  for (const entry of entries.map((e) => e.trim()).filter((e) => e && !e.startsWith("#"))) {
+    const sep = entry.indexOf(":");
+    const id = sep > 0 ? entry.slice(0, sep).trim() : "default";
+    if (keys.some((k) => k.id === id)) throw new Error(`${source}: duplicate encryption key id "${id}"`);
+    keys.push({ id, key: parseKey(id, sep > 0 ? entry.slice(sep + 1) : entry) });
+  }
+  return keys;
+}
+
+// encryptionKeysFromEnv
+// Returns [{ id, key }], active key first; [] when encryption is not configured.
+export function encryptionKeysFromEnv(env) {
+  const keys = [];
+  if (env.ENCRYPTION_KEYS) keys.push(...parseKeyList(env.ENCRYPTION_KEYS.split(","), "ENCRYPTION_KEYS"));
+  if (env.ENCRYPTION_KEY_FILE) {
+    const fromFile = parseKeyList(fs.readFileSync(env.ENCRYPTION_KEY_FILE, "utf-8").split(/\r?\n/), env.ENCRYPTION_KEY_FILE);
+    for (const k of fromFile) {
+      if (keys.some((existing) => existing.id === k.id)) throw new Error(`Encryption key "${k.id}" is configured twice`);
+      keys.push(k);
+    }
+  }
+  return keys;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad, "utf-8"));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return { iv: iv.toString("base64"), data: data.toString("base64") };
+}
+
+function open(key, { iv, data }, aad) {
+  const raw = Buffer.from(data, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, "base64"));
+  if (aad) decipher.setAAD(Buffer.from(aad, "utf-8"));
+  decipher.setAuthTag(raw.subarray(raw.length - 16));
+  return Buffer.concat([decipher.update(raw.subarray(0, raw.length - 16)), decipher.final()]);
+}
+
+// wrapped data key: "<iv>.<ciphertext+tag>"
+const wrap = (kek, dek) => Object.values(seal(kek, dek)).join(".");
+const unwrap = (kek, wrapped) => {
+  const [iv, data] = String(wrapped).split(".");
+  return open(kek, { iv, data });
+};
+
+export function isEncrypted(value) {
+  return Boolean(value && typeof value === "object" && value.enc === VERSION && value.kid && value.key);
+}
+
+// makeCipher
+// encrypt(value, field) / decrypt(value, field) for any JSON value; the field name is bound to the ciphertext,
+// so an encrypted body cannot be copied into another field. decrypt passes plaintext through.
+// rewrap(value) re-encrypts only the data key with the active key (rotation).
+export function makeCipher({ keys = [] } = {}) {
+  const byId = new Map(keys.map((k) => [k.id, k.key]));
+  const active = keys[0] || null;
+
+  function kekFor(kid) {
+    const kek = byId.get(kid);
+    if (!kek) throw new Error(`Encryption key "${kid}" is not configured (ENCRYPTION_KEYS / ENCRYPTION_KEY_FILE)`);
+    return kek;
+  }
+
+  function encrypt(value, field) {
+    if (!active || value === null || value === undefined || isEncrypted(value)) return value;
+    const dek = crypto.randomBytes(32);
+    const sealed = seal(dek, Buffer.from(JSON.stringify(value), "utf-8"), field);
+    return { enc: VERSION, kid: active.id, key: wrap(active.key, dek), ...sealed };
+  }
+
+  function decrypt(value, field) {
+    if (!isEncrypted(value)) return value;
+    const dek = unwrap(kekFor(value.kid), value.key);
+    return JSON.parse(open(dek, value, field).toString("utf-8"));
+  }
+
+  // true when the stored value should be rewritten: plaintext, or wrapped with an older key
+  function needsRewrite(value) {
+    if (!active || value === null || value === undefined) return false;
+    return !isEncrypted(value) || value.kid !== active.id;
+  }
+
+  function rewrap(value) {
+    if (!isEncrypted(value) || value.kid === active.id) return value;
+    const dek = unwrap(kekFor(value.kid), value.key);
+    return { ...value, kid: active.id, key: wrap(active.key, dek) };
+  }
+
+  return { enabled: Boolean(active), activeKeyId: active?.id || null, encrypt, decrypt, needsRewrite, rewrap };
+}
+
+export function makeCipherFromEnv(env) {
+  return makeCipher({ keys: encryptionKeysFromEnv(env) });
+}
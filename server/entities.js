@@ -0,0 +1,160 @@
+// Typed entities pulled out of an email by triage: who wrote, which membership / booking,
+// which dates, how much money, which classes and a phone number to call back.
+// The model returns them with the triage JSON; normalizeEntities() turns that into a clean shape,
+// stored on the email as "entities":
+//   { member_name, ids: [{ kind, value }], dates: [{ start, end, about }],
+//     amounts: [{ value, currency }], classes: [string], phones: [string] }
+// Dates are ISO "YYYY-MM-DD" (end is null for a single day), currencies ISO 4217 codes or null.
+import { z } from "zod";
+
+export const ID_KINDS = ["membership", "booking"];
+
+const MAX_ITEMS = 10;
+const CURRENCY_SYMBOLS = { "€": "EUR", $: "USD", "£": "GBP" };
+
+const asArray = (v) => (Array.isArray(v) ? v : v == null || v === "" ? [] : [v]);
+const text = (v, max) => (typeof v === "string" || typeof v === "number" ? String(v).replace(/\s+/g, " ").trim().slice(0, max) : "");
+
+// "2026-02-30" is not a date; returns the ISO day or null
+export function isoDay(v) {
+  const s = text(v, 40).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s ? s : null;
+}
+
+// "49,99" / "1,049.00" / 49.99 -> 49.99
+function amountValue(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  let s = text(v, 40).replace(/[^\d.,-]/g, "");
+  if (/,\d{2}$/.test(s) && !/\.\d{2}$/.test(s)) s = s.replace(/\./g, "").replace(",", ".");
+  const n = Number(s.replace(/,/g, ""));
+  return s && Number.isFinite(n) ? n : null;
+}
+
+function currencyCode(v) {
+  const s = text(v, 10).toUpperCase();
+  if (CURRENCY_SYMBOLS[s]) return CURRENCY_SYMBOLS[s];
+  return /^[A-Z]{3}$/.test(s) ? s : null;
+}
+
+// Digits with an optional leading "+", 6-15 digits
+function phoneNumber(v) {
+  const s = text(v, 40);
+  const digits = s.replace(/\D/g, "");
+  if (digits.length < 6 || digits.length > 15) return null;
+  return `${s.startsWith("+") || s.startsWith("00") ? "+" : ""}${s.startsWith("00") ? digits.slice(2) : digits}`;
+}
+
+function uniqBy(list, key) {
+  const seen = new Set();
+  return list.filter((x) => {
+    const k = key(x);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// normalizeEntities
+// Cleans the model's entities: invalid dates, amounts and phone numbers are dropped rather than guessed.
+// Accepts loose input (single values instead of arrays, amounts as strings) since small models vary.
+export function normalizeEntities(raw) {
+  const e = raw && typeof raw === "object" ? raw : {};
+
+  const ids = asArray(e.ids)
+    .map((x) => ({ kind: ID_KINDS.includes(String(x?.kind).toLowerCase()) ? String(x.kind).toLowerCase() : "membership", value: text(x?.value ?? x, 40) }))
+    .filter((x) => x.value);
+
+  const dates = asArray(e.dates)
+    .map((x) => {
+      let start = isoDay(x?.start ?? x);
+      let end = isoDay(x?.end);
+      if (!start && end) [start, end] = [end, null];
+      if (start && end && end < start) [start, end] = [end, start];
+      return { start, end: end === start ? null : end, about: text(x?.about, 60) || null };
+    })
+    .filter((x) => x.start);
+
+  const amounts = asArray(e.amounts)
+    .map((x) => ({ value: amountValue(x?.value ?? x), currency: currencyCode(x?.currency) }))
+    .filter((x) => x.value != null);
+
+  return {
+    member_name: text(e.member_name, 80) || null,
+    ids: uniqBy(ids, (x) => `${x.kind}:${x.value.toUpperCase()}`).slice(0, MAX_ITEMS),
+    dates: uniqBy(dates, (x) => `${x.start}/${x.end}`).slice(0, MAX_ITEMS),
+    amounts: uniqBy(amounts, (x) => `${x.value}${x.currency}`).slice(0, MAX_ITEMS),
+    classes: uniqBy(asArray(e.classes).map((x) => text(x, 60)).filter(Boolean), (x) => x.toLowerCase()).slice(0, MAX_ITEMS),
+    phones: uniqBy(asArray(e.phones).map(phoneNumber).filter(Boolean), (x) => x).slice(0, MAX_ITEMS)
+  };
+}
+
+// Query parameters of GET /api/emails that filter on entities
+const FilterSchema = z.object({
+  member: z.string().trim().min(1).max(80).optional(),
+  entityId: z.string().trim().min(1).max(40).optional(),
+  idKind: z.enum(ID_KINDS).optional(),
+  date: z.string().refine(isoDay, "must be YYYY-MM-DD").optional(),
+  dateFrom: z.string().refine(isoDay, "must be YYYY-MM-DD").optional(),
+  dateTo: z.string().refine(isoDay, "must be YYYY-MM-DD").optional(),
+  currency: z.string().trim().length(3).transform((s) => s.toUpperCase()).optional(),
+  minAmount: z.coerce.number().optional(),
+  maxAmount: z.coerce.number().optional(),
+  class: z.string().trim().min(1).max(60).optional(),
+  phone: z.string().trim().min(3).max(40).optional()
+});
+
+// parseEntityFilters
+// Returns { filters } (null when no entity filter is given) or { error }.
+export function parseEntityFilters(query) {
+  const keys = Object.keys(FilterSchema.shape);
+  const given = Object.fromEntries(Object.entries(query || {}).filter(([k, v]) => keys.includes(k) && v !== ""));
+  if (!Object.keys(given).length) return { filters: null };
+
+  const parsed = FilterSchema.safeParse(given);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".")}: ${issue.message}` };
+  }
+  return { filters: parsed.data };
+}
+
+// matchesEntities
+// True when the email's entities satisfy every filter. Text filters are case-insensitive substrings;
+// date filters match single days and ranges that overlap the asked day / period.
+export function matchesEntities(entities, f) {
+  if (!f) return true;
+  const e = entities || normalizeEntities(null);
+  const has = (hay, needle) => String(hay || "").toLowerCase().includes(needle.toLowerCase());
+
+  if (f.member && !has(e.member_name, f.member)) return false;
+  if (f.entityId || f.idKind) {
+    const ok = e.ids.some((x) => (!f.idKind || x.kind === f.idKind) && (!f.entityId || has(x.value, f.entityId)));
+    if (!ok) return false;
+  }
+
+  const from = f.date || f.dateFrom;
+  const to = f.date || f.dateTo;
+  if (from || to) {
+    const ok = e.dates.some((d) => (!from || (d.end || d.start) >= from) && (!to || d.start <= to));
+    if (!ok) return false;
+  }
+
+  if (f.currency || f.minAmount != null || f.maxAmount != null) {
+    const ok = e.amounts.some(
+      (a) =>
+        (!f.currency || a.currency === f.currency) &&
+        (f.minAmount == null || a.value >= f.minAmount) &&
+        (f.maxAmount == null || a.value <= f.maxAmount)
+    );
+    if (!ok) return false;
+  }
+
+  if (f.class && !e.classes.some((c) => has(c, f.class))) return false;
+  if (f.phone) {
+    const digits = f.phone.replace(/\D/g, "");
+    if (!digits || !e.phones.some((p) => p.includes(digits))) return false;
+  }
+  return true;
+}
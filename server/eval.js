@@ -0,0 +1,214 @@
+// Offline evaluation command (npm run eval). Runs triageEmail (and with --summaries summarizeEmail)
+// over a labelled dataset for one or more models, prints the metrics and saves the run as JSON.
+//
+//   npm run eval -- --data evals/emails.jsonl
+//   npm run eval -- --data evals/eml/ --models ollama:llama3.1,ollama:qwen2.5 --summaries
+//   npm run eval -- --diff eval-results/a.json eval-results/b.json
+//
+// Options:
+//   --data <file|folder>   JSONL dataset or folder of .eml files (see evaluation.js)
+//   --models <list>        comma-separated provider:model (default: LLM_PROVIDER / LLM_MODEL from .env)
+//   --categories <file>    JSON category list (default: the built-in categories)
+//   --limit <n>            only the first n emails
+//   --summaries            also run summarizeEmail
+//   --label <name>         name used in the results file
+//   --out <folder>         where results are saved (default: eval-results)
+import "dotenv/config";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { summarizeEmail, triageEmail } from "./ai.js";
+import { DEFAULT_CATEGORIES, parseCategories } from "./categories.js";
+import { LLM_PROVIDERS, makeLlm, resolveLlmConfig } from "./llm.js";
+import { DRAFT_RULES, checkDraftRules, diffRuns, loadDataset, scoreRun } from "./evaluation.js";
+
+const env = process.env;
+
+// "ollama:llama3.1" -> provider + model; a bare model name uses the configured provider
+function llmFor(spec) {
+  const [first, ...rest] = spec.split(":");
+  const provider = LLM_PROVIDERS.includes(first) ? first : null;
+  const model = provider ? rest.join(":") : spec;
+  const config = resolveLlmConfig({ env, user: provider ? { llmSettings: { provider } } : null });
+  return makeLlm({ ...config, model: model || config.model });
+}
+
+async function loadCategories(file) {
+  if (!file) return DEFAULT_CATEGORIES;
+  const { categories, error } = parseCategories(JSON.parse(await fs.readFile(file, "utf-8")));
+  if (error) throw new Error(`${file}: ${error}`);
+  return categories;
+}
+
+async function runModel({ llm, items, categories, summaries }) {
+  const out = [];
+  for (const [i, item] of items.entries()) {
+    const row = { id: item.id, expected: item.expected, predicted: null, latencyMs: null, error: null, draftChecks: null };
+
+    const started = Date.now();
+    try {
+      const triage = await triageEmail({ email: item.email, llm, categories, timeoutMs: 180000, maxChars: 2000 });
+      row.predicted = { category: triage.category, urgency: triage.urgency, confidence: triage.confidence };
+      row.draftChecks = checkDraftRules(triage.reply_draft);
+    } catch (err) {
+      row.error = String(err?.message || err);
+    }
+    row.latencyMs = Date.now() - started;
+
+    if (summaries) {
+      const t = Date.now();
+      try {
+        await summarizeEmail({ email: item.email, llm, timeoutMs: 45000, maxChars: 4000 });
+        row.summary = { latencyMs: Date.now() - t, error: null };
+      } catch (err) {
+        row.summary = { latencyMs: Date.now() - t, error: String(err?.message || err) };
+      }
+    }
+
+    const mark = row.error ? "ERR" : row.predicted.category === item.expected.category ? "ok " : "-- ";
+    process.stderr.write(`[${llm.model}] ${i + 1}/${items.length} ${mark} ${item.id} (${row.latencyMs} ms)\n`);
+    out.push(row);
+  }
+  return out;
+}
+
+const pct = (x) => (x == null ? "-" : `${(x * 100).toFixed(1)}%`);
+const ms = (l) => (l ? `mean ${l.mean} · p50 ${l.p50} · p95 ${l.p95} · max ${l.max} ms` : "-");
+
+function printConfusion(confusion) {
+  const rows = Object.keys(confusion).sort();
+  const cols = Array.from(new Set(rows.flatMap((r) => Object.keys(confusion[r])))).sort();
+  const width = Math.max(10, ...rows.map((r) => r.length));
+  const colWidth = (c) => Math.max(4, c.length);
+
+  console.log(`  ${"expected \\ got".padEnd(width)}  ${cols.map((c) => c.padStart(colWidth(c))).join("  ")}`);
+  for (const r of rows) {
+    const cells = cols.map((c) => String(confusion[r][c] || (r === c ? 0 : ".")).padStart(colWidth(c)));
+    console.log(`  ${r.padEnd(width)}  ${cells.join("  ")}`);
+  }
+}
+
+function printRun(model) {
+  const m = model.metrics;
+  console.log(`\n=== ${model.provider}:${model.model} ===`);
+  console.log(`Emails: ${m.n} (${m.labelled} with a category label) · errors ${m.errors} · schema failures ${m.schemaFailures} (${pct(m.schemaFailureRate)})`);
+  console.log(`Category accuracy: ${pct(m.categoryAccuracy)}`);
+  console.log(`Urgency agreement: ${pct(m.urgencyAgreement)} exact · ${pct(m.urgencyWithinOne)} within one step`);
+  console.log(`Latency (triage): ${ms(m.latencyMs)}`);
+  if (m.summary) console.log(`Summaries: ${m.summary.n} · errors ${m.summary.errors} · schema failures ${pct(m.summary.schemaFailureRate)} · ${ms(m.summary.latencyMs)}`);
+
+  console.log("Per category:");
+  for (const [name, c] of Object.entries(m.perCategory).sort()) {
+    console.log(`  ${name.padEnd(20)} n=${String(c.n).padEnd(4)} precision ${pct(c.precision).padStart(6)}  recall ${pct(c.recall).padStart(6)}`);
+  }
+
+  console.log("Confusion matrix:");
+  printConfusion(m.confusion);
+
+  console.log(`Calibration (ECE ${m.calibration.ece == null ? "-" : m.calibration.ece.toFixed(3)}, Brier ${m.calibration.brier == null ? "-" : m.calibration.brier.toFixed(3)}):`);
+  for (const b of m.calibration.bins) {
+    if (!b.n) continue;
+    console.log(`  confidence ${b.from.toFixed(1)}-${b.to.toFixed(1)}: n=${String(b.n).padEnd(4)} avg ${pct(b.confidence).padStart(6)}  accuracy ${pct(b.accuracy).padStart(6)}`);
+  }
+
+  console.log(`Draft rules: ${DRAFT_RULES.map((r) => `${r} ${pct(m.draftRules[r])}`).join(" · ")} · all ${pct(m.draftRules.all)}`);
+}
+
+function printDiff(diffs, a, b) {
+  if (!diffs.length) {
+    console.log("No models in common between the two runs.");
+    return;
+  }
+  const rows = [
+    ["Category accuracy", (m) => m.categoryAccuracy],
+    ["Urgency agreement", (m) => m.urgencyAgreement],
+    ["Urgency within one", (m) => m.urgencyWithinOne],
+    ["Schema failures", (m) => m.schemaFailureRate],
+    ["Draft rules (all)", (m) => m.draftRules.all],
+    ["Calibration ECE", (m) => m.calibration.ece]
+  ];
+
+  console.log(`A: ${a.file} (${a.createdAt})\nB: ${b.file} (${b.createdAt})`);
+  for (const d of diffs) {
+    console.log(`\n=== ${d.before}  vs  ${d.after} ===`);
+    console.log(`  ${"".padEnd(20)} ${"A".padStart(8)} ${"B".padStart(8)} ${"delta".padStart(8)}`);
+    for (const [name, get] of rows) {
+      const x = get(d.metricsBefore);
+      const y = get(d.metricsAfter);
+      const delta = x == null || y == null ? "-" : `${y - x >= 0 ? "+" : ""}${((y - x) * 100).toFixed(1)}`;
+      console.log(`  ${name.padEnd(20)} ${pct(x).padStart(8)} ${pct(y).padStart(8)} ${delta.padStart(8)}`);
+    }
+    const la = d.metricsBefore.latencyMs?.p50;
+    const lb = d.metricsAfter.latencyMs?.p50;
+    console.log(`  ${"Latency p50 (ms)".padEnd(20)} ${String(la ?? "-").padStart(8)} ${String(lb ?? "-").padStart(8)} ${(la != null && lb != null ? String(lb - la) : "-").padStart(8)}`);
+
+    if (d.changed.length) {
+      console.log(`  Category changed on ${d.changed.length} email(s):`);
+      for (const c of d.changed) {
+        const verdict = c.after === c.expected ? "fixed" : c.before === c.expected ? "broken" : "still wrong";
+        console.log(`    ${c.id}: ${c.before} -> ${c.after} (expected ${c.expected || "-"}, ${verdict})`);
+      }
+    }
+  }
+}
+
+async function readRun(file) {
+  return { ...JSON.parse(await fs.readFile(file, "utf-8")), file };
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      data: { type: "string" },
+      models: { type: "string" },
+      categories: { type: "string" },
+      limit: { type: "string" },
+      summaries: { type: "boolean", default: false },
+      label: { type: "string" },
+      out: { type: "string", default: "eval-results" },
+      diff: { type: "boolean", default: false }
+    }
+  });
+
+  if (values.diff) {
+    if (positionals.length !== 2) throw new Error("Usage: npm run eval -- --diff <run-a.json> <run-b.json>");
+    const [a, b] = await Promise.all(positionals.map(readRun));
+    printDiff(diffRuns(a, b), a, b);
+    return;
+  }
+
+  if (!values.data) throw new Error("Usage: npm run eval -- --data <file.jsonl | folder-of-eml> [--models provider:model,...]");
+
+  const categories = await loadCategories(values.categories);
+  let items = await loadDataset(values.data);
+  if (values.limit) items = items.slice(0, Number(values.limit));
+  if (!items.length) throw new Error(`No emails found in ${values.data}`);
+
+  const specs = values.models ? values.models.split(",").map((s) => s.trim()).filter(Boolean) : [null];
+  const run = {
+    createdAt: new Date().toISOString(),
+    dataset: values.data,
+    categories: categories.map((c) => c.name),
+    models: []
+  };
+
+  for (const spec of specs) {
+    const llm = spec ? llmFor(spec) : makeLlm(resolveLlmConfig({ env }));
+    const results = await runModel({ llm, items, categories, summaries: values.summaries });
+    const model = { provider: llm.name, model: llm.model, metrics: scoreRun(results), items: results };
+    run.models.push(model);
+    printRun(model);
+  }
+
+  await fs.mkdir(values.out, { recursive: true });
+  const label = (values.label || run.models.map((m) => m.model).join("+")).replace(/[^\w.+-]+/g, "_");
+  const file = path.join(values.out, `${run.createdAt.replace(/[:.]/g, "-")}-${label}.json`);
+  await fs.writeFile(file, JSON.stringify(run, null, 2));
+  console.log(`\nSaved ${file}`);
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,248 @@
+// Offline evaluation of triage (and optionally summaries) against a labelled dataset.
+// Used by the eval.js command; everything here is pure apart from reading the dataset.
+//
+// Dataset: a JSONL file, one email per line:
+//   { "id": "e1", "from": "a@b.c", "subject": "...", "body": "...", "category": "CANCELLATION", "urgency": "MEDIUM" }
+//   ("eml": "path/to/file.eml" instead of from/subject/body reads the message from a file, relative to the JSONL)
+// or a folder of .eml files, labelled by X-Expected-Category / X-Expected-Urgency headers
+// or by a labels.json next to them: { "file.eml": { "category": "...", "urgency": "..." } }.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseMessage } from "./gmail.js";
+import { decodeHeader, headerValue, parseRawMessage } from "./mime.js";
+import { URGENCIES } from "./categories.js";
+
+// An .eml file -> the email shape triageEmail() takes, plus labels found in its headers
+function emailFromEml(raw, id) {
+  const payload = parseRawMessage(raw);
+  const email = parseMessage({ id, payload });
+  const label = (name) => decodeHeader(headerValue(payload.headers || [], name)).trim().toUpperCase() || null;
+  return { email, category: label("X-Expected-Category"), urgency: label("X-Expected-Urgency") };
+}
+
+async function readJsonl(file) {
+  const dir = path.dirname(file);
+  const lines = (await fs.readFile(file, "utf-8")).split(/\r?\n/);
+  const items = [];
+
+  for (const [i, line] of lines.entries()) {
+    if (!line.trim()) continue;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: invalid JSON`);
+    }
+    const id = String(row.id ?? `line-${i + 1}`);
+
+    let email;
+    let fromEml = {};
+    if (row.eml) {
+      fromEml = emailFromEml(await fs.readFile(path.resolve(dir, row.eml)), id);
+      email = fromEml.email;
+    } else {
+      const body = String(row.body ?? row.text ?? "");
+      email = { gmailId: id, fromEmail: row.from || row.fromEmail || "", subject: row.subject || "", bodyText: body, cleanBodyText: body, attachments: [] };
+    }
+
+    items.push({
+      id,
+      email,
+      expected: {
+        category: row.category ? String(row.category).toUpperCase() : fromEml.category || null,
+        urgency: row.urgency ? String(row.urgency).toUpperCase() : fromEml.urgency || null
+      }
+    });
+  }
+  return items;
+}
+
+async function readEmlFolder(dir) {
+  const files = (await fs.readdir(dir)).filter((f) => f.toLowerCase().endsWith(".eml")).sort();
+  let labels = {};
+  try {
+    labels = JSON.parse(await fs.readFile(path.join(dir, "labels.json"), "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`${dir}/labels.json: ${err.message}`);
+  }
+
+  const items = [];
+  for (const file of files) {
+    const { email, category, urgency } = emailFromEml(await fs.readFile(path.join(dir, file)), file);
+    const label = labels[file] || {};
+    items.push({
+      id: file,
+      email,
+      expected: {
+        category: label.category ? String(label.category).toUpperCase() : category,
+        urgency: label.urgency ? String(label.urgency).toUpperCase() : urgency
+      }
+    });
+  }
+  return items;
+}
+
+// loadDataset
+// Reads a JSONL file or a folder of .eml files -> [{ id, email, expected: { category, urgency } }]
+export async function loadDataset(source) {
+  const stat = await fs.stat(source);
+  return stat.isDirectory() ? readEmlFolder(source) : readJsonl(source);
+}
+
+// Parse / validation failures, as opposed to timeouts and connection errors
+export function isSchemaFailure(message) {
+  return /schema validation|did not return JSON|malformed JSON/i.test(String(message || ""));
+}
+
+// checkDraftRules
+// The mechanical reply rules of the triage prompt, checked on one reply_draft.
+export function checkDraftRules(draft) {
+  const text = String(draft || "").replace(/\r\n/g, "\n").trim();
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return {
+    length: words >= 90 && words <= 160,
+    greeting: /^Hi (there|[\p{Lu}][\p{L}'-]*),/u.test(text),
+    signOff: /\n\s*Kind regards,\nManagement Team$/.test(text),
+    oneQuestion: (text.match(/\?/g) || []).length <= 1
+  };
+}
+
+export const DRAFT_RULES = ["length", "greeting", "signOff", "oneQuestion"];
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencyStats(values) {
+  const sorted = values.filter((v) => typeof v === "number").sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return {
+    mean: Math.round(sorted.reduce((s, v) => s + v, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted.at(-1)
+  };
+}
+
+const rate = (hits, total) => (total ? hits / total : null);
+
+// Confidence buckets 0-0.5, 0.5-0.6 ... 0.9-1.0: how often the model was right at each confidence.
+// ece = expected calibration error (weighted gap between confidence and accuracy); brier = mean squared error.
+function calibration(rows) {
+  const edges = [0, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0001];
+  const bins = edges.slice(0, -1).map((lo, i) => ({ from: lo, to: Math.min(edges[i + 1], 1), n: 0, confidence: 0, accuracy: 0 }));
+  let brier = 0;
+
+  for (const r of rows) {
+    const bin = bins.find((b, i) => r.confidence >= b.from && r.confidence < edges[i + 1]);
+    bin.n++;
+    bin.confidence += r.confidence;
+    bin.accuracy += r.correct ? 1 : 0;
+    brier += (r.confidence - (r.correct ? 1 : 0)) ** 2;
+  }
+
+  let ece = 0;
+  for (const b of bins) {
+    if (!b.n) continue;
+    b.confidence /= b.n;
+    b.accuracy /= b.n;
+    ece += (b.n / rows.length) * Math.abs(b.confidence - b.accuracy);
+  }
+  return { bins, ece: rows.length ? ece : null, brier: rows.length ? brier / rows.length : null };
+}
+
+// scoreRun
+// Metrics for one model's results: [{ expected, predicted, confidence, latencyMs, error, draftChecks, summary }]
+// Failed calls count as wrong answers in the accuracy (and as "(failed)" in the confusion matrix).
+export function scoreRun(results) {
+  const labelled = results.filter((r) => r.expected.category);
+  const ok = results.filter((r) => !r.error);
+
+  const confusion = {};
+  for (const r of labelled) {
+    const row = (confusion[r.expected.category] ||= {});
+    const got = r.error ? "(failed)" : r.predicted.category;
+    row[got] = (row[got] || 0) + 1;
+  }
+
+  const correct = labelled.filter((r) => !r.error && r.predicted.category === r.expected.category).length;
+
+  const perCategory = {};
+  for (const name of new Set([...labelled.map((r) => r.expected.category), ...ok.map((r) => r.predicted.category)])) {
+    const tp = labelled.filter((r) => !r.error && r.expected.category === name && r.predicted.category === name).length;
+    const predicted = labelled.filter((r) => !r.error && r.predicted.category === name).length;
+    const actual = labelled.filter((r) => r.expected.category === name).length;
+    perCategory[name] = { n: actual, precision: rate(tp, predicted), recall: rate(tp, actual) };
+  }
+
+  const urgencyRows = results.filter((r) => r.expected.urgency && !r.error);
+  const step = (u) => URGENCIES.indexOf(u);
+  const urgencyExact = urgencyRows.filter((r) => r.predicted.urgency === r.expected.urgency).length;
+  const urgencyNear = urgencyRows.filter((r) => Math.abs(step(r.predicted.urgency) - step(r.expected.urgency)) <= 1).length;
+
+  const calibrationRows = labelled
+    .filter((r) => !r.error && typeof r.predicted.confidence === "number")
+    .map((r) => ({ confidence: r.predicted.confidence, correct: r.predicted.category === r.expected.category }));
+
+  const drafts = ok.filter((r) => r.draftChecks);
+  const draftRules = {};
+  for (const rule of DRAFT_RULES) draftRules[rule] = rate(drafts.filter((r) => r.draftChecks[rule]).length, drafts.length);
+  const allRules = rate(drafts.filter((r) => DRAFT_RULES.every((rule) => r.draftChecks[rule])).length, drafts.length);
+
+  const summaries = results.filter((r) => r.summary);
+
+  return {
+    n: results.length,
+    labelled: labelled.length,
+    errors: results.filter((r) => r.error).length,
+    schemaFailures: results.filter((r) => r.error && isSchemaFailure(r.error)).length,
+    schemaFailureRate: rate(results.filter((r) => r.error && isSchemaFailure(r.error)).length, results.length),
+    categoryAccuracy: rate(correct, labelled.length),
+    perCategory,
+    confusion,
+    urgencyAgreement: rate(urgencyExact, urgencyRows.length),
+    urgencyWithinOne: rate(urgencyNear, urgencyRows.length),
+    calibration: calibration(calibrationRows),
+    latencyMs: latencyStats(results.map((r) => r.latencyMs)),
+    draftRules: { ...draftRules, all: allRules },
+    summary: summaries.length
+      ? {
+          n: summaries.length,
+          schemaFailureRate: rate(summaries.filter((r) => r.summary.error && isSchemaFailure(r.summary.error)).length, summaries.length),
+          errors: summaries.filter((r) => r.summary.error).length,
+          latencyMs: latencyStats(summaries.map((r) => r.summary.latencyMs))
+        }
+      : null
+  };
+}
+
+const modelKey = (m) => `${m.provider}:${m.model}`;
+
+// diffRuns
+// Compares two saved runs: metric deltas per model and the emails whose category changed.
+// Models are matched by provider:model; two single-model runs are compared with each other.
+export function diffRuns(a, b) {
+  const pairs = [];
+  if (a.models.length === 1 && b.models.length === 1) {
+    pairs.push([a.models[0], b.models[0]]);
+  } else {
+    for (const m of a.models) {
+      const other = b.models.find((x) => modelKey(x) === modelKey(m));
+      if (other) pairs.push([m, other]);
+    }
+  }
+
+  return pairs.map(([before, after]) => {
+    const afterById = new Map(after.items.map((r) => [r.id, r]));
+    const changed = [];
+    for (const r of before.items) {
+      const o = afterById.get(r.id);
+      if (!o) continue;
+      const was = r.error ? "(failed)" : r.predicted.category;
+      const now = o.error ? "(failed)" : o.predicted.category;
+      if (was !== now) changed.push({ id: r.id, expected: r.expected.category, before: was, after: now });
+    }
+    return { before: modelKey(before), after: modelKey(after), metricsBefore: before.metrics, metricsAfter: after.metrics, changed };
+  });
+}
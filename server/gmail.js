@@ -1,4 +1,6 @@
 import { google } from "googleapis";
+import { listAttachments } from "./attachments.js";
+import { decodeHeader, extractBody, headerValue } from "./mime.js";
 
 export function makeOAuthClient({ clientId, clientSecret, redirectUri, tokens }) {
   const oauth2 = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
@@ -20,7 +22,7 @@ export async function markEmailAsRead({ oauth2Client, gmailId }) {
   return { ok: true };
 }
 
-export async function fetchLatestEmails({ oauth2Client, maxResults = 20, labelIds = ["INBOX"] }) {
+export async function listMessageIds({ oauth2Client, maxResults = 20, labelIds = ["INBOX"] }) {
   const gmail = google.gmail({ version: "v1", auth: oauth2Client });
 
   const listRes = await gmail.users.messages.list({
@@ -29,90 +31,296 @@ export async function fetchLatestEmails({ oauth2Client, maxResults = 20, labelId
     maxResults
   });
 
-  const msgs = listRes.data.messages || [];
-  const results = [];
+  return (listRes.data.messages || []).map((m) => m.id);
+}
 
-  for (const m of msgs) {
-    const full = await gmail.users.messages.get({
-      userId: "me",
-      id: m.id,
-      format: "full"
-    });
+export async function fetchEmail({ oauth2Client, gmailId }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+  const full = await gmail.users.messages.get({
+    userId: "me",
+    id: gmailId,
+    format: "full"
+  });
+
+  return parseMessage(full.data);
+}
 
-    const payload = full.data.payload;
-    const headers = payload?.headers || [];
+// Forwarded message as a text block. No "From:"-style header lines, so cleanEmailBody does not cut it off.
+function forwardBlock(fwd, clean) {
+  const nested = fwd.forwards.map((f) => forwardBlock(f, clean));
+  return [
+    "---------- Forwarded message ----------",
+    [fwd.from && `From ${fwd.from}`, fwd.date].filter(Boolean).join(", "),
+    fwd.subject ? `"${fwd.subject}"` : "",
+    "",
+    [clean ? cleanEmailBody(fwd.text) : fwd.text, ...nested].filter(Boolean).join("\n\n")
+  ].join("\n");
+}
 
-    const getHeader = (name) =>
-      headers.find((h) => h.name?.toLowerCase() === name.toLowerCase())?.value || "";
+// Gmail message resource (format "full") or a parseRawMessage() payload wrapped as { id, payload }
+// -> the email shape we store
+export function parseMessage(data) {
+  const payload = data.payload;
+  const headers = payload?.headers || [];
+
+  const subject = decodeHeader(headerValue(headers, "Subject"));
+  const from = decodeHeader(headerValue(headers, "From"));
+  const date = headerValue(headers, "Date");
+
+  const snippet = data.snippet || "";
+  const body = extractBody(payload);
+  const bodyText = [body.text, ...body.forwards.map((f) => forwardBlock(f, false))].filter(Boolean).join("\n\n");
+
+  // ✅ NEW: clean the body so the UI and AI use the "pure message"
+  // (forwarded messages are kept: for a forward they are what the email is about)
+  const cleanBodyText =
+    [cleanEmailBody(body.text), ...body.forwards.map((f) => forwardBlock(f, true))].filter(Boolean).join("\n\n") ||
+    cleanEmailBody(snippet) ||
+    "";
+
+  const msgLabelIds = data.labelIds || [];
+  const isUnread = msgLabelIds.includes("UNREAD");
+
+  const attachments = listAttachments(payload);
+
+  return {
+    gmailId: data.id,
+    threadId: data.threadId || null,
+    fromEmail: from,
+    subject,
+    dateIso: date && !isNaN(new Date(date)) ? new Date(date).toISOString() : null,
+    snippet,
+    bodyText,
+    cleanBodyText, // ✅ store cleaned version
+    labelIds: msgLabelIds,
+    isUnread,
+    attachments
+  };
+}
 
-    const subject = getHeader("Subject");
-    const from = getHeader("From");
-    const date = getHeader("Date");
+// Raw bytes of one attachment. Gmail attachment ids are not stable between message fetches,
+// so the part is looked up again by partId and read with its current attachmentId.
+export async function fetchAttachment({ oauth2Client, gmailId, partId }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
 
-    const snippet = full.data.snippet || "";
-    const bodyText = extractBodyText(payload);
+  const full = await gmail.users.messages.get({ userId: "me", id: gmailId, format: "full" });
+  const att = listAttachments(full.data.payload).find((a) => a.partId === partId);
+  if (!att) return null;
 
-    // ✅ NEW: clean the body so the UI and AI use the "pure message"
-    const cleanBodyText = cleanEmailBody(bodyText) || cleanEmailBody(snippet) || "";
+  return { ...att, data: await fetchAttachmentData({ oauth2Client, gmailId, attachment: att }) };
+}
 
-    const msgLabelIds = full.data.labelIds || [];
-    const isUnread = msgLabelIds.includes("UNREAD");
+// Bytes of an attachment from listAttachments() of a fresh fetch (inline data or attachments.get)
+export async function fetchAttachmentData({ oauth2Client, gmailId, attachment }) {
+  if (attachment.inlineData) return Buffer.from(attachment.inlineData, "base64url");
+
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const res = await gmail.users.messages.attachments.get({
+    userId: "me",
+    messageId: gmailId,
+    id: attachment.attachmentId
+  });
 
-    results.push({
-      gmailId: full.data.id,
-      threadId: full.data.threadId || null,
-      fromEmail: from,
-      subject,
-      dateIso: date ? new Date(date).toISOString() : null,
-      snippet,
-      bodyText,
-      cleanBodyText, // ✅ store cleaned version
-      labelIds: msgLabelIds,
-      isUnread
+  return Buffer.from(res.data.data || "", "base64url");
+}
+
+// "Jane Doe <jane@x.com>" -> "jane@x.com"
+export function emailAddress(from) {
+  const m = /<([^>]+)>/.exec(from || "");
+  return (m ? m[1] : from || "").trim().toLowerCase();
+}
+
+// fetchThreadHistory
+// The conversation before gmailId in its thread (users.threads.get), oldest first and condensed:
+// each entry is { gmailId, fromEmail, dateIso, fromUs, text } with text cleaned and capped.
+// fromUs marks messages we sent (SENT label), i.e. our own earlier replies.
+export async function fetchThreadHistory({ oauth2Client, threadId, gmailId, maxMessages = 6, maxChars = 600 }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+  const res = await gmail.users.threads.get({ userId: "me", id: threadId, format: "full" });
+  const messages = (res.data.messages || [])
+    .slice()
+    .sort((a, b) => Number(a.internalDate || 0) - Number(b.internalDate || 0));
+
+  const idx = messages.findIndex((m) => m.id === gmailId);
+  const earlier = idx === -1 ? messages.filter((m) => m.id !== gmailId) : messages.slice(0, idx);
+
+  return earlier.slice(-maxMessages).map((m) => {
+    const e = parseMessage(m);
+    return {
+      gmailId: e.gmailId,
+      fromEmail: e.fromEmail,
+      dateIso: e.dateIso,
+      fromUs: e.labelIds.includes("SENT"),
+      text: (e.cleanBodyText || e.snippet || "").slice(0, maxChars)
+    };
+  });
+}
+
+// threadStats
+// How many times the member has written before, and how many of those came after our last reply
+// (unanswered chasers). Used by the triage prompt and shown in the UI.
+export function threadStats({ history, fromEmail }) {
+  const sender = emailAddress(fromEmail);
+  const fromMember = (h) => !h.fromUs && emailAddress(h.fromEmail) === sender;
+
+  const lastOurs = history.map((h) => h.fromUs).lastIndexOf(true);
+
+  return {
+    earlierMessages: history.length,
+    memberMessages: history.filter(fromMember).length,
+    ourReplies: history.filter((h) => h.fromUs).length,
+    followUpsSinceOurReply: history.slice(lastOurs + 1).filter(fromMember).length
+  };
+}
+
+// Current mailbox historyId: the starting point for the next incremental sync.
+export async function getMailboxHistoryId({ oauth2Client }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const profile = await gmail.users.getProfile({ userId: "me" });
+  return profile.data.historyId || null;
+}
+
+// Everything that happened in the mailbox since startHistoryId (users.history.list, all pages).
+// Returns { historyId, changes } where changes maps gmailId -> { added, labelIds }:
+//   - added: the message arrived after startHistoryId
+//   - labelIds: the message's latest known labels (history records are in chronological order)
+// Throws a 404 error when startHistoryId is too old; check with isNotFound().
+export async function listHistoryChanges({ oauth2Client, startHistoryId }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+
+  const changes = new Map();
+  const note = (message, added = false) => {
+    if (!message?.id) return;
+    const prev = changes.get(message.id);
+    changes.set(message.id, {
+      added: added || prev?.added || false,
+      labelIds: message.labelIds || prev?.labelIds || []
     });
-  }
+  };
 
-  return results;
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const res = await gmail.users.history.list({
+      userId: "me",
+      startHistoryId,
+      historyTypes: ["messageAdded", "labelAdded", "labelRemoved"],
+      pageToken
+    });
+
+    for (const h of res.data.history || []) {
+      (h.messagesAdded || []).forEach((x) => note(x.message, true));
+      (h.labelsAdded || []).forEach((x) => note(x.message));
+      (h.labelsRemoved || []).forEach((x) => note(x.message));
+    }
+
+    historyId = res.data.historyId || historyId;
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+
+  return { historyId, changes };
 }
 
-function extractBodyText(payload) {
-  if (!payload) return "";
+// 404 from the Gmail API: the message was deleted, or (history.list) the startHistoryId
+// is no longer available (roughly a week old) and the caller has to fall back to a full resync.
+export function isNotFound(err) {
+  return err?.code === 404 || err?.status === 404 || err?.response?.status === 404;
+}
 
-  const parts = payload.parts || [];
-  if (parts.length) {
-    const plain = findPart(parts, "text/plain");
-    if (plain?.body?.data) return decodeBase64Url(plain.body.data);
+// Labels only (cheap), used to reconcile stored emails during a full resync.
+export async function fetchLabelIds({ oauth2Client, gmailId }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const res = await gmail.users.messages.get({ userId: "me", id: gmailId, format: "minimal" });
+  return res.data.labelIds || [];
+}
 
-    const html = findPart(parts, "text/html");
-    if (html?.body?.data) return stripHtml(decodeBase64Url(html.body.data));
+// Headers needed to thread a reply, read fresh from Gmail at send time
+// (older stored emails do not carry Message-ID / References).
+async function fetchReplyHeaders({ gmail, gmailId }) {
+  const res = await gmail.users.messages.get({
+    userId: "me",
+    id: gmailId,
+    format: "metadata",
+    metadataHeaders: ["From", "Reply-To", "Subject", "Message-ID", "References"]
+  });
 
-    const any = parts.find((p) => p?.body?.data);
-    if (any?.body?.data) return decodeBase64Url(any.body.data);
-  }
+  const headers = res.data.payload?.headers || [];
 
-  if (payload.body?.data) return decodeBase64Url(payload.body.data);
+  return {
+    threadId: res.data.threadId || null,
+    to: headerValue(headers, "Reply-To") || headerValue(headers, "From"),
+    subject: decodeHeader(headerValue(headers, "Subject")),
+    messageId: headerValue(headers, "Message-ID"),
+    references: headerValue(headers, "References")
+  };
+}
 
-  return "";
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf-8").toString("base64")}?=`;
 }
 
-function findPart(parts, mimeType) {
-  for (const p of parts) {
-    if (p.mimeType === mimeType) return p;
-    if (p.parts) {
-      const nested = findPart(p.parts, mimeType);
-      if (nested) return nested;
-    }
-  }
-  return null;
+// buildReplyRaw
+// RFC 2822 reply (base64url, as Gmail expects in "raw") that lands in the original thread:
+// "Re:" subject, In-Reply-To = original Message-ID, References = original References + Message-ID.
+export function buildReplyRaw({ to, subject, messageId, references, text }) {
+  const reSubject = /^re:/i.test(subject.trim()) ? subject.trim() : `Re: ${subject.trim()}`;
+  const refs = [references, messageId].filter(Boolean).join(" ").trim();
+
+  const body = Buffer.from(text.replace(/\r?\n/g, "\r\n"), "utf-8")
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n");
+
+  const lines = [
+    `To: ${to}`,
+    `Subject: ${encodeHeader(reSubject)}`,
+    ...(messageId ? [`In-Reply-To: ${messageId}`] : []),
+    ...(refs ? [`References: ${refs}`] : []),
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body
+  ];
+
+  return Buffer.from(lines.join("\r\n"), "utf-8").toString("base64url");
 }
 
-function decodeBase64Url(data) {
-  const b64 = data.replace(/-/g, "+").replace(/_/g, "/");
-  return Buffer.from(b64, "base64").toString("utf-8");
+// Creates a Gmail draft replying to gmailId (nothing is sent).
+export async function createReplyDraft({ oauth2Client, gmailId, text }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const h = await fetchReplyHeaders({ gmail, gmailId });
+
+  const res = await gmail.users.drafts.create({
+    userId: "me",
+    requestBody: {
+      message: { threadId: h.threadId, raw: buildReplyRaw({ ...h, text }) }
+    }
+  });
+
+  return { draftId: res.data.id, threadId: h.threadId, to: h.to };
 }
 
-function stripHtml(html) {
-  return html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+// Sends a reply to gmailId in the same thread. An earlier Gmail draft for it is removed (best effort).
+export async function sendReply({ oauth2Client, gmailId, text, draftId = null }) {
+  const gmail = google.gmail({ version: "v1", auth: oauth2Client });
+  const h = await fetchReplyHeaders({ gmail, gmailId });
+
+  const res = await gmail.users.messages.send({
+    userId: "me",
+    requestBody: { threadId: h.threadId, raw: buildReplyRaw({ ...h, text }) }
+  });
+
+  if (draftId) {
+    await gmail.users.drafts.delete({ userId: "me", id: draftId }).catch((err) => {
+      console.warn("Could not delete Gmail draft:", err?.message || err);
+    });
+  }
+
+  return { messageId: res.data.id, threadId: res.data.threadId || h.threadId, to: h.to };
 }
 
 /**
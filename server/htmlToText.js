@@ -0,0 +1,156 @@
+import { parseDocument } from "htmlparser2";
+
+// Never rendered: their text content is CSS, code or metadata.
+const SKIP_TAGS = new Set(["head", "style", "script", "noscript", "template", "title", "meta", "link", "svg", "object"]);
+
+// Start/end on their own line.
+const BLOCK_TAGS = new Set([
+  "div", "section", "article", "header", "footer", "main", "aside", "nav", "center", "address",
+  "table", "tbody", "thead", "tfoot", "tr", "form", "fieldset", "figure", "figcaption", "dl", "dt", "dd"
+]);
+
+// Separated by a blank line (paragraph structure).
+const PARAGRAPH_TAGS = new Set(["p", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "ul", "ol"]);
+
+// Email marketing hides "preheader" text (shown only in inbox previews) with inline styles.
+const HIDDEN_STYLE = /display\s*:\s*none|visibility\s*:\s*hidden|max-height\s*:\s*0|font-size\s*:\s*0|opacity\s*:\s*0|mso-hide\s*:\s*all/i;
+const HIDDEN_CLASS = /(^|\s)(preheader|preview-text|hidden)(\s|$)/i;
+
+// Invisible characters used to pad preheaders
+const INVISIBLE_CHARS = /[\u200B-\u200D\u2060\uFEFF\u00AD\u034F]/g;
+
+const TRACKING_PARAMS = /[?&](utm_[a-z]+|mc_[a-z]+|_hsenc|_hsmi|trk|clickid|gclid|fbclid|mkt_tok)=/i;
+const TRACKING_HOSTS = /^(click|clicks|track|tracking|trk|links?|email|e|t\d*|mail|marketing|go|r)\.|list-manage\.com$|sendgrid\.net$|mandrillapp\.com$|hubspotlinks\.com$|mailchi\.mp$/i;
+
+function isHidden(el) {
+  const a = el.attribs || {};
+  if ("hidden" in a || a["aria-hidden"] === "true") return true;
+  if (a.style && HIDDEN_STYLE.test(a.style)) return true;
+  if (a.class && HIDDEN_CLASS.test(a.class)) return true;
+  return false;
+}
+
+// collapseUrl
+// Long or tracking URLs become just their host name, so "Book now (https://t1.marketing.x.com/abc…400 chars)"
+// reads as "Book now (x.com)". Short, clean URLs are kept as they are.
+export function collapseUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return url;
+  }
+
+  const host = u.hostname.replace(/^www\./, "");
+  const tracking = TRACKING_PARAMS.test(u.search) || TRACKING_HOSTS.test(host);
+  if (!tracking && url.length <= 60) return url.replace(/\/$/, "");
+
+  // keep the registrable part of tracking hosts: t1.marketing.examplemail.com -> examplemail.com
+  return tracking ? host.split(".").slice(-2).join(".") : host;
+}
+
+function linkTarget(href) {
+  const h = String(href || "").trim();
+  if (/^mailto:/i.test(h)) return h.slice(7).split("?")[0];
+  if (/^tel:/i.test(h)) return h.slice(4);
+  if (/^https?:\/\//i.test(h)) return collapseUrl(h);
+  return "";
+}
+
+// htmlToText
+// Converts an HTML email body into readable plain text for the AI prompt and the viewer:
+//   - paragraphs, headings and line breaks keep their structure; lists become "- item" / "1. item"
+//   - <a> becomes "text (url)", with tracking / very long URLs collapsed to the host name
+//   - entities are decoded (&nbsp; &amp; &#8217; ...)
+//   - <style>/<script>/<head>, hidden elements and preheader text are dropped
+export function htmlToText(html) {
+  if (!html) return "";
+
+  const doc = parseDocument(String(html), { decodeEntities: true, lowerCaseTags: true });
+  const out = [];
+
+  // break markers are resolved at the end so nested blocks don't pile up empty lines
+  const br = () => out.push("\n");
+  const block = () => out.push("\u0000B");
+  const para = () => out.push("\u0000P");
+
+  const walk = (node, ctx) => {
+    if (node.type === "text") {
+      const text = node.data.replace(INVISIBLE_CHARS, "").replace(/\u00A0/g, " ");
+      out.push(ctx.pre ? text : text.replace(/\s+/g, " "));
+      return;
+    }
+    if (node.type !== "tag" && node.type !== "root") {
+      if (node.type === "script" || node.type === "style") return;
+      (node.children || []).forEach((c) => walk(c, ctx));
+      return;
+    }
+
+    const tag = node.name;
+    if (tag && (SKIP_TAGS.has(tag) || isHidden(node))) return;
+
+    switch (tag) {
+      case "br":
+        return br();
+      case "hr":
+        para();
+        out.push("---");
+        return para();
+      case "img": {
+        const a = node.attribs || {};
+        // tracking pixels and spacers have no meaningful alt text
+        if (a.alt && a.alt.trim() && a.width !== "1" && a.height !== "1") out.push(` ${a.alt.trim()} `);
+        return;
+      }
+      case "a": {
+        const start = out.length;
+        (node.children || []).forEach((c) => walk(c, ctx));
+        const text = out.slice(start).join("").replace(/\s+/g, " ").trim();
+        const target = linkTarget(node.attribs?.href);
+
+        if (target && text && !text.includes(target) && target !== text) out.push(` (${target})`);
+        else if (target && !text) out.push(target);
+        return;
+      }
+      case "li": {
+        block();
+        out.push(ctx.list?.type === "ol" ? `${++ctx.list.n}. ` : "- ");
+        (node.children || []).forEach((c) => walk(c, ctx));
+        return block();
+      }
+      case "td":
+      case "th":
+        out.push(" ");
+        (node.children || []).forEach((c) => walk(c, ctx));
+        return out.push(" ");
+    }
+
+    const isPara = PARAGRAPH_TAGS.has(tag);
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isPara) para();
+    else if (isBlock) block();
+
+    const childCtx =
+      tag === "ul" || tag === "ol"
+        ? { ...ctx, list: { type: tag, n: 0 } }
+        : tag === "pre"
+          ? { ...ctx, pre: true }
+          : ctx;
+    (node.children || []).forEach((c) => walk(c, childCtx));
+
+    if (isPara) para();
+    else if (isBlock) block();
+  };
+
+  walk(doc, { pre: false, list: null });
+
+  return out
+    .join("")
+    // collapse runs of break markers: any paragraph marker wins over a plain block break
+    .replace(/(?:[ \t]*\u0000[BP][ \t]*)+/g, (m) => (m.includes("\u0000P") ? "\n\n" : "\n"))
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
@@ -4,9 +4,12 @@ import cors from "cors";
 import session from "express-session";
 import passport from "passport";
 
-import { initFirestore } from "./firestore.js";
+import { makeStorage, storageBackendFromEnv } from "./storage.js";
+import { StorageSessionStore } from "./sessionStore.js";
 import { configureAuth } from "./auth.js";
 import { makeRoutes } from "./routes.js";
+import { resolveLlmConfig } from "./llm.js";
+import { securityHeaders } from "./security.js";
 
 const env = process.env;
 
@@ -22,23 +25,48 @@ requireEnv("GOOGLE_CLIENT_ID");
 requireEnv("GOOGLE_CLIENT_SECRET");
 requireEnv("GOOGLE_CALLBACK_URL");
 
-requireEnv("FIREBASE_SERVICE_ACCOUNT_PATH");
+// Storage (STORAGE_BACKEND=firestore | json | memory, default firestore)
+const storageBackend = storageBackendFromEnv(env);
+if (storageBackend === "firestore") requireEnv("FIREBASE_SERVICE_ACCOUNT_PATH");
 
-requireEnv("OLLAMA_BASE_URL");
-requireEnv("OLLAMA_MODEL");
+// LLM provider (LLM_PROVIDER=ollama | openai | fixture, default ollama)
+const llmConfig = resolveLlmConfig({ env });
+if (llmConfig.provider === "ollama") {
+  requireEnv("OLLAMA_BASE_URL");
+  if (!env.LLM_MODEL) requireEnv("OLLAMA_MODEL");
+}
+if (llmConfig.provider === "openai") {
+  requireEnv("OPENAI_BASE_URL");
+  if (!env.LLM_MODEL) requireEnv("OPENAI_MODEL");
+}
 
 const app = express();
+app.disable("x-powered-by");
+
+// Behind a reverse proxy (TRUST_PROXY=1, or its address) so rate limits see the client IP and HTTPS is detected
+if (env.TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(env.TRUST_PROXY) ? Number(env.TRUST_PROXY) : env.TRUST_PROXY);
+
+app.use(securityHeaders());
 app.use(express.json());
 
 app.use(
   cors({
     origin: env.CLIENT_URL,
-    credentials: true
+    credentials: true,
+    allowedHeaders: ["Content-Type", "X-CSRF-Token"],
+    exposedHeaders: ["Retry-After"]
   })
 );
 
+// Storage
+const storage = makeStorage({ env });
+if (!storage.encryption.enabled) {
+  console.warn("ENCRYPTION_KEYS / ENCRYPTION_KEY_FILE not set: Gmail tokens and email bodies are stored unencrypted.");
+}
+
 app.use(
   session({
+    store: new StorageSessionStore({ storage }),
     secret: env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
@@ -52,12 +80,9 @@ app.use(
   })
 );
 
-// Firestore
-const firestore = initFirestore(env.FIREBASE_SERVICE_ACCOUNT_PATH);
-
 // Auth
 configureAuth({
-  firestore,
+  storage,
   google: {
     clientId: env.GOOGLE_CLIENT_ID,
     clientSecret: env.GOOGLE_CLIENT_SECRET,
@@ -72,7 +97,13 @@ app.use(passport.session());
 app.get(
   "/auth/google",
   passport.authenticate("google", {
-    scope: ["profile", "email", "https://www.googleapis.com/auth/gmail.readonly"],
+    scope: [
+      "profile",
+      "email",
+      "https://www.googleapis.com/auth/gmail.readonly",
+      // drafts + sending approved replies
+      "https://www.googleapis.com/auth/gmail.compose"
+    ],
     accessType: "offline",
     prompt: "consent"
   })
@@ -86,7 +117,7 @@ app.get(
 );
 
 // API
-app.use("/api", makeRoutes({ firestore, env }));
+app.use("/api", makeRoutes({ storage, env }));
 
 app.get("/", (req, res) => {
   res.setHeader("Content-Type", "text/plain; charset=utf-8");
@@ -105,5 +136,7 @@ app.listen(Number(env.PORT), () => {
   console.log(`Server running: http://localhost:${env.PORT}`);
   console.log(`Frontend:       ${env.CLIENT_URL}`);
   console.log(`Login:          http://localhost:${env.PORT}/auth/google`);
-  console.log(`Ollama:         ${env.OLLAMA_BASE_URL} (model: ${env.OLLAMA_MODEL})`);
+  console.log(`Storage:        ${storage.backend}`);
+  console.log(`Encryption:     ${storage.encryption.enabled ? `on (key "${storage.encryption.activeKeyId}")` : "off"}`);
+  console.log(`LLM:            ${llmConfig.provider} ${llmConfig.baseUrl || ""} (model: ${llmConfig.model})`);
 });
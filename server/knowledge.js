@@ -0,0 +1,179 @@
+// Knowledge base: policy docs, FAQs and price lists the triage prompt can quote from.
+// Documents are split into chunks, embedded with the active provider's embed() (llm.js)
+// and stored next to their vectors; search is a cosine scan over the workspace's chunks.
+import { attachmentKind, extractAttachmentText } from "./attachments.js";
+
+const DEFAULT_CHUNK_CHARS = 900;
+const DEFAULT_TOP_K = 3;
+const DEFAULT_MIN_SCORE = 0.25;
+const DEFAULT_MAX_DOC_BYTES = 10 * 1024 * 1024;
+const EMBED_BATCH = 16;
+
+export function knowledgeLimits(env) {
+  return {
+    chunkChars: Number(env.KNOWLEDGE_CHUNK_CHARS) || DEFAULT_CHUNK_CHARS,
+    topK: Number(env.KNOWLEDGE_TOP_K) || DEFAULT_TOP_K,
+    minScore: env.KNOWLEDGE_MIN_SCORE != null ? Number(env.KNOWLEDGE_MIN_SCORE) : DEFAULT_MIN_SCORE,
+    maxBytes: Number(env.KNOWLEDGE_MAX_BYTES) || DEFAULT_MAX_DOC_BYTES
+  };
+}
+
+// Which model produced a vector; vectors of different models cannot be compared.
+export function embedKey(llm) {
+  return `${llm.name}:${llm.embedModel}`;
+}
+
+// chunkText
+// Splits a document into chunks of about maxChars, on paragraph boundaries where possible.
+// Paragraphs longer than maxChars are cut at sentence ends (or hard-cut as a last resort).
+export function chunkText(text, maxChars = DEFAULT_CHUNK_CHARS) {
+  const paragraphs = String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean);
+
+  const pieces = [];
+  for (const p of paragraphs) {
+    if (p.length <= maxChars) {
+      pieces.push(p);
+      continue;
+    }
+    let cur = "";
+    for (const sentence of p.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [p]) {
+      if (cur && cur.length + sentence.length > maxChars) {
+        pieces.push(cur.trim());
+        cur = "";
+      }
+      cur += sentence;
+      while (cur.length > maxChars) {
+        pieces.push(cur.slice(0, maxChars).trim());
+        cur = cur.slice(maxChars);
+      }
+    }
+    if (cur.trim()) pieces.push(cur.trim());
+  }
+
+  const chunks = [];
+  let cur = "";
+  for (const piece of pieces) {
+    if (cur && cur.length + piece.length + 2 > maxChars) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n\n${piece}` : piece;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+async function embedAll({ llm, texts }) {
+  const out = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    out.push(...(await llm.embed({ texts: texts.slice(i, i + EMBED_BATCH) })));
+  }
+  return out;
+}
+
+// Text of an uploaded document: PDF, CSV, plain text/Markdown or HTML (see attachments.js)
+export async function documentText({ buffer, mimeType, filename, maxChars = 200000 }) {
+  if (!attachmentKind({ mimeType, filename })) {
+    throw new Error(`Unsupported document type: ${mimeType || filename}`);
+  }
+  return extractAttachmentText({ buffer, mimeType, filename, maxChars });
+}
+
+// indexDocument
+// Stores a document and its embedded chunks. Returns the stored document record.
+export async function indexDocument({ storage, llm, workspaceId, title, filename, mimeType, size, text, env }) {
+  const { chunkChars } = knowledgeLimits(env);
+  const chunks = chunkText(text, chunkChars);
+  if (!chunks.length) throw new Error("The document has no readable text");
+
+  // embed first: a provider error must not leave a half-indexed document behind
+  const embeddings = await embedAll({ llm, texts: chunks });
+  const key = embedKey(llm);
+
+  const doc = {
+    title: title || filename || "Untitled",
+    filename: filename || null,
+    mimeType: mimeType || "text/plain",
+    size: size || 0,
+    chars: text.length,
+    chunkCount: chunks.length,
+    embedKey: key,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  const docId = await storage.knowledge.createDoc(workspaceId, doc);
+
+  await storage.knowledge.saveChunks(
+    workspaceId,
+    docId,
+    chunks.map((chunk, index) => ({ index, text: chunk, embedding: embeddings[index], embedKey: key, docTitle: doc.title }))
+  );
+
+  return { id: docId, ...doc };
+}
+
+// reindexDocument
+// Re-embeds the stored chunks of a document with the current embedding model
+// (after switching provider or embedding model).
+export async function reindexDocument({ storage, llm, workspaceId, docId }) {
+  const chunks = (await storage.knowledge.listChunks(workspaceId, { docId })).sort((a, b) => a.index - b.index);
+  const embeddings = await embedAll({ llm, texts: chunks.map((c) => c.text) });
+  const key = embedKey(llm);
+
+  await storage.knowledge.saveChunks(
+    workspaceId,
+    docId,
+    chunks.map(({ id, ...c }, i) => ({ ...c, embedding: embeddings[i], embedKey: key }))
+  );
+  await storage.knowledge.updateDoc(workspaceId, docId, { embedKey: key, updatedAt: Date.now() });
+}
+
+// searchKnowledge
+// Top chunks for a query: [{ chunkId, docId, docTitle, text, score }], best first.
+// Chunks embedded by another model are skipped (the documents list shows them as needing a re-index).
+export async function searchKnowledge({ storage, llm, workspaceId, query, env, topK, minScore }) {
+  const limits = knowledgeLimits(env);
+  const k = topK ?? limits.topK;
+  const min = minScore ?? limits.minScore;
+
+  const key = embedKey(llm);
+  const chunks = (await storage.knowledge.listChunks(workspaceId)).filter((c) => c.embedKey === key);
+  if (!chunks.length || !String(query || "").trim()) return [];
+
+  const [q] = await llm.embed({ texts: [String(query).slice(0, 4000)] });
+
+  return chunks
+    .map((c) => ({ chunkId: c.id, docId: c.docId, docTitle: c.docTitle, text: c.text, score: cosineSimilarity(q, c.embedding) }))
+    .filter((c) => c.score >= min)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// Snippets for triaging one email (subject + cleaned body as the query).
+// Best effort: when retrieval fails the email is triaged without knowledge-base snippets.
+export async function knowledgeForEmail({ storage, llm, workspaceId, email, env }) {
+  const query = `${email.subject || ""}\n${(email.cleanBodyText || email.bodyText || email.snippet || "").slice(0, 2000)}`;
+  try {
+    return await searchKnowledge({ storage, llm, workspaceId, query, env });
+  } catch (err) {
+    console.warn("Knowledge search failed:", err?.message || err);
+    return [];
+  }
+}
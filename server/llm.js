@@ -0,0 +1,474 @@
+// Provider layer for the LLM calls in ai.js.
+// Every provider exposes the same small interface so the triage/summary code
+// never needs to know which backend is actually answering:
+//   - name:      provider id ("ollama" | "openai" | "fixture")
+//   - model:     model name used for requests
+//   - embedModel: model used for embeddings (knowledge base)
+//   - generate({ prompt, task, timeoutMs, temperature, schema }) -> Promise<string>  (task: "triage" | "summary" | "draft")
+//       schema: JSON Schema of the expected answer, passed on as structured output when enabled
+//   - generateStream({ prompt, task, timeoutMs, temperature, schema, onToken, signal }) -> Promise<string>
+//       same answer, but onToken(text) is called for every piece as it arrives; timeoutMs is the
+//       longest wait for the next piece (not for the whole answer), signal cancels the request
+//   - embed({ texts, timeoutMs }) -> Promise<number[][]>  (one vector per text)
+//   - health({ timeoutMs }) -> Promise<boolean>
+//   - jsonRetries: how often ai.js may ask the model to repair an invalid JSON answer
+import OpenAI from "openai";
+
+export const LLM_PROVIDERS = ["ollama", "openai", "fixture"];
+
+// resolveLlmConfig
+// Works out which provider/model to use for a request.
+// Priority: per-user settings (user.llmSettings) > LLM_PROVIDER / LLM_MODEL env > provider-specific env.
+export function resolveLlmConfig({ env, user }) {
+  const userSettings = user?.llmSettings || {};
+
+  const envProvider = String(env.LLM_PROVIDER || "ollama").toLowerCase();
+  const provider = String(userSettings.provider || envProvider).toLowerCase();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider: ${provider} (expected one of ${LLM_PROVIDERS.join(", ")})`);
+  }
+
+  const defaultModel = {
+    ollama: env.OLLAMA_MODEL,
+    openai: env.OPENAI_MODEL,
+    fixture: "fixture"
+  }[provider];
+
+  // LLM_MODEL belongs to LLM_PROVIDER; it must not leak into a provider the user switched to.
+  const envModel = provider === envProvider ? env.LLM_MODEL : null;
+
+  // Embeddings need a dedicated model; it is not taken from the chat model settings.
+  const embedModel = {
+    ollama: env.OLLAMA_EMBED_MODEL || "nomic-embed-text",
+    openai: env.OPENAI_EMBED_MODEL || "text-embedding-3-small",
+    fixture: "fixture-bow"
+  }[provider];
+
+  return {
+    provider,
+    model: userSettings.model || envModel || defaultModel || null,
+    embedModel,
+    baseUrl: provider === "ollama" ? env.OLLAMA_BASE_URL : provider === "openai" ? env.OPENAI_BASE_URL : null,
+    apiKey: provider === "openai" ? env.OPENAI_API_KEY : null,
+    // LLM_STRUCTURED_OUTPUT=false for servers that reject a JSON Schema (older Ollama, some local OpenAI-compatible servers)
+    structuredOutput: String(env.LLM_STRUCTURED_OUTPUT ?? "true").toLowerCase() !== "false",
+    jsonRetries: Math.max(0, Math.min(Number(env.LLM_JSON_RETRIES ?? 2) || 0, 5))
+  };
+}
+
+// makeLlm
+// Builds the provider object for a resolved config (see resolveLlmConfig).
+export function makeLlm({ provider, model, embedModel, baseUrl, apiKey, structuredOutput = true, jsonRetries = 2 }) {
+  const build = () => {
+    if (provider === "fixture") return makeFixtureProvider({ model: model || "fixture", embedModel });
+
+    if (!baseUrl) throw new Error(`No base URL configured for LLM provider "${provider}"`);
+    if (!model) throw new Error(`No model configured for LLM provider "${provider}"`);
+
+    if (provider === "ollama") return makeOllamaProvider({ baseUrl, model, embedModel, structuredOutput });
+    if (provider === "openai") return makeOpenAiProvider({ baseUrl, model, embedModel, apiKey, structuredOutput });
+
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  };
+  return Object.assign(build(), { jsonRetries });
+}
+
+// Convenience: resolve + build in one step.
+export function llmForUser({ env, user }) {
+  return makeLlm(resolveLlmConfig({ env, user }));
+}
+
+// Runs fn with an AbortSignal that fires after timeoutMs.
+async function withTimeout(timeoutMs, fn) {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fn(controller.signal);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// withIdleTimeout
+// Like withTimeout, but the clock restarts every time touch() is called (a streamed token arrived).
+// An abort of the caller's signal also aborts; err.cancelled tells the two apart.
+async function withIdleTimeout(timeoutMs, callerSignal, fn) {
+  const controller = new AbortController();
+  let t = null;
+  const touch = () => {
+    clearTimeout(t);
+    t = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  const cancel = () => controller.abort();
+
+  if (callerSignal?.aborted) controller.abort();
+  callerSignal?.addEventListener("abort", cancel);
+  touch();
+  try {
+    return await fn(controller.signal, touch);
+  } catch (err) {
+    if (callerSignal?.aborted) err.cancelled = true;
+    throw err;
+  } finally {
+    clearTimeout(t);
+    callerSignal?.removeEventListener("abort", cancel);
+  }
+}
+
+// Ollama: POST {base}/api/generate, embeddings via POST {base}/api/embed, health via GET {base}/api/tags.
+function makeOllamaProvider({ baseUrl, model, embedModel, structuredOutput }) {
+  // Ensure the base URL does not end with a slash to avoid double slashes in the final URL.
+  const base = baseUrl.replace(/\/$/, "");
+
+  return {
+    name: "ollama",
+    model,
+    embedModel,
+    baseUrl: base,
+
+    async generate({ prompt, timeoutMs, temperature = 0.2, schema }) {
+      try {
+        return await withTimeout(timeoutMs, async (signal) => {
+          const res = await fetch(`${base}/api/generate`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              model,
+              prompt,
+              stream: false,
+              // "format" takes a JSON Schema (Ollama 0.5+) and constrains decoding to it
+              ...(structuredOutput && schema ? { format: schema } : {}),
+              options: { temperature }
+            }),
+            signal
+          });
+
+          if (!res.ok) {
+            const txt = await res.text().catch(() => "");
+            throw new Error(`Ollama error ${res.status}: ${txt.slice(0, 300)}`);
+          }
+
+          const data = await res.json().catch(() => ({}));
+          return (data.response || "").trim();
+        });
+      } catch (err) {
+        if (err?.name === "AbortError") throw new Error(`Ollama timeout after ${timeoutMs}ms`);
+        throw new Error(`Ollama request failed: ${err?.message || err}`);
+      }
+    },
+
+    // stream: true answers with one JSON object per line: { response, done }
+    async generateStream({ prompt, timeoutMs, temperature = 0.2, schema, onToken, signal: callerSignal }) {
+      let text = "";
+      try {
+        return await withIdleTimeout(timeoutMs, callerSignal, async (signal, touch) => {
+          const res = await fetch(`${base}/api/generate`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              model,
+              prompt,
+              stream: true,
+              ...(structuredOutput && schema ? { format: schema } : {}),
+              options: { temperature }
+            }),
+            signal
+          });
+
+          if (!res.ok) {
+            const txt = await res.text().catch(() => "");
+            throw new Error(`Ollama error ${res.status}: ${txt.slice(0, 300)}`);
+          }
+
+          const handle = (line) => {
+            if (!line.trim()) return;
+            const data = JSON.parse(line);
+            if (data.error) throw new Error(`Ollama error: ${data.error}`);
+            if (data.response) {
+              text += data.response;
+              onToken(data.response);
+            }
+          };
+
+          const decoder = new TextDecoder();
+          let buffered = "";
+          for await (const chunk of res.body) {
+            touch();
+            buffered += decoder.decode(chunk, { stream: true });
+            const lines = buffered.split("\n");
+            buffered = lines.pop();
+            lines.forEach(handle);
+          }
+          handle(buffered);
+          return text.trim();
+        });
+      } catch (err) {
+        if (err.cancelled) throw Object.assign(new Error("Ollama stream cancelled"), { cancelled: true });
+        if (err?.name === "AbortError") throw new Error(`Ollama timeout: no output for ${timeoutMs}ms`);
+        throw new Error(`Ollama request failed: ${err?.message || err}`);
+      }
+    },
+
+    async embed({ texts, timeoutMs = 60000 }) {
+      try {
+        return await withTimeout(timeoutMs, async (signal) => {
+          const res = await fetch(`${base}/api/embed`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ model: embedModel, input: texts }),
+            signal
+          });
+
+          if (!res.ok) {
+            const txt = await res.text().catch(() => "");
+            throw new Error(`Ollama error ${res.status}: ${txt.slice(0, 300)}`);
+          }
+
+          const data = await res.json().catch(() => ({}));
+          if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+            throw new Error("Ollama returned no embeddings");
+          }
+          return data.embeddings;
+        });
+      } catch (err) {
+        if (err?.name === "AbortError") throw new Error(`Ollama embedding timeout after ${timeoutMs}ms`);
+        throw new Error(`Ollama embedding failed (${embedModel}): ${err?.message || err}`);
+      }
+    },
+
+    async health({ timeoutMs = 2000 } = {}) {
+      try {
+        return await withTimeout(timeoutMs, async (signal) => {
+          const res = await fetch(`${base}/api/tags`, { signal });
+          return res.ok;
+        });
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+// OpenAI-compatible: POST {base}/chat/completions (llama.cpp server, vLLM, LM Studio, OpenAI itself).
+// baseUrl should include the /v1 suffix, e.g. "http://localhost:8080/v1".
+function makeOpenAiProvider({ baseUrl, model, embedModel, apiKey, structuredOutput }) {
+  const base = baseUrl.replace(/\/$/, "");
+  // Local servers usually ignore the key, but the SDK refuses to start without one.
+  const client = new OpenAI({ baseURL: base, apiKey: apiKey || "not-needed", maxRetries: 0 });
+
+  // Structured output: the answer must match the JSON Schema ("strict" is off: it would require
+  // every property, including the optional ones)
+  const responseFormat = (task, schema) =>
+    structuredOutput && schema ? { response_format: { type: "json_schema", json_schema: { name: task || "answer", schema, strict: false } } } : {};
+
+  return {
+    name: "openai",
+    model,
+    embedModel,
+    baseUrl: base,
+
+    async generate({ prompt, task, timeoutMs, temperature = 0.2, schema }) {
+      try {
+        const completion = await client.chat.completions.create(
+          {
+            model,
+            temperature,
+            ...responseFormat(task, schema),
+            messages: [{ role: "user", content: prompt }]
+          },
+          { timeout: timeoutMs }
+        );
+        return (completion.choices?.[0]?.message?.content || "").trim();
+      } catch (err) {
+        if (err?.name === "APIConnectionTimeoutError") throw new Error(`LLM timeout after ${timeoutMs}ms`);
+        throw new Error(`LLM request failed (${base}): ${err?.message || err}`);
+      }
+    },
+
+    async generateStream({ prompt, task, timeoutMs, temperature = 0.2, schema, onToken, signal: callerSignal }) {
+      let text = "";
+      try {
+        return await withIdleTimeout(timeoutMs, callerSignal, async (signal, touch) => {
+          const stream = await client.chat.completions.create(
+            { model, temperature, stream: true, ...responseFormat(task, schema), messages: [{ role: "user", content: prompt }] },
+            { signal }
+          );
+          for await (const chunk of stream) {
+            touch();
+            const piece = chunk.choices?.[0]?.delta?.content || "";
+            if (piece) {
+              text += piece;
+              onToken(piece);
+            }
+          }
+          return text.trim();
+        });
+      } catch (err) {
+        if (err.cancelled) throw Object.assign(new Error("LLM stream cancelled"), { cancelled: true });
+        if (err?.name === "AbortError" || err?.name === "APIUserAbortError") throw new Error(`LLM timeout: no output for ${timeoutMs}ms`);
+        throw new Error(`LLM request failed (${base}): ${err?.message || err}`);
+      }
+    },
+
+    // POST {base}/embeddings
+    async embed({ texts, timeoutMs = 60000 }) {
+      try {
+        const res = await client.embeddings.create({ model: embedModel, input: texts }, { timeout: timeoutMs });
+        return [...res.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+      } catch (err) {
+        if (err?.name === "APIConnectionTimeoutError") throw new Error(`Embedding timeout after ${timeoutMs}ms`);
+        throw new Error(`Embedding request failed (${base}, ${embedModel}): ${err?.message || err}`);
+      }
+    },
+
+    async health({ timeoutMs = 2000 } = {}) {
+      try {
+        return await withTimeout(timeoutMs, async (signal) => {
+          const res = await fetch(`${base}/models`, {
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+            signal
+          });
+          return res.ok;
+        });
+      } catch {
+        return false;
+      }
+    }
+  };
+}
+
+// Fixture: deterministic, offline answers for local development and tests.
+// Looks only at the EMAIL section at the end of the prompt and answers with canned JSON
+// chosen by simple keyword rules, so the same email always produces the same result.
+const FIXTURE_RULES = [
+  { re: /unsubscribe|newsletter|promo|% off|sale ends/, category: "SPAM_OTHER", urgency: "LOW" },
+  { re: /charged twice|double charge|refund|overcharged/, category: "BILLING_INVOICE", urgency: "HIGH" },
+  { re: /invoice|receipt|payment|billing/, category: "BILLING_INVOICE", urgency: "MEDIUM" },
+  { re: /complain|unacceptable|rude|injur|harass/, category: "COMPLAINT", urgency: "HIGH" },
+  { re: /cancel/, category: "CANCELLATION", urgency: "MEDIUM" },
+  { re: /freeze|pause/, category: "FREEZE_REQUEST", urgency: "MEDIUM" },
+  { re: /book|class|session|reschedul/, category: "BOOKING_CHANGE", urgency: "MEDIUM" }
+];
+
+function fixtureEmailText(prompt) {
+  const idx = prompt.lastIndexOf("EMAIL");
+  return (idx === -1 ? prompt : prompt.slice(idx)).toLowerCase();
+}
+
+// Category names the triage prompt allows ("category": "A | B | C"); the list is configurable per user.
+function fixtureCategories(prompt) {
+  const m = /"category": "([^"]+)"/.exec(prompt);
+  return m ? m[1].split("|").map((s) => s.trim()) : [];
+}
+
+// Entities the email states plainly: "Name: ...", membership / booking numbers, ISO dates, "€49.99", phone numbers
+function fixtureEntities(prompt) {
+  const idx = prompt.lastIndexOf("EMAIL");
+  const body = (idx === -1 ? prompt : prompt.slice(idx)).replace(/^Date: .*$/m, "");
+  const ids = [
+    ...[...body.matchAll(/\bM-\d{3,}\b/g)].map((m) => ({ kind: "membership", value: m[0] })),
+    ...[...body.matchAll(/\bB-\d{3,}\b/g)].map((m) => ({ kind: "booking", value: m[0] }))
+  ];
+  const days = [...body.matchAll(/\b\d{4}-\d{2}-\d{2}\b/g)].map((m) => m[0]);
+  const symbols = { "€": "EUR", $: "USD", "£": "GBP" };
+  return {
+    member_name: /^Name: (.+)$/m.exec(body)?.[1]?.trim() || null,
+    ids,
+    dates: days.length >= 2 ? [{ start: days[0], end: days[1], about: null }] : days.map((d) => ({ start: d, end: null, about: null })),
+    amounts: [...body.matchAll(/([€$£])(\d+(?:\.\d{2})?)/g)].map((m) => ({ value: Number(m[2]), currency: symbols[m[1]] })),
+    classes: [...body.matchAll(/\b(Spin|Yoga|Pilates|HIIT)\b/g)].map((m) => m[1]),
+    phones: [...body.matchAll(/\+\d[\d ]{7,}\d/g)].map((m) => m[0])
+  };
+}
+
+// Hashed bag of words: texts sharing words get similar vectors, which is enough
+// to exercise knowledge-base retrieval without a real embedding model.
+const FIXTURE_EMBED_DIMS = 256;
+
+function fixtureEmbedding(text) {
+  const v = new Array(FIXTURE_EMBED_DIMS).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || []) {
+    let h = 2166136261; // FNV-1a
+    for (let i = 0; i < word.length; i++) h = Math.imul(h ^ word.charCodeAt(i), 16777619);
+    v[(h >>> 0) % FIXTURE_EMBED_DIMS] += 1;
+  }
+  const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return v.map((x) => x / norm);
+}
+
+// First listed reply template meant for the category ("[T2] Name (for: A, B)"), or null
+function fixtureTemplate(prompt, category) {
+  for (const m of prompt.matchAll(/^\[T(\d+)\] [^\n]*?(?: \(for: ([^)]*)\))?(?: - [^\n]*)?$/gm)) {
+    const cats = m[2] ? m[2].split(",").map((c) => c.trim()) : [];
+    if (!cats.length || cats.includes(category)) return `T${m[1]}`;
+  }
+  return null;
+}
+
+function makeFixtureProvider({ model, embedModel = "fixture-bow" }) {
+  const provider = {
+    name: "fixture",
+    model,
+    embedModel,
+    baseUrl: null,
+
+    async generate({ prompt, task }) {
+      const text = fixtureEmailText(prompt);
+
+      if (task === "summary") {
+        const body = text.split("\n").slice(1).join(" ").replace(/\s+/g, " ").trim();
+        return JSON.stringify({
+          title: "Member request",
+          summary: body.slice(0, 200) || "Short email.",
+          key_points: []
+        });
+      }
+
+      if (task === "draft") {
+        const instructions = /STAFF INSTRUCTIONS:\n([^\n]*)/.exec(prompt)?.[1] || "";
+        return JSON.stringify({
+          reply_draft: `Hi there,\n\nThanks for your patience. (Revised: ${instructions.trim()})\n\nKind regards,\nManagement Team`
+        });
+      }
+
+      const allowed = fixtureCategories(prompt);
+      // cite the best knowledge-base snippet when the prompt has one
+      const citations = /\[K1\]/.test(prompt) ? ["K1"] : [];
+      const rule = FIXTURE_RULES.find((r) => r.re.test(text) && (!allowed.length || allowed.includes(r.category)));
+      const fallback = !allowed.length || allowed.includes("GENERAL_QUESTION") ? "GENERAL_QUESTION" : allowed[0];
+      const category = rule?.category || fallback;
+      // same chasing rule as the triage prompt: 2+ unanswered chasers -> HIGH
+      const chasers = Number(/unanswered chasers\): (\d+)/.exec(prompt)?.[1] || 0);
+      return JSON.stringify({
+        category,
+        urgency: chasers >= 2 ? "HIGH" : rule?.urgency || "LOW",
+        confidence: rule ? 0.9 : 0.5,
+        reply_draft: "Hi there,\n\nThanks for getting in touch. We have received your message and will follow up shortly.\n\nKind regards,\nManagement Team",
+        citations,
+        template_id: fixtureTemplate(prompt, category),
+        template_values: {},
+        entities: fixtureEntities(prompt)
+      });
+    },
+
+    // The generate() answer in small pieces, a few milliseconds apart
+    async generateStream({ prompt, task, onToken, signal }) {
+      const text = await provider.generate({ prompt, task });
+      for (let i = 0; i < text.length; i += 8) {
+        if (signal?.aborted) throw Object.assign(new Error("Fixture stream cancelled"), { cancelled: true });
+        onToken(text.slice(i, i + 8));
+        await new Promise((r) => setTimeout(r, 5));
+      }
+      return text;
+    },
+
+    async embed({ texts }) {
+      return texts.map(fixtureEmbedding);
+    },
+
+    async health() {
+      return true;
+    }
+  };
+  return provider;
+}
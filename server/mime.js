@@ -0,0 +1,342 @@
+// MIME decoding for Gmail message payloads (format "full") and raw RFC 822 messages (.eml).
+// Both end up in the same shape, Gmail's MessagePart:
+//   { partId, mimeType, filename, headers: [{ name, value }], body: { size, data?, attachmentId? }, parts? }
+// where body.data is base64(url) of the part bytes after the transfer encoding was undone.
+import { htmlToText } from "./htmlToText.js";
+
+// Windows-1252 characters for bytes 0x80-0x9F (undefined bytes stay as they are).
+// Node's TextDecoder decodes the "windows-1252" family as plain Latin-1, which leaves
+// curly quotes, dashes and the euro sign as invisible C1 control characters.
+const CP1252_C1 = "\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F" +
+  "\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178";
+
+function decodeWith(label, bytes) {
+  const decoder = new TextDecoder(label);
+  const text = decoder.decode(bytes);
+  if (decoder.encoding !== "windows-1252") return text;
+  return text.replace(/[\u0080-\u009F]/g, (c) => CP1252_C1[c.charCodeAt(0) - 0x80]);
+}
+
+// decodeBytes
+// Bytes -> string in the declared charset. Labels TextDecoder does not know, and missing labels,
+// fall back to UTF-8 and then Windows-1252 (what "us-ascii" / unlabelled mail from old systems really is).
+export function decodeBytes(bytes, charset) {
+  const label = String(charset || "").trim().toLowerCase();
+  if (label && !["utf-8", "utf8", "us-ascii", "ascii"].includes(label)) {
+    try {
+      return decodeWith(label, bytes);
+    } catch {
+      // unknown label: guess below
+    }
+  }
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return decodeWith("windows-1252", bytes);
+  }
+}
+
+// Quoted-printable (and the header "Q" encoding once "_" is replaced) -> bytes.
+// The input is a binary string: one char per byte.
+function decodeQuotedPrintable(str) {
+  const s = str.replace(/=\r?\n/g, "");
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    const hex = s[i] === "=" ? s.slice(i + 1, i + 3) : "";
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const ENCODED_WORD = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+
+// decodeHeader
+// RFC 2047 encoded words: "=?UTF-8?B?...?=", "=?ISO-8859-1?Q?Caf=E9?=".
+// Adjacent words are joined before decoding, since a multi-byte character may be split across them.
+export function decodeHeader(value) {
+  if (!value || !value.includes("=?")) return value || "";
+
+  // whitespace between two encoded words is not part of the text (RFC 2047 section 6.2)
+  const src = value.replace(/(\?=)\s+(?==\?)/g, "$1");
+
+  let out = "";
+  let last = 0;
+  let pending = null; // { charset, chunks }
+  const flush = () => {
+    if (pending) out += decodeBytes(Buffer.concat(pending.chunks), pending.charset);
+    pending = null;
+  };
+
+  for (const m of src.matchAll(ENCODED_WORD)) {
+    if (m.index > last) {
+      flush();
+      out += src.slice(last, m.index);
+    }
+
+    const charset = m[1].split("*")[0].toLowerCase(); // RFC 2231 language suffix: "UTF-8*en"
+    const bytes = m[2].toUpperCase() === "B" ? Buffer.from(m[3], "base64") : decodeQuotedPrintable(m[3].replace(/_/g, " "));
+
+    if (pending?.charset === charset) pending.chunks.push(bytes);
+    else {
+      flush();
+      pending = { charset, chunks: [bytes] };
+    }
+    last = m.index + m[0].length;
+  }
+
+  flush();
+  return out + src.slice(last);
+}
+
+export function headerValue(headers, name) {
+  return (headers || []).find((h) => h.name?.toLowerCase() === name.toLowerCase())?.value || "";
+}
+
+// Splits on ";" outside quoted strings
+function splitParams(value) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    const c = value[i];
+    if (c === "\\" && quoted) {
+      cur += c + (value[i + 1] || "");
+      i++;
+    } else if (c === '"') {
+      quoted = !quoted;
+      cur += c;
+    } else if (c === ";" && !quoted) {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  out.push(cur);
+  return out.map((s) => s.trim()).filter(Boolean);
+}
+
+// parseHeaderParams
+// 'text/plain; charset="iso-8859-1"' -> { value: "text/plain", params: { charset: "iso-8859-1" } }
+// Also handles RFC 2231 parameters: filename*=UTF-8''na%C3%AFve.pdf and filename*0= / filename*1= continuations.
+export function parseHeaderParams(value) {
+  const [first = "", ...rest] = splitParams(String(value || ""));
+  const params = {};
+  const extended = {};
+
+  for (const p of rest) {
+    const eq = p.indexOf("=");
+    if (eq === -1) continue;
+
+    const key = p.slice(0, eq).trim().toLowerCase();
+    let val = p.slice(eq + 1).trim();
+    if (val.length >= 2 && val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, "$1");
+
+    const m = /^([^*]+)\*(\d+)?(\*)?$/.exec(key);
+    if (m) (extended[m[1]] ||= []).push({ index: Number(m[2] || 0), encoded: Boolean(m[3]) || !m[2], val });
+    else params[key] = val;
+  }
+
+  for (const [name, segments] of Object.entries(extended)) {
+    segments.sort((a, b) => a.index - b.index);
+
+    let charset = "utf-8";
+    const chunks = segments.map((s, i) => {
+      let v = s.val;
+      if (!s.encoded) return Buffer.from(v, "utf-8");
+
+      const head = i === 0 ? /^([^']*)'[^']*'(.*)$/.exec(v) : null;
+      if (head) {
+        charset = head[1] || charset;
+        v = head[2];
+      }
+      return Buffer.from(v.replace(/%([0-9A-Fa-f]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16))), "latin1");
+    });
+
+    params[name] = decodeBytes(Buffer.concat(chunks), charset);
+  }
+
+  return { value: first.toLowerCase(), params };
+}
+
+// Decoded bytes of a part that carries its data inline
+export function partBytes(part) {
+  return part?.body?.data ? Buffer.from(part.body.data, "base64") : Buffer.alloc(0);
+}
+
+// Text of a text/* part, decoded with the charset from its Content-Type
+export function partText(part) {
+  const { params } = parseHeaderParams(headerValue(part?.headers, "Content-Type"));
+  return decodeBytes(partBytes(part), params.charset);
+}
+
+// isAttachmentPart
+// Files rather than message text: anything with a filename or "Content-Disposition: attachment",
+// plus images without a filename (inline images referenced from the HTML by cid:).
+export function isAttachmentPart(part) {
+  const type = String(part?.mimeType || "").toLowerCase();
+  if (!part || type.startsWith("multipart/")) return false;
+  if (!part.body?.attachmentId && !part.body?.data) return false;
+  if (part.filename) return true;
+
+  const disposition = parseHeaderParams(headerValue(part.headers, "Content-Disposition")).value;
+  return disposition === "attachment" || type.startsWith("image/");
+}
+
+// multipart/alternative: the plain-text version unless it is missing or only a stub
+// ("view this email in your browser") compared to the HTML one.
+function bestAlternative(parts, forwards) {
+  let plain = "";
+  let rich = "";
+  for (const p of parts) {
+    if (String(p.mimeType).toLowerCase() === "text/plain") plain = partText(p).trim() || plain;
+    else rich = bodyOf(p, forwards).trim() || rich;
+  }
+
+  if (plain && plain.length * 3 >= rich.length) return plain;
+  return rich || plain;
+}
+
+// A forwarded message (message/rfc822). Gmail puts the parsed message in parts[0];
+// when it only gives an attachmentId there is nothing to read here.
+function forwardOf(part) {
+  const inner = part.parts?.[0];
+  if (!inner) return null;
+
+  const headers = headerValue(inner.headers, "From") ? inner.headers : part.headers;
+  const body = extractBody(inner);
+
+  return {
+    from: decodeHeader(headerValue(headers, "From")),
+    date: headerValue(headers, "Date"),
+    subject: decodeHeader(headerValue(headers, "Subject")),
+    text: body.text,
+    forwards: body.forwards
+  };
+}
+
+function bodyOf(part, forwards) {
+  const type = String(part?.mimeType || "").toLowerCase();
+
+  if (type === "message/rfc822") {
+    const fwd = forwardOf(part);
+    if (fwd) forwards.push(fwd);
+    return "";
+  }
+  if (isAttachmentPart(part)) return "";
+
+  const children = part.parts || [];
+  if (type === "multipart/alternative") return bestAlternative(children, forwards);
+  // the root of multipart/related is its first part; the rest are resources it references
+  if (type === "multipart/related") return children.length ? bodyOf(children[0], forwards) : "";
+  if (type.startsWith("multipart/") || (!type && children.length)) {
+    return children
+      .map((c) => bodyOf(c, forwards).trim())
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  if (type === "text/html") return htmlToText(partText(part));
+  if (type === "text/plain" || !type) return partText(part);
+  return "";
+}
+
+// extractBody
+// Readable text of a message payload: { text, forwards } where forwards are the attached
+// message/rfc822 messages as { from, date, subject, text, forwards }.
+export function extractBody(payload) {
+  if (!payload) return { text: "", forwards: [] };
+
+  const forwards = [];
+  const text = bodyOf(payload, forwards).replace(/\r\n/g, "\n");
+  return { text, forwards };
+}
+
+// Binary string (one char per byte) of a part body -> decoded bytes
+function decodeTransfer(body, encoding) {
+  const enc = String(encoding || "").trim().toLowerCase();
+  if (enc === "base64") return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+  if (enc === "quoted-printable") return decodeQuotedPrintable(body);
+  return Buffer.from(body, "latin1");
+}
+
+function parseHeaderBlock(head) {
+  return head
+    .replace(/\r?\n(?=[ \t])/g, "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const idx = line.indexOf(":");
+      if (idx <= 0) return null;
+      // raw 8-bit header bytes are usually UTF-8
+      const value = decodeBytes(Buffer.from(line.slice(idx + 1).trim(), "latin1"));
+      return { name: line.slice(0, idx).trim(), value };
+    })
+    .filter(Boolean);
+}
+
+function splitMultipart(body, boundary) {
+  const esc = boundary.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = new RegExp(`(?:^|\\r?\\n)--${esc}(--)?[ \\t]*(?=\\r?\\n|$)`, "g");
+
+  const out = [];
+  let start = null;
+  let m;
+  while ((m = re.exec(body))) {
+    if (start !== null) out.push(body.slice(start, m.index));
+    if (m[1]) {
+      start = null;
+      break;
+    }
+    start = m.index + m[0].length;
+    const nl = /^\r?\n/.exec(body.slice(start, start + 2));
+    if (nl) start += nl[0].length;
+  }
+  // tolerate a missing closing delimiter
+  if (start !== null) out.push(body.slice(start));
+  return out;
+}
+
+function parseEntity(src, partId) {
+  const sep = /^\r?\n/.exec(src) || /\r?\n\r?\n/.exec(src);
+  const head = sep ? src.slice(0, sep.index) : src;
+  const body = sep ? src.slice(sep.index + sep[0].length) : "";
+
+  const headers = parseHeaderBlock(head);
+  const contentType = parseHeaderParams(headerValue(headers, "Content-Type") || "text/plain");
+  const disposition = parseHeaderParams(headerValue(headers, "Content-Disposition"));
+  const encoding = headerValue(headers, "Content-Transfer-Encoding");
+
+  const part = {
+    partId,
+    mimeType: contentType.value || "text/plain",
+    filename: decodeHeader(disposition.params.filename || contentType.params.name || ""),
+    headers,
+    body: { size: 0 }
+  };
+  const childId = (i) => (partId === "" ? String(i) : `${partId}.${i}`);
+
+  if (part.mimeType.startsWith("multipart/") && contentType.params.boundary) {
+    part.parts = splitMultipart(body, contentType.params.boundary).map((p, i) => parseEntity(p, childId(i)));
+  } else if (part.mimeType === "message/rfc822") {
+    part.parts = [parseEntity(decodeTransfer(body, encoding).toString("latin1"), childId(0))];
+  } else {
+    const bytes = decodeTransfer(body, encoding);
+    part.body = { size: bytes.length, data: bytes.toString("base64url") };
+  }
+
+  return part;
+}
+
+// parseRawMessage
+// A raw RFC 822 message (Buffer or string, e.g. an .eml file) -> Gmail-style payload,
+// so the same decoding code handles both sources.
+export function parseRawMessage(raw) {
+  const src = Buffer.isBuffer(raw) ? raw.toString("latin1") : Buffer.from(String(raw), "utf-8").toString("latin1");
+  return parseEntity(src, "");
+}
@@ -1,319 +1,1377 @@
 import express from "express";
-import { triageEmail, summarizeEmail } from "./ai.js";
-import { makeOAuthClient, fetchLatestEmails, markEmailAsRead } from "./gmail.js";
+import { partialTriage, regenerateDraft, summarizeEmail, triageEmail } from "./ai.js";
+import { markEmailAsRead, createReplyDraft, sendReply, fetchAttachment } from "./gmail.js";
+import { CATEGORY_COLORS, DEFAULT_CATEGORIES, URGENCIES, categoriesFor, parseCategories } from "./categories.js";
+import {
+  documentText,
+  embedKey,
+  indexDocument,
+  knowledgeForEmail,
+  knowledgeLimits,
+  reindexDocument,
+  searchKnowledge
+} from "./knowledge.js";
+import { parseTemplate } from "./templates.js";
+import { correctionText, loadCorrections, parseOverride, senderDomain, similarCorrections } from "./corrections.js";
+import { addRevision, currentDraftText, draftRevisions } from "./drafts.js";
+import { matchesEntities, parseEntityFilters } from "./entities.js";
+import { LLM_PROVIDERS, llmForUser, resolveLlmConfig } from "./llm.js";
+import { defaultSla, parseSlaSettings, slaFor, slaRunning, updateDueAt } from "./sla.js";
+import { SUMMARY_THRESHOLD, runSync, triageStoredEmail } from "./sync.js";
+import { STATES, allowedTransitions, emailState, transition } from "./workflow.js";
+import {
+  ROLES,
+  ensureWorkspace,
+  hasRole,
+  listUserWorkspaces,
+  normalizeEmail,
+  parseInvite,
+  parseRole,
+  removeMember
+} from "./workspaces.js";
+import { makeSyncJobs } from "./syncJobs.js";
+import { GMAIL_RECONNECT_REQUIRED, gmailReconnectError, makeTokenManager } from "./tokens.js";
+import { AUDIT_ACTIONS, emailRef, makeAudit, parseAuditFilters, searchAudit } from "./audit.js";
+import { csrfProtection, csrfQuery, csrfToken, makeRateLimiter, rateLimits } from "./security.js";
+
+// Emails read per storage page, and how many recent emails GET /api/emails looks through when filtering
+// by state, assignee or entities (the answer says "truncated" when older emails were left out)
+const EMAIL_PAGE = 200;
+const FILTER_SCAN = 2000;
 
 function asyncHandler(fn) {
   return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 }
 
-async function checkOllamaQuick({ baseUrl, timeoutMs = 2000 }) {
-  const url = baseUrl.replace(/\/$/, "") + "/api/tags";
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { signal: controller.signal });
-    return res.ok;
-  } catch {
-    return false;
-  } finally {
-    clearTimeout(t);
+// scanEmails
+// Calls visit(email) for the workspace's emails, newest first, one storage page at a time,
+// until visit returns false or max emails were looked at. Returns { scanned, complete }.
+async function scanEmails(storage, workspaceId, visit, { max = Infinity } = {}) {
+  let before = null;
+  let scanned = 0;
+
+  while (true) {
+    const page = await storage.emails.listPage(workspaceId, { before, limit: EMAIL_PAGE });
+    for (const email of page) {
+      if (scanned >= max) return { scanned, complete: false };
+      scanned += 1;
+      before = before?.at === email.createdAt ? { at: email.createdAt, ids: [...before.ids, email.id] } : { at: email.createdAt, ids: [email.id] };
+      if ((await visit(email)) === false) return { scanned, complete: false };
+    }
+    if (page.length < EMAIL_PAGE) return { scanned, complete: true };
   }
 }
 
-export function makeRoutes({ firestore, env }) {
+// Quick reachability check for whichever LLM provider is active.
+async function checkLlmQuick(llm, { timeoutMs = 2000 } = {}) {
+  return llm.health({ timeoutMs }).catch(() => false);
+}
+
+export function makeRoutes({ storage, env }) {
   const router = express.Router();
+  const syncJobs = makeSyncJobs();
+  const tokens = makeTokenManager({ storage, env });
+
+  // Per-user / per-IP limits on Gmail sync and LLM calls (security.js, RATE_LIMIT_* env vars)
+  const limits = rateLimits(env);
+  const syncLimit = makeRateLimiter({ name: "sync", windowMs: limits.windowMs, ...limits.sync });
+  const aiLimit = makeRateLimiter({ name: "AI", windowMs: limits.windowMs, ...limits.ai });
+
+  // Every state-changing request carries the session's CSRF token (GET /api/csrf)
+  router.use(csrfProtection());
+
+  router.get("/csrf", (req, res) => res.json({ csrfToken: csrfToken(req) }));
+
+  // The user's active workspace and their role in it, or null when they are no longer a member
+  const activeWorkspace = async (user) => {
+    const workspaceId = user.workspaceId || (await ensureWorkspace({ storage, user }));
+    const [workspace, member] = await Promise.all([
+      storage.workspaces.get(workspaceId),
+      storage.workspaces.getMember(workspaceId, user.id)
+    ]);
+    return workspace && member ? { workspace, role: member.role } : null;
+  };
+
+  // Signed in, with the active workspace and the user's role in it on req.workspace / req.role,
+  // and req.audit recording actions in that workspace (audit.js)
+  const requireAuth = asyncHandler(async (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Not authenticated. Login at /auth/google" });
+
+    const active = await activeWorkspace(req.user);
+    if (!active) return res.status(403).json({ error: "No access to this workspace" });
+
+    req.workspace = active.workspace;
+    req.role = active.role;
+    req.audit = makeAudit({ storage, workspaceId: active.workspace.id, user: req.user });
+    next();
+  });
 
-  const requireAuth = (req, res, next) => {
-    if (req.user) return next();
-    return res.status(401).json({ error: "Not authenticated. Login at /auth/google" });
+  // Role check after requireAuth (see workspaces.js for what each role may do)
+  const requireRole = (min) => (req, res, next) => {
+    if (hasRole(req.role, min)) return next();
+    return res.status(403).json({ error: "Not allowed", details: `Requires the ${min} role or higher (you are ${req.role})` });
+  };
+
+  // Gmail is read and written with the tokens of the workspace owner, who connected the mailbox (tokens.js)
+  const mailboxClient = async (workspace) => {
+    const owner = await storage.users.get(workspace.ownerId);
+    if (!owner) throw gmailReconnectError("The owner of this inbox no longer has an account. Gmail cannot be reached.");
+    return tokens.clientFor(owner);
   };
 
   router.get(
     "/health",
     asyncHandler(async (req, res) => {
-      const ollamaOk = await checkOllamaQuick({ baseUrl: env.OLLAMA_BASE_URL });
-      res.json({ ok: true, ollamaOk, model: env.OLLAMA_MODEL });
+      const llm = llmForUser({ env, user: req.user });
+      const llmOk = await checkLlmQuick(llm);
+      res.json({ ok: true, llmOk, provider: llm.name, model: llm.model });
+    })
+  );
+
+  router.get(
+    "/settings/llm",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const active = resolveLlmConfig({ env, user: req.user });
+      res.json({
+        providers: LLM_PROVIDERS,
+        settings: req.user.llmSettings || null,
+        active: { provider: active.provider, model: active.model }
+      });
     })
   );
 
+  router.put(
+    "/settings/llm",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const provider = req.body?.provider ? String(req.body.provider).toLowerCase() : null;
+      const model = req.body?.model ? String(req.body.model).trim() : null;
+
+      if (provider && !LLM_PROVIDERS.includes(provider)) {
+        return res.status(400).json({ error: "Unknown provider", details: `Expected one of ${LLM_PROVIDERS.join(", ")}` });
+      }
+
+      // null/empty clears the override and falls back to the env defaults
+      const llmSettings = provider || model ? { provider, model } : null;
+
+      // Refuse settings the server cannot actually run (e.g. openai without OPENAI_BASE_URL)
+      let llm;
+      try {
+        llm = llmForUser({ env, user: { ...req.user, llmSettings } });
+      } catch (err) {
+        return res.status(400).json({ error: "Invalid LLM settings", details: err?.message || String(err) });
+      }
+
+      await storage.users.update(req.user.id, { llmSettings, updatedAt: Date.now() });
+      await req.audit.record("settings.llm", { details: { settings: llmSettings } });
+
+      res.json({ ok: true, settings: llmSettings, active: { provider: llm.name, model: llm.model } });
+    })
+  );
+
+  // Category taxonomy used by triage (see categories.js).
+  // "custom" is false while the workspace still runs on the built-in list.
+  router.get(
+    "/settings/categories",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      res.json({
+        categories: categoriesFor(req.workspace),
+        custom: Boolean(req.workspace.categories?.length),
+        defaults: DEFAULT_CATEGORIES,
+        colors: CATEGORY_COLORS,
+        urgencies: URGENCIES
+      });
+    })
+  );
+
+  // Replaces the whole list. { categories: null } goes back to the built-in list.
+  // Emails triaged earlier keep the category they were given.
+  router.put(
+    "/settings/categories",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      let categories = null;
+      if (req.body?.categories != null) {
+        const parsed = parseCategories(req.body.categories);
+        if (parsed.error) return res.status(400).json({ error: "Invalid categories", details: parsed.error });
+        categories = parsed.categories;
+      }
+
+      await storage.workspaces.update(req.workspace.id, { categories, updatedAt: Date.now() });
+      await req.audit.record("settings.categories", { details: { categories: categories?.map((c) => c.name) || null } });
+
+      res.json({ ok: true, categories: categories || DEFAULT_CATEGORIES, custom: Boolean(categories) });
+    })
+  );
+
+  // Response-time SLA targets (see sla.js). "custom" is false while the workspace runs on the defaults.
+  router.get(
+    "/settings/sla",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      res.json({
+        sla: slaFor(req.workspace, env),
+        custom: Boolean(req.workspace.sla),
+        defaults: defaultSla(env),
+        urgencies: URGENCIES,
+        categories: categoriesFor(req.workspace).map((c) => c.name)
+      });
+    })
+  );
+
+  // Replaces the SLA settings ({ sla: null } goes back to the defaults) and
+  // recomputes the due dates of every email whose clock is still running (sla.js).
+  router.put(
+    "/settings/sla",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      let sla = null;
+      if (req.body?.sla != null) {
+        const parsed = parseSlaSettings(req.body.sla, categoriesFor(workspace));
+        if (parsed.error) return res.status(400).json({ error: "Invalid SLA settings", details: parsed.error });
+        sla = parsed.sla;
+      }
+
+      await storage.workspaces.update(workspace.id, { sla, updatedAt: Date.now() });
+      await req.audit.record("settings.sla", { details: { sla } });
+
+      const active = sla || defaultSla(env);
+      let updated = 0;
+      await scanEmails(storage, workspace.id, async (email) => {
+        if (!slaRunning(email)) return;
+        await updateDueAt({ storage, workspace, env, gmailId: email.id, sla: active });
+        updated += 1;
+      });
+
+      res.json({ ok: true, sla: active, custom: Boolean(sla), updated });
+    })
+  );
+
+  // Knowledge base documents. "stale" documents were embedded with another model
+  // (provider or embedding model changed) and are skipped by search until re-indexed.
+  router.get(
+    "/knowledge",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const key = embedKey(llmForUser({ env, user: req.user }));
+      const docs = await storage.knowledge.listDocs(req.workspace.id);
+      res.json({ documents: docs.map((d) => ({ ...d, stale: d.embedKey !== key })), embedKey: key });
+    })
+  );
+
+  // Upload: either the raw file as the body (Content-Type = file type, ?filename=&title=)
+  // or JSON { title, text } for pasted text.
   router.post(
-  "/ai/test",
-  asyncHandler(async (req, res) => {
-    const email = {
-      fromEmail: req.body?.fromEmail || "member@example.com",
-      subject: req.body?.subject || "Test email",
-      snippet: req.body?.message || "",
-      bodyText: req.body?.message || "",
-      cleanBodyText: req.body?.message || ""
-    };
-
-    const triage = await triageEmail({
-      email,
-      ollamaBaseUrl: env.OLLAMA_BASE_URL,
-      model: env.OLLAMA_MODEL,
-      timeoutMs: 60000,
-      maxChars: 2000
-    });
+    "/knowledge",
+    requireAuth,
+    requireRole("admin"),
+    aiLimit,
+    express.raw({ type: (req) => !req.is("application/json"), limit: knowledgeLimits(env).maxBytes }),
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const llm = llmForUser({ env, user });
+
+      let input;
+      try {
+        if (Buffer.isBuffer(req.body)) {
+          const filename = String(req.query.filename || "").trim();
+          const mimeType = String(req.get("Content-Type") || "").split(";")[0].trim();
+          input = {
+            filename,
+            mimeType,
+            size: req.body.length,
+            title: String(req.query.title || "").trim() || filename,
+            text: await documentText({ buffer: req.body, mimeType, filename })
+          };
+        } else {
+          const text = String(req.body?.text || "").trim();
+          input = { title: String(req.body?.title || "").trim(), mimeType: "text/plain", size: Buffer.byteLength(text), text };
+        }
+      } catch (err) {
+        return res.status(400).json({ error: "Could not read document", details: err?.message || String(err) });
+      }
 
-    res.json({ ok: true, triage });
-  })
-);
+      if (!input.text) return res.status(400).json({ error: "The document has no readable text" });
 
-  router.get("/me", (req, res) => {
-    if (!req.user) return res.json({ user: null });
-    const { id, email, displayName } = req.user;
-    res.json({ user: { id, email, displayName } });
-  });
+      try {
+        const document = await indexDocument({ storage, llm, workspaceId: workspace.id, env, ...input });
+        await req.audit.record("knowledge.add", { target: document.id, details: { title: document.title } });
+        res.status(201).json({ ok: true, document });
+      } catch (err) {
+        res.status(502).json({ error: "Could not embed document", details: err?.message || String(err) });
+      }
+    })
+  );
+
+  router.delete(
+    "/knowledge/:docId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const doc = await storage.knowledge.getDoc(req.workspace.id, req.params.docId);
+      if (!doc) return res.status(404).json({ error: "Document not found" });
+
+      await storage.knowledge.deleteDoc(req.workspace.id, req.params.docId);
+      await req.audit.record("knowledge.delete", { target: doc.id, details: { title: doc.title } });
+      res.json({ ok: true });
+    })
+  );
+
+  // Re-embeds every stale document with the current embedding model
+  router.post(
+    "/knowledge/reindex",
+    requireAuth,
+    requireRole("admin"),
+    aiLimit,
+    asyncHandler(async (req, res) => {
+      const llm = llmForUser({ env, user: req.user });
+      const key = embedKey(llm);
+      const stale = (await storage.knowledge.listDocs(req.workspace.id)).filter((d) => d.embedKey !== key);
+
+      try {
+        for (const d of stale) await reindexDocument({ storage, llm, workspaceId: req.workspace.id, docId: d.id });
+      } catch (err) {
+        return res.status(502).json({ error: "Could not embed documents", details: err?.message || String(err) });
+      }
+      await req.audit.record("knowledge.reindex", { details: { reindexed: stale.length, embedKey: key } });
+      res.json({ ok: true, reindexed: stale.length });
+    })
+  );
+
+  // What triage would retrieve for a question (lets staff check their documents)
+  router.post(
+    "/knowledge/search",
+    requireAuth,
+    aiLimit,
+    asyncHandler(async (req, res) => {
+      const query = String(req.body?.query || "").trim();
+      if (!query) return res.status(400).json({ error: "Missing query" });
+
+      try {
+        const results = await searchKnowledge({
+          storage,
+          llm: llmForUser({ env, user: req.user }),
+          workspaceId: req.workspace.id,
+          query,
+          env,
+          minScore: 0
+        });
+        res.json({ results });
+      } catch (err) {
+        res.status(502).json({ error: "Knowledge search failed", details: err?.message || String(err) });
+      }
+    })
+  );
+
+  // Reply templates (templates.js). Triage offers them to the model and records the one it used.
+  router.get(
+    "/templates",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      res.json({ templates: await storage.templates.list(req.workspace.id) });
+    })
+  );
+
+  router.post(
+    "/templates",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const parsed = parseTemplate(req.body);
+      if (parsed.error) return res.status(400).json({ error: "Invalid template", details: parsed.error });
+
+      const data = { ...parsed.template, createdAt: Date.now(), updatedAt: Date.now() };
+      const id = await storage.templates.create(req.workspace.id, data);
+      await req.audit.record("template.create", { target: id, details: { name: data.name } });
+      res.status(201).json({ ok: true, template: { id, ...data } });
+    })
+  );
+
+  router.put(
+    "/templates/:templateId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const { templateId } = req.params;
+      const existing = await storage.templates.get(req.workspace.id, templateId);
+      if (!existing) return res.status(404).json({ error: "Template not found" });
+
+      const parsed = parseTemplate(req.body);
+      if (parsed.error) return res.status(400).json({ error: "Invalid template", details: parsed.error });
+
+      const patch = { ...parsed.template, updatedAt: Date.now() };
+      await storage.templates.update(req.workspace.id, templateId, patch);
+      await req.audit.record("template.update", { target: templateId, details: { name: patch.name } });
+      res.json({ ok: true, template: { ...existing, ...patch } });
+    })
+  );
+
+  router.delete(
+    "/templates/:templateId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const existing = await storage.templates.get(req.workspace.id, req.params.templateId);
+      if (!existing) return res.status(404).json({ error: "Template not found" });
+
+      await storage.templates.delete(req.workspace.id, req.params.templateId);
+      await req.audit.record("template.delete", { target: existing.id, details: { name: existing.name } });
+      res.json({ ok: true });
+    })
+  );
 
+  // Runs the triage on a made-up email: admins only, it costs a full LLM call
+  router.post(
+    "/ai/test",
+    requireAuth,
+    requireRole("admin"),
+    aiLimit,
+    asyncHandler(async (req, res) => {
+      const email = {
+        fromEmail: req.body?.fromEmail || "member@example.com",
+        subject: req.body?.subject || "Test email",
+        snippet: req.body?.message || "",
+        bodyText: req.body?.message || "",
+        cleanBodyText: req.body?.message || ""
+      };
+
+      const llm = llmForUser({ env, user: req.user });
+      const workspace = req.workspace;
+      const knowledge = await knowledgeForEmail({ storage, llm, workspaceId: workspace.id, email, env });
+      const templates = await storage.templates.list(workspace.id);
+      const corrections = await loadCorrections({ storage, workspaceId: workspace.id, env });
+
+      const triage = await req.audit.aiCall({ task: "triage", llm, target: "ai-test" }, () =>
+        triageEmail({
+          email,
+          llm,
+          categories: categoriesFor(workspace),
+          knowledge,
+          templates,
+          examples: similarCorrections({ corrections, email, categories: categoriesFor(workspace), env }),
+          timeoutMs: 60000,
+          maxChars: 2000
+        })
+      );
+
+      res.json({ ok: true, triage });
+    })
+  );
+
+  router.get(
+    "/me",
+    asyncHandler(async (req, res) => {
+      if (!req.user) return res.json({ user: null });
+      const { id, email, displayName } = req.user;
+      const active = await activeWorkspace(req.user);
+      const user = (await storage.users.get(id)) || req.user;
+
+      // the inbox's Gmail connection is the owner's; only the owner can reconnect it
+      const ownerId = active?.workspace.ownerId || id;
+      const owner = ownerId === id ? user : await storage.users.get(ownerId);
+
+      res.json({
+        user: { id, email, displayName },
+        workspace: active ? { id: active.workspace.id, name: active.workspace.name, role: active.role } : null,
+        workspaces: await listUserWorkspaces({ storage, user }),
+        gmailConnected: Boolean(owner?.accessToken && !owner.gmailDisconnected),
+        gmailOwnerEmail: owner?.email || null
+      });
+    })
+  );
+
+  // The shared inbox: members with their roles and pending invitations (workspaces.js)
+  router.get(
+    "/workspace",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const { id, name, ownerId } = req.workspace;
+      const members = await storage.workspaces.listMembers(id);
+      members.sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0));
+      const invites = hasRole(req.role, "admin") ? await storage.invites.listForWorkspace(id) : [];
+
+      res.json({ workspace: { id, name, ownerId }, role: req.role, roles: ROLES, members, invites });
+    })
+  );
+
+  // Invites a Google account by email address: { email, role }. Accepted when they sign in.
+  router.post(
+    "/workspace/invites",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const { invite, error } = parseInvite(req.body);
+      if (error) return res.status(400).json({ error: "Invalid invitation", details: error });
+
+      const members = await storage.workspaces.listMembers(req.workspace.id);
+      if (members.some((m) => normalizeEmail(m.email) === invite.email)) {
+        return res.status(409).json({ error: "Already a member", details: invite.email });
+      }
+
+      const data = { role: invite.role, invitedBy: req.user.email || null, createdAt: Date.now() };
+      await storage.invites.save(req.workspace.id, invite.email, data);
+      await req.audit.record("member.invite", { target: invite.email, details: { role: invite.role } });
+      res.status(201).json({ ok: true, invite: { workspaceId: req.workspace.id, email: invite.email, ...data } });
+    })
+  );
+
+  router.delete(
+    "/workspace/invites/:email",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const email = normalizeEmail(req.params.email);
+      await storage.invites.delete(req.workspace.id, email);
+      await req.audit.record("member.uninvite", { target: email });
+      res.json({ ok: true });
+    })
+  );
+
+  // Changes a member's role: { role }. The owner's role is fixed.
+  router.put(
+    "/workspace/members/:userId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const member = await storage.workspaces.getMember(req.workspace.id, req.params.userId);
+      if (!member) return res.status(404).json({ error: "Member not found" });
+      if (member.role === "owner") return res.status(409).json({ error: "The owner's role cannot be changed" });
+
+      const { role, error } = parseRole(req.body?.role);
+      if (error) return res.status(400).json({ error: "Invalid role", details: error });
+
+      await storage.workspaces.setMember(req.workspace.id, member.id, { ...member, role });
+      await req.audit.record("member.role", { target: member.id, details: { email: member.email, from: member.role, to: role } });
+      res.json({ ok: true, member: { ...member, role } });
+    })
+  );
+
+  // Removes a member. Their assigned emails become unassigned.
+  router.delete(
+    "/workspace/members/:userId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const member = await storage.workspaces.getMember(workspace.id, req.params.userId);
+      if (!member) return res.status(404).json({ error: "Member not found" });
+      if (member.role === "owner") return res.status(409).json({ error: "The owner cannot be removed" });
+
+      await removeMember({ storage, workspaceId: workspace.id, userId: member.id });
+
+      // unassigned emails drop out of the query, so every round reads the next batch
+      let unassigned = 0;
+      while (true) {
+        const batch = await storage.emails.listByAssignee(workspace.id, member.id, { limit: EMAIL_PAGE });
+        for (const e of batch) await storage.emails.update(workspace.id, e.id, { assignee: null, updatedAt: Date.now() });
+        unassigned += batch.length;
+        if (batch.length < EMAIL_PAGE) break;
+      }
+      await req.audit.record("member.remove", { target: member.id, details: { email: member.email, role: member.role, unassigned } });
+      res.json({ ok: true, unassigned });
+    })
+  );
+
+  // Makes another workspace the user belongs to the active one
+  router.post(
+    "/workspaces/:workspaceId/switch",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const { workspaceId } = req.params;
+      const [workspace, member] = await Promise.all([
+        storage.workspaces.get(workspaceId),
+        storage.workspaces.getMember(workspaceId, req.user.id)
+      ]);
+      if (!workspace || !member) return res.status(404).json({ error: "Workspace not found" });
+
+      await storage.users.update(req.user.id, { workspaceId, updatedAt: Date.now() });
+      res.json({ ok: true, workspace: { id: workspace.id, name: workspace.name, role: member.role } });
+    })
+  );
+
+  // Starts a background sync job and returns its id right away (202).
+  // Progress: GET /sync/jobs/:id, or the SSE stream at /sync/jobs/:id/events.
   router.post(
     "/emails/sync",
     requireAuth,
+    requireRole("agent"),
+    syncLimit,
     asyncHandler(async (req, res) => {
-      const startedAt = Date.now();
       const user = req.user;
+      const workspace = req.workspace;
 
       const maxResults = Math.max(1, Math.min(Number(req.body?.maxResults ?? 20), 50));
-      const SUMMARY_THRESHOLD = 900; // chars: when to auto-summarize
-
-      const oauth2Client = makeOAuthClient({
-        clientId: env.GOOGLE_CLIENT_ID,
-        clientSecret: env.GOOGLE_CLIENT_SECRET,
-        redirectUri: env.GOOGLE_CALLBACK_URL,
-        tokens: {
-          access_token: user.accessToken,
-          refresh_token: user.refreshToken || undefined
-        }
-      });
 
-      const ollamaOk = await checkOllamaQuick({ baseUrl: env.OLLAMA_BASE_URL });
-      if (!ollamaOk) {
+      const oauth2Client = await mailboxClient(workspace);
+
+      const llm = llmForUser({ env, user });
+      const llmOk = await checkLlmQuick(llm);
+      if (!llmOk) {
         return res.status(503).json({
-          error: "Ollama not reachable",
-          details: `Cannot reach ${env.OLLAMA_BASE_URL}. Is Ollama running?`
+          error: "LLM not reachable",
+          details: `Cannot reach ${llm.name} at ${llm.baseUrl}. Is the model server running?`
         });
       }
 
-      const emails = await fetchLatestEmails({
-        oauth2Client,
-        maxResults,
-        labelIds: ["INBOX", "UNREAD"]
+      const { job, alreadyRunning } = syncJobs.start({
+        workspaceId: workspace.id,
+        run: ({ signal, progress }) =>
+          runSync({ storage, env, workspace, audit: req.audit, llm, oauth2Client, maxResults, signal, progress })
       });
 
-      const emailsRef = firestore.collection("users").doc(user.id).collection("emails");
+      // one audit entry per run, once it has finished
+      if (!alreadyRunning) {
+        const unsubscribe = syncJobs.subscribe(job.id, (msg) => {
+          if (msg.type !== "done") return;
+          unsubscribe();
+          const { status, mode, counts, error, startedAt, finishedAt } = msg.job;
+          req.audit.record("sync.run", {
+            target: job.id,
+            details: { status, mode, maxResults, counts, error, durationMs: finishedAt - startedAt }
+          });
+        });
+      }
 
-      let created = 0;
-      let triaged = 0;
-      let summarized = 0;
-      let aiErrors = 0;
+      res.status(alreadyRunning ? 200 : 202).json({ ok: true, jobId: job.id, alreadyRunning, job });
+    })
+  );
 
-      for (const e of emails) {
-        const docRef = emailsRef.doc(e.gmailId);
-        const snap = await docRef.get();
+  // Jobs are only visible inside the workspace they sync
+  const findJob = (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job || job.workspaceId !== req.workspace.id) {
+      res.status(404).json({ error: "Sync job not found" });
+      return null;
+    }
+    return job;
+  };
 
-        if (!snap.exists) {
-          await docRef.set({
-            ...e,
-            createdAt: Date.now(),
-            updatedAt: Date.now(),
-            ai: null,
-            aiSummary: null
-          });
-          created++;
-        } else {
-          await docRef.update({
-            isUnread: e.isUnread,
-            labelIds: e.labelIds,
-            // Keep latest cleaned text in case Gmail formatting changed
-            cleanBodyText: e.cleanBodyText,
-            snippet: e.snippet,
-            updatedAt: Date.now()
-          });
-        }
+  router.get("/sync/jobs/:id", requireAuth, (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json({ job });
+  });
 
-        const after = await docRef.get();
-        const data = after.data();
+  router.post("/sync/jobs/:id/cancel", requireAuth, requireRole("agent"), (req, res) => {
+    if (!findJob(req, res)) return;
+    res.json({ ok: true, job: syncJobs.cancel(req.params.id) });
+  });
 
-        // summary if long and not yet summarized
-        const msg = (e.cleanBodyText || e.bodyText || e.snippet || "").trim();
-        if (!data.aiSummary && msg.length > SUMMARY_THRESHOLD) {
-          try {
-            const sum = await summarizeEmail({
-              email: e,
-              ollamaBaseUrl: env.OLLAMA_BASE_URL,
-              model: env.OLLAMA_MODEL,
-              timeoutMs: 45000,
-              maxChars: 4000
-            });
-            await docRef.update({ aiSummary: { ...sum, createdAt: Date.now() } });
-            summarized++;
-          } catch (err) {
-            aiErrors++;
-            await docRef.update({
-              aiSummary: {
-                title: "",
-                summary: "",
-                key_points: [],
-                error: String(err?.message || err),
-                createdAt: Date.now()
-              }
-            });
-          }
+  // Server-Sent Events: "progress" per step, "done" once the job has finished.
+  router.get("/sync/jobs/:id/events", requireAuth, (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Current state first, so late subscribers are immediately up to date
+    send("progress", { job });
+    if (job.finishedAt) {
+      send("done", { job });
+      return res.end();
+    }
+
+    const unsubscribe = syncJobs.subscribe(job.id, (msg) => {
+      send(msg.type, msg);
+      if (msg.type === "done") {
+        unsubscribe();
+        res.end();
+      }
+    });
+
+    // keep proxies from closing an idle stream during long LLM calls
+    const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+
+    req.on("close", () => {
+      clearInterval(ping);
+      unsubscribe();
+    });
+  });
+
+  router.get(
+    "/emails",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const unreadOnly = req.query.unread !== "false";
+
+      // ?state=NEW|IN_PROGRESS|WAITING_ON_MEMBER|RESOLVED
+      const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+      if (state && !STATES.includes(state)) {
+        return res.status(400).json({ error: "Invalid filter", details: `state: expected one of ${STATES.join(", ")}` });
+      }
+
+      // ?assigned=me|none
+      const assigned = req.query.assigned ? String(req.query.assigned) : null;
+      if (assigned && !["me", "none"].includes(assigned)) {
+        return res.status(400).json({ error: "Invalid filter", details: "assigned: expected me or none" });
+      }
+      const assignedOk = (e) =>
+        !assigned || (assigned === "me" ? e.assignee?.userId === req.user.id : !e.assignee?.userId);
+
+      // ?member=&entityId=&idKind=&date=&dateFrom=&dateTo=&currency=&minAmount=&maxAmount=&class=&phone=
+      const { filters, error } = parseEntityFilters(req.query);
+      if (error) return res.status(400).json({ error: "Invalid filter", details: error });
+
+      if (!filters && !state && !assigned) {
+        const emails = await storage.emails.list(workspace.id, { unreadOnly, limit: 50 });
+        return res.json({ emails });
+      }
+
+      // filters run over the FILTER_SCAN most recent emails; counts per state are for the state tabs
+      const emails = [];
+      const counts = Object.fromEntries(STATES.map((s) => [s, 0]));
+      const { scanned, complete } = await scanEmails(
+        storage,
+        workspace.id,
+        (e) => {
+          if ((unreadOnly && !e.isUnread) || !assignedOk(e) || !matchesEntities(e.entities, filters)) return;
+          counts[emailState(e)]++;
+          if (emails.length < 50 && (!state || emailState(e) === state)) emails.push(e);
+        },
+        { max: FILTER_SCAN }
+      );
+      res.json({ emails, counts, truncated: !complete, scanned });
+    })
+  );
+
+  router.get(
+    "/emails/:gmailId",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const { gmailId } = req.params;
+
+      const email = await storage.emails.get(workspace.id, gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      res.json({ email, transitions: allowedTransitions(email) });
+    })
+  );
+
+  // Downloads one attachment straight from Gmail (file bytes are never stored)
+  router.get(
+    "/emails/:gmailId/attachments/:partId",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const { gmailId, partId } = req.params;
+
+      const email = await storage.emails.get(workspace.id, gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      const att = await fetchAttachment({ oauth2Client: await mailboxClient(workspace), gmailId, partId });
+      if (!att) return res.status(404).json({ error: "Attachment not found" });
+
+      res.set({
+        "Content-Type": att.mimeType,
+        "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(att.filename)}`
+      });
+      res.send(att.data);
+    })
+  );
+
+  // Moves an email through the workflow (workflow.js): { state, reason? }.
+  // Resolving also marks the message as read in Gmail (best effort, like deleting).
+  router.post(
+    "/emails/:gmailId/state",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      const to = String(req.body?.state || "").toUpperCase();
+      const reason = req.body?.reason ? String(req.body.reason).trim().slice(0, 200) : null;
+      const { patch, error } = transition(email, to, { by: user.email || null, reason });
+      if (error) {
+        return res.status(STATES.includes(to) ? 409 : 400).json({ error: "Invalid transition", details: error });
+      }
+
+      await storage.emails.update(workspace.id, email.id, patch);
+      await req.audit.record("email.state", { target: email.id, details: { ...emailRef(email), from: emailState(email), to, reason } });
+
+      let gmailMarkedRead = false;
+      if (to === "RESOLVED" && email.isUnread) {
+        try {
+          await markEmailAsRead({ oauth2Client: await mailboxClient(workspace), gmailId: email.id });
+          await storage.emails.update(workspace.id, email.id, { isUnread: false });
+          gmailMarkedRead = true;
+        } catch (err) {
+          console.warn("Could not mark as read:", err?.message || err);
         }
+      }
 
-        // triage only if missing
-        if (!data.ai || !data.ai.reply_draft || data.ai.error) {
-          try {
-            const triage = await triageEmail({
-              email: e,
-              ollamaBaseUrl: env.OLLAMA_BASE_URL,
-              model: env.OLLAMA_MODEL,
-              timeoutMs: 60000,
-              maxChars: 1500
-            });
-
-            await docRef.update({ ai: { ...triage, createdAt: Date.now() } });
-            triaged++;
-          } catch (err) {
-            aiErrors++;
-            await docRef.update({
-              ai: {
-                category: "GENERAL_QUESTION",
-                urgency: "LOW",
-                confidence: 0.2,
-                reply_draft: "Thanks for your email — we’ll take a look and get back to you shortly.",
-                error: String(err?.message || err),
-                createdAt: Date.now()
-              }
-            });
-            triaged++;
-          }
+      res.json({ ok: true, ...patch, transitions: allowedTransitions(patch), gmailMarkedRead });
+    })
+  );
+
+  // Audit trail of the workspace, newest first (audit.js).
+  // ?action=&user=&target=&q=&errors=true&from=&to=&limit= ; action also takes a prefix ("ai", "email").
+  router.get(
+    "/audit",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const { filters, error } = parseAuditFilters(req.query);
+      if (error) return res.status(400).json({ error: "Invalid filter", details: error });
+
+      const { entries, scanned, cursor } = await searchAudit({ storage, workspaceId: req.workspace.id, filters });
+      res.json({ entries, actions: AUDIT_ACTIONS, scanned, cursor });
+    })
+  );
+
+  // Assigns an email to a member who works the inbox: { userId } (null unassigns)
+  router.put(
+    "/emails/:gmailId/assignee",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      let assignee = null;
+      const userId = req.body?.userId ?? null;
+      if (userId !== null) {
+        const member = await storage.workspaces.getMember(workspace.id, String(userId));
+        if (!member) return res.status(400).json({ error: "Invalid assignee", details: "Not a member of this workspace" });
+        if (!hasRole(member.role, "agent")) {
+          return res.status(400).json({ error: "Invalid assignee", details: "Read-only members cannot be assigned emails" });
         }
+        assignee = { userId: member.id, email: member.email, displayName: member.displayName, by: req.user.email || null, at: Date.now() };
       }
 
-      res.json({
-        ok: true,
-        fetched: emails.length,
-        created,
-        triaged,
-        summarized,
-        aiErrors,
-        durationMs: Date.now() - startedAt
+      await storage.emails.update(workspace.id, email.id, { assignee, updatedAt: Date.now() });
+      await req.audit.record("email.assign", {
+        target: email.id,
+        details: { ...emailRef(email), from: email.assignee?.email || null, to: assignee?.email || null }
       });
+      res.json({ ok: true, assignee });
     })
   );
 
-  router.get(
-    "/emails",
+  // Staff override of the AI category / urgency: { category?, urgency? }.
+  // The AI result stays as it was; the override is also kept as a correction for few-shot examples (corrections.js).
+  // Emails flagged "needs manual triage" have no AI values, so both are required for them.
+  router.put(
+    "/emails/:gmailId/override",
     requireAuth,
+    requireRole("agent"),
     asyncHandler(async (req, res) => {
       const user = req.user;
-      const unreadOnly = req.query.unread !== "false";
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (!email.ai) return res.status(409).json({ error: "Email has not been triaged yet" });
+
+      const { override, error } = parseOverride(req.body, categoriesFor(workspace));
+      if (error) return res.status(400).json({ error: "Invalid override", details: error });
+      if (!(override.category || email.ai.category) || !(override.urgency || email.ai.urgency)) {
+        return res.status(400).json({ error: "Invalid override", details: "Give both a category and an urgency" });
+      }
 
-      const emailsRef = firestore.collection("users").doc(user.id).collection("emails");
+      const saved = {
+        category: override.category || email.ai.category,
+        urgency: override.urgency || email.ai.urgency,
+        by: user.email || null,
+        at: Date.now()
+      };
+      await storage.emails.saveOverride(workspace.id, email.id, saved);
 
-      let snap;
-      if (unreadOnly) {
-        snap = await emailsRef.where("isUnread", "==", true).limit(50).get();
+      // Only an actual disagreement with the AI teaches it something
+      if (email.ai.category && (saved.category !== email.ai.category || saved.urgency !== email.ai.urgency)) {
+        await storage.corrections.save(workspace.id, email.id, {
+          gmailId: email.id,
+          fromDomain: senderDomain(email.fromEmail),
+          ...correctionText(email),
+          aiCategory: email.ai.category,
+          aiUrgency: email.ai.urgency,
+          category: saved.category,
+          urgency: saved.urgency,
+          by: saved.by,
+          createdAt: saved.at
+        });
       } else {
-        snap = await emailsRef.orderBy("createdAt", "desc").limit(50).get();
+        await storage.corrections.delete(workspace.id, email.id);
       }
 
-      const emails = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      emails.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+      await req.audit.record("email.override", {
+        target: email.id,
+        details: { ...emailRef(email), ai: { category: email.ai.category, urgency: email.ai.urgency }, category: saved.category, urgency: saved.urgency }
+      });
+      const due = await updateDueAt({ storage, workspace, env, gmailId: email.id });
+      res.json({ ok: true, override: saved, ...due });
+    })
+  );
+
+  // Back to the AI category / urgency
+  router.delete(
+    "/emails/:gmailId/override",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
 
-      res.json({ emails });
+      await storage.emails.saveOverride(workspace.id, email.id, null);
+      await storage.corrections.delete(workspace.id, email.id);
+      await req.audit.record("email.override", { target: email.id, details: { ...emailRef(email), category: null, urgency: null } });
+      const due = await updateDueAt({ storage, workspace, env, gmailId: email.id });
+      res.json({ ok: true, override: null, ...due });
     })
   );
 
+  // Gmail answers 403 when the account was connected before the compose scope was requested
+  const replyError = (res, err) => {
+    if (err?.code === 403 || err?.response?.status === 403) {
+      return res.status(403).json({
+        error: "Gmail permission missing",
+        details: "Log out and log in with Google again to allow drafts and sending."
+      });
+    }
+    throw err;
+  };
+
+  const replyText = (req) => String(req.body?.text || "").trim();
+
+  // The text a Gmail draft / sent reply uses: the current draft (drafts.js).
+  // A text sent along that differs from it is saved as an edit first, so what goes out is always a revision.
+  async function replyDraftText({ user, workspace, email, req }) {
+    const text = replyText(req);
+    if (text && text !== currentDraftText(email)) {
+      const draft = addRevision(email, { text, source: "edit", by: user.email || null });
+      await storage.emails.saveDraft(workspace.id, email.id, draft);
+      await req.audit.record("draft.edit", { target: email.id, details: { ...emailRef(email), revision: latestRevision(draft) } });
+      return text;
+    }
+    return currentDraftText(email).trim();
+  }
+
+  // Draft view for the client: current text + revisions, newest last
+  const draftView = (email) => ({ text: currentDraftText(email), revisions: draftRevisions(email) });
+  const latestRevision = (draft) => draft?.revisions?.at(-1)?.n ?? null;
+
   router.get(
-    "/emails/:gmailId",
+    "/emails/:gmailId/draft",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const email = await storage.emails.get(req.workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      res.json({ draft: draftView(email) });
+    })
+  );
+
+  // Saves a staff edit of the draft as a new revision
+  router.put(
+    "/emails/:gmailId/draft",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const text = replyText(req);
+      if (!text) return res.status(400).json({ error: "Draft text is required" });
+
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (email.reply?.status === "SENT") return res.status(409).json({ error: "Reply already sent" });
+
+      if (text !== currentDraftText(email)) {
+        email.draft = addRevision(email, { text, source: "edit", by: user.email || null });
+        await storage.emails.saveDraft(workspace.id, email.id, email.draft);
+        await req.audit.record("draft.edit", { target: email.id, details: { ...emailRef(email), revision: latestRevision(email.draft) } });
+      }
+      res.json({ ok: true, draft: draftView(email) });
+    })
+  );
+
+  // Rewrites the draft with the model following free-text instructions.
+  // { instructions, text? } - text defaults to the current draft.
+  router.post(
+    "/emails/:gmailId/draft/regenerate",
+    requireAuth,
+    requireRole("agent"),
+    aiLimit,
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const instructions = String(req.body?.instructions || "").trim();
+      if (!instructions) return res.status(400).json({ error: "Instructions are required" });
+      if (instructions.length > 500) return res.status(400).json({ error: "Instructions are too long (max 500 characters)" });
+
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (email.reply?.status === "SENT") return res.status(409).json({ error: "Reply already sent" });
+
+      const draft = replyText(req) || currentDraftText(email);
+      const llm = llmForUser({ env, user });
+
+      let text;
+      try {
+        const knowledge = await knowledgeForEmail({ storage, llm, workspaceId: workspace.id, email, env });
+        text = await req.audit.aiCall({ task: "draft", llm, target: email.id }, () =>
+          regenerateDraft({ email, llm, draft, instructions, knowledge })
+        );
+      } catch (err) {
+        return res.status(502).json({ error: "Could not regenerate the draft", details: err?.message || String(err) });
+      }
+
+      // an unsaved edit the instructions were applied to is kept as its own revision
+      if (draft !== currentDraftText(email)) {
+        email.draft = addRevision(email, { text: draft, source: "edit", by: user.email || null });
+      }
+      email.draft = addRevision(email, { text, source: "regenerate", instructions, by: user.email || null });
+      await storage.emails.saveDraft(workspace.id, email.id, email.draft);
+      await req.audit.record("draft.edit", {
+        target: email.id,
+        details: { ...emailRef(email), revision: latestRevision(email.draft), source: "regenerate", instructions }
+      });
+
+      res.json({ ok: true, draft: draftView(email) });
+    })
+  );
+
+  // Makes an earlier revision current again (as a new revision, history is never rewritten). { revision: n }
+  router.post(
+    "/emails/:gmailId/draft/restore",
     requireAuth,
+    requireRole("agent"),
     asyncHandler(async (req, res) => {
       const user = req.user;
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (email.reply?.status === "SENT") return res.status(409).json({ error: "Reply already sent" });
+
+      const n = Number(req.body?.revision);
+      const rev = draftRevisions(email).find((r) => r.n === n);
+      if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+      email.draft = addRevision(email, { text: rev.text, source: "restore", restoredFrom: n, by: user.email || null });
+      await storage.emails.saveDraft(workspace.id, email.id, email.draft);
+      await req.audit.record("draft.restore", {
+        target: email.id,
+        details: { ...emailRef(email), revision: latestRevision(email.draft), restoredFrom: n }
+      });
+
+      res.json({ ok: true, draft: draftView(email) });
+    })
+  );
+
+  // The client copied the draft to the clipboard (nothing to store, only recorded in the audit trail)
+  router.post(
+    "/emails/:gmailId/draft/copied",
+    requireAuth,
+    asyncHandler(async (req, res) => {
+      const email = await storage.emails.get(req.workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      const text = replyText(req) || currentDraftText(email);
+      await req.audit.record("draft.copy", {
+        target: email.id,
+        details: { ...emailRef(email), revision: latestRevision(email.draft), edited: text !== currentDraftText(email) }
+      });
+      res.json({ ok: true });
+    })
+  );
+
+  // Re-runs triage for one email and streams it as Server-Sent Events:
+  //   "partial" { category?, urgency?, confidence? } once each value is parsed from the unfinished JSON,
+  //   "draft" { text } for every new piece of reply_draft, "triage" { ai } and "summary" { aiSummary } when saved,
+  //   "failed" { message, cancelled, partial, code? } and finally "done".
+  // It rewrites the email's triage, so it takes the CSRF token as ?csrfToken= (EventSource cannot send headers).
+  // If the stream is cut off (model error, timeout, browser gone) the partial result is kept:
+  // as "ai" when the email had no usable triage yet, otherwise as "aiPartial" next to the old one.
+  router.get(
+    "/emails/:gmailId/triage/stream",
+    requireAuth,
+    requireRole("agent"),
+    csrfQuery(),
+    aiLimit,
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const email = await storage.emails.get(workspace.id, req.params.gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+
+      const llm = llmForUser({ env, user });
+      if (!(await checkLlmQuick(llm))) {
+        return res.status(503).json({
+          error: "LLM not reachable",
+          details: `Cannot reach ${llm.name} at ${llm.baseUrl}. Is the model server running?`
+        });
+      }
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+      });
+      res.flushHeaders();
+
+      const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+
+      // the browser going away cancels the model call
+      const controller = new AbortController();
+      let finished = false;
+      req.on("close", () => {
+        if (!finished) controller.abort();
+      });
+
+      const names = categoriesFor(workspace).map((c) => c.name);
+      let streamed = "";
+      let fields = "{}";
+      let draftSent = 0;
+
+      const onToken = (piece) => {
+        streamed += piece;
+        const { reply_draft: draft, ...parsed } = partialTriage(streamed, names);
+        if (JSON.stringify(parsed) !== fields) {
+          fields = JSON.stringify(parsed);
+          send("partial", parsed);
+        }
+        if (draft && draft.length > draftSent) {
+          send("draft", { text: draft.slice(draftSent) });
+          draftSent = draft.length;
+        }
+      };
+
+      try {
+        const { triage, thread } = await triageStoredEmail({
+          storage,
+          env,
+          workspace,
+          audit: req.audit,
+          llm,
+          oauth2Client: await mailboxClient(workspace),
+          email,
+          onToken,
+          signal: controller.signal
+        });
+
+        const ai = { ...triage, createdAt: Date.now() };
+        await storage.emails.saveTriage(workspace.id, email.id, ai);
+        await storage.emails.update(workspace.id, email.id, { aiPartial: null });
+        await updateDueAt({ storage, workspace, env, gmailId: email.id });
+        // staff already worked on the draft: the new AI draft becomes the next revision
+        if (email.draft) {
+          await storage.emails.saveDraft(workspace.id, email.id, addRevision(email, { text: ai.reply_draft, source: "ai", by: null }));
+        }
+        send("triage", { ai });
+
+        const msg = (email.cleanBodyText || email.bodyText || email.snippet || "").trim();
+        if (!email.aiSummary?.summary && msg.length > SUMMARY_THRESHOLD && !controller.signal.aborted) {
+          try {
+            const summary = await req.audit.aiCall({ task: "summary", llm, target: email.id }, () =>
+              summarizeEmail({ email, llm, thread, timeoutMs: 45000, maxChars: 4000 })
+            );
+            const aiSummary = { ...summary, createdAt: Date.now() };
+            await storage.emails.saveSummary(workspace.id, email.id, aiSummary);
+            send("summary", { aiSummary });
+          } catch (err) {
+            // the triage is saved; a failed summary is retried by the next sync
+            send("failed", { message: `Summary failed: ${err?.message || err}`, cancelled: false, partial: null });
+          }
+        }
+      } catch (err) {
+        let message = String(err?.message || err);
+        const parsed = partialTriage(streamed, names);
+        let partial = null;
+        // Gmail refused the mailbox tokens before the model ran: nothing to keep, and not a triage failure.
+        // The code lets the client show its "Reconnect Gmail" banner.
+        const code = err?.code === GMAIL_RECONNECT_REQUIRED ? err.code : null;
+
+        // the stream has started: a failing write is reported in the "failed" event, not by the error handler
+        try {
+          if (!code && parsed.reply_draft?.trim()) {
+            partial = { ...parsed, partial: true, needsManualTriage: true, error: message, createdAt: Date.now() };
+            if (!email.ai || email.ai.error) {
+              await storage.emails.saveTriage(workspace.id, email.id, partial);
+            } else {
+              await storage.emails.update(workspace.id, email.id, { aiPartial: partial, updatedAt: Date.now() });
+            }
+          } else if (!code && !err?.cancelled && (!email.ai || email.ai.error)) {
+            await storage.emails.saveTriage(workspace.id, email.id, { needsManualTriage: true, error: message, createdAt: Date.now() });
+          }
+        } catch (saveErr) {
+          console.error("Could not save the partial triage:", saveErr?.message || saveErr);
+          message = `${message} (the partial result could not be saved: ${saveErr?.message || saveErr})`;
+          partial = null;
+        }
+        send("failed", { message, cancelled: Boolean(err?.cancelled), partial, code });
+      } finally {
+        finished = true;
+        clearInterval(ping);
+        send("done", {});
+        res.end();
+      }
+    })
+  );
+
+  // Creates a Gmail draft in the email's thread from the current draft text. Nothing is sent.
+  router.post(
+    "/emails/:gmailId/reply/draft",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
       const { gmailId } = req.params;
 
-      const docRef = firestore.collection("users").doc(user.id).collection("emails").doc(gmailId);
-      const snap = await docRef.get();
+      const email = await storage.emails.get(workspace.id, gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (email.reply?.status === "SENT") return res.status(409).json({ error: "Reply already sent" });
 
-      if (!snap.exists) return res.status(404).json({ error: "Email not found" });
+      const text = await replyDraftText({ user, workspace, email, req });
+      if (!text) return res.status(400).json({ error: "Reply text is required" });
 
-      res.json({ email: { id: snap.id, ...snap.data() } });
+      let draft;
+      try {
+        draft = await createReplyDraft({ oauth2Client: await mailboxClient(workspace), gmailId, text });
+      } catch (err) {
+        return replyError(res, err);
+      }
+
+      const reply = { status: "DRAFTED", text, to: draft.to, draftId: draft.draftId, draftedAt: Date.now() };
+      await storage.emails.update(workspace.id, gmailId, { reply, updatedAt: Date.now() });
+      await req.audit.record("reply.draft", { target: gmailId, details: { ...emailRef(email), to: draft.to, draftId: draft.draftId } });
+
+      res.json({ ok: true, reply });
     })
   );
 
-  // Delete ONE email doc
-router.delete(
-  "/emails/:gmailId",
-  requireAuth,
-  asyncHandler(async (req, res) => {
-    const user = req.user;
-    const { gmailId } = req.params;
-
-    const oauth2Client = makeOAuthClient({
-      clientId: env.GOOGLE_CLIENT_ID,
-      clientSecret: env.GOOGLE_CLIENT_SECRET,
-      redirectUri: env.GOOGLE_CALLBACK_URL,
-      tokens: {
-        access_token: user.accessToken,
-        refresh_token: user.refreshToken || undefined
+  // Sends the current draft text as the reply.
+  // Requires { confirm: true } so nothing goes out without an explicit human approval.
+  router.post(
+    "/emails/:gmailId/reply/send",
+    requireAuth,
+    requireRole("agent"),
+    asyncHandler(async (req, res) => {
+      const user = req.user;
+      const workspace = req.workspace;
+      const { gmailId } = req.params;
+      if (req.body?.confirm !== true) {
+        return res.status(400).json({ error: "Sending requires confirm: true" });
       }
-    });
 
-    // Try to mark as read, but don't fail deletion if it errors
-    let gmailMarkedRead = false;
-    try {
-      await markEmailAsRead({ oauth2Client, gmailId });
-      gmailMarkedRead = true;
-    } catch (err) {
-      console.warn("Could not mark as read:", err?.message || err);
-    }
+      const email = await storage.emails.get(workspace.id, gmailId);
+      if (!email) return res.status(404).json({ error: "Email not found" });
+      if (email.reply?.status === "SENT") return res.status(409).json({ error: "Reply already sent" });
+
+      const text = await replyDraftText({ user, workspace, email, req });
+      if (!text) return res.status(400).json({ error: "Reply text is required" });
 
-    const docRef = firestore.collection("users").doc(user.id).collection("emails").doc(gmailId);
-    const snap = await docRef.get();
-    if (!snap.exists) return res.status(404).json({ error: "Email not found" });
+      let sent;
+      try {
+        sent = await sendReply({
+          oauth2Client: await mailboxClient(workspace),
+          gmailId,
+          text,
+          draftId: email.reply?.draftId || null
+        });
+      } catch (err) {
+        return replyError(res, err);
+      }
 
-    await docRef.delete();
-    res.json({ ok: true, deleted: gmailId, gmailMarkedRead });
-  })
-);
+      const reply = {
+        status: "SENT",
+        text,
+        to: sent.to,
+        sentMessageId: sent.messageId,
+        sentAt: Date.now(),
+        sentBy: user.email || null
+      };
+      await storage.emails.update(workspace.id, gmailId, { reply, updatedAt: Date.now() });
+      await req.audit.record("reply.send", { target: gmailId, details: { ...emailRef(email), to: sent.to, messageId: sent.messageId } });
 
-// Delete ALL emails for this user (batched)
-router.delete(
-  "/emails",
-  requireAuth,
-  asyncHandler(async (req, res) => {
-    const user = req.user;
-    const emailsRef = firestore.collection("users").doc(user.id).collection("emails");
+      // the ball is in the member's court now
+      let state = null;
+      if (["NEW", "IN_PROGRESS"].includes(emailState(email))) {
+        const { patch } = transition(email, "WAITING_ON_MEMBER", { by: user.email || null, reason: "Reply sent" });
+        await storage.emails.update(workspace.id, gmailId, patch);
+        state = patch;
+      }
 
-    const BATCH_SIZE = 400; // keep under Firestore 500 limit
-    let deleted = 0;
+      res.json({ ok: true, reply, state });
+    })
+  );
 
-    while (true) {
-      const snap = await emailsRef.limit(BATCH_SIZE).get();
-      if (snap.empty) break;
+  // Delete ONE email doc
+  router.delete(
+    "/emails/:gmailId",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const { gmailId } = req.params;
 
-      const batch = firestore.batch();
-      snap.docs.forEach((d) => batch.delete(d.ref));
-      await batch.commit();
+      const existing = await storage.emails.get(workspace.id, gmailId);
+      if (!existing) return res.status(404).json({ error: "Email not found" });
 
-      deleted += snap.size;
+      // Try to mark as read, but don't fail deletion if it errors (no mailbox tokens, revoked grant...)
+      let gmailMarkedRead = false;
+      try {
+        await markEmailAsRead({ oauth2Client: await mailboxClient(workspace), gmailId });
+        gmailMarkedRead = true;
+      } catch (err) {
+        console.warn("Could not mark as read:", err?.message || err);
+      }
 
-      // safety: if fewer than batch size, we're done
-      if (snap.size < BATCH_SIZE) break;
-    }
+      await storage.emails.delete(workspace.id, gmailId);
+      await req.audit.record("email.delete", {
+        target: gmailId,
+        details: { ...emailRef(existing), category: existing.override?.category || existing.ai?.category || null, gmailMarkedRead }
+      });
+      res.json({ ok: true, deleted: gmailId, gmailMarkedRead });
+    })
+  );
 
-    res.json({ ok: true, deleted });
-  })
-);
+  // Delete ALL emails of the workspace (batched)
+  router.delete(
+    "/emails",
+    requireAuth,
+    requireRole("admin"),
+    asyncHandler(async (req, res) => {
+      const workspace = req.workspace;
+      const deleted = await storage.emails.deleteAll(workspace.id);
+      await req.audit.record("email.deleteAll", { details: { deleted } });
 
+      res.json({ ok: true, deleted });
+    })
+  );
 
-  router.post("/logout", (req, res) => {
-    req.logout(() => {
-      req.session.destroy(() => res.json({ ok: true }));
-    });
-  });
+  router.post(
+    "/logout",
+    asyncHandler(async (req, res) => {
+      if (req.user) await makeAudit({ storage, workspaceId: req.user.workspaceId, user: req.user }).record("auth.logout");
+      req.logout(() => {
+        req.session.destroy(() => res.json({ ok: true }));
+      });
+    })
+  );
 
   router.use((err, req, res, next) => {
+    // the client shows a "Reconnect Gmail" banner for this code
+    if (err?.code === GMAIL_RECONNECT_REQUIRED) {
+      return res.status(err.status).json({ error: "Gmail reconnect required", details: err.message, code: err.code });
+    }
     console.error("API ERROR ❌", err);
     res.status(500).json({ error: "Server error", details: err?.message || String(err) });
   });
@@ -0,0 +1,137 @@
+// API hardening: security headers, CSRF tokens for state-changing requests, and per-user / per-IP
+// rate limits on the routes that cost the most (Gmail sync, LLM calls).
+import crypto from "node:crypto";
+
+export const CSRF_HEADER = "X-CSRF-Token";
+export const CSRF_INVALID = "CSRF_INVALID";
+export const RATE_LIMITED = "RATE_LIMITED";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// securityHeaders
+// The server only answers JSON, event streams and attachment downloads: nothing may be framed, sniffed or scripted.
+export function securityHeaders() {
+  return (req, res, next) => {
+    res.set({
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "no-referrer",
+      "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+      "Cross-Origin-Opener-Policy": "same-origin"
+    });
+    if (req.secure) res.set("Strict-Transport-Security", "max-age=15552000; includeSubDomains");
+    next();
+  };
+}
+
+// csrfToken
+// The session's CSRF token (GET /api/csrf), created on first use. Logging in starts a new session,
+// so the client fetches a fresh one when the server answers CSRF_INVALID.
+export function csrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  return req.session.csrfToken;
+}
+
+function sameToken(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// EventSource cannot read an error response: event streams get the error as a "failed" event instead
+function wantsEventStream(req) {
+  return req.accepts(["json", "text/event-stream"]) === "text/event-stream";
+}
+
+function sendStreamFailure(res, data) {
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+  res.write(`event: failed\ndata: ${JSON.stringify({ partial: false, ...data })}\n\n`);
+  res.end("event: done\ndata: {}\n\n");
+}
+
+function rejectCsrf(req, res, details) {
+  if (wantsEventStream(req)) return sendStreamFailure(res, { message: details, code: CSRF_INVALID });
+  return res.status(403).json({ error: "Invalid CSRF token", details, code: CSRF_INVALID });
+}
+
+// csrfProtection
+// POST / PUT / PATCH / DELETE must send the session's token in the X-CSRF-Token header.
+// A cross-site form or fetch cannot read the token, so it cannot forge the request.
+export function csrfProtection() {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    if (sameToken(req.get(CSRF_HEADER), req.session?.csrfToken)) return next();
+    return rejectCsrf(req, res, `Missing or stale ${CSRF_HEADER} header. Reload the page and try again.`);
+  };
+}
+
+// csrfQuery
+// For GET event streams that change data (EventSource cannot send headers): the token comes as ?csrfToken=.
+export function csrfQuery() {
+  return (req, res, next) => {
+    if (sameToken(req.query.csrfToken, req.session?.csrfToken)) return next();
+    return rejectCsrf(req, res, "Missing or stale csrfToken parameter. Reload the page and try again.");
+  };
+}
+
+// Requests allowed per window; an empty value keeps the default, 0 turns that limit off
+function limitFromEnv(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+export function rateLimits(env) {
+  return {
+    windowMs: (limitFromEnv(env.RATE_LIMIT_WINDOW_SECONDS, 60) || 60) * 1000,
+    sync: {
+      perUser: limitFromEnv(env.RATE_LIMIT_SYNC_PER_USER, 6),
+      perIp: limitFromEnv(env.RATE_LIMIT_SYNC_PER_IP, 20)
+    },
+    ai: {
+      perUser: limitFromEnv(env.RATE_LIMIT_AI_PER_USER, 30),
+      perIp: limitFromEnv(env.RATE_LIMIT_AI_PER_IP, 60)
+    }
+  };
+}
+
+// makeRateLimiter
+// Fixed-window counters in memory, per signed-in user and per client IP (use after requireAuth).
+// Over the limit: 429 with Retry-After and { code: "RATE_LIMITED", retryAfterSeconds }.
+// Event streams get the same as a "failed" event.
+export function makeRateLimiter({ name, windowMs, perUser, perIp }) {
+  const windows = new Map(); // "user:abc" / "ip:1.2.3.4" -> { count, resetAt }
+
+  function hit(key, max, now) {
+    if (!max) return 0;
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count += 1;
+    return w.count > max ? w.resetAt - now : 0;
+  }
+
+  function sweep(now) {
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (windows.size > 10000) sweep(now);
+
+    const waitMs = Math.max(
+      req.user ? hit(`user:${req.user.id}`, perUser, now) : 0,
+      hit(`ip:${req.ip}`, perIp, now)
+    );
+    if (!waitMs) return next();
+
+    const retryAfterSeconds = Math.ceil(waitMs / 1000);
+    const details = `Too many ${name} requests. Try again in ${retryAfterSeconds}s.`;
+    res.set("Retry-After", String(retryAfterSeconds));
+
+    if (wantsEventStream(req)) return sendStreamFailure(res, { message: details, code: RATE_LIMITED, retryAfterSeconds });
+    return res.status(429).json({ error: "Too many requests", details, code: RATE_LIMITED, retryAfterSeconds });
+  };
+}
@@ -0,0 +1,33 @@
+import session from "express-session";
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// express-session store backed by storage.sessions, so sessions survive restarts
+// on every storage backend (Firestore or local JSON).
+export class StorageSessionStore extends session.Store {
+  constructor({ storage }) {
+    super();
+    this.sessions = storage.sessions;
+  }
+
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + ONE_DAY_MS;
+  }
+
+  get(sid, cb) {
+    this.sessions.get(sid).then((sess) => cb(null, sess), cb);
+  }
+
+  set(sid, sess, cb = () => {}) {
+    this.sessions.set(sid, sess, this.expiresAt(sess)).then(() => cb(null), cb);
+  }
+
+  touch(sid, sess, cb = () => {}) {
+    this.sessions.touch(sid, this.expiresAt(sess)).then(() => cb(null), cb);
+  }
+
+  destroy(sid, cb = () => {}) {
+    this.sessions.destroy(sid).then(() => cb(null), cb);
+  }
+}
@@ -0,0 +1,171 @@
+// Response-time SLAs: a target in business hours per urgency, optionally per category,
+// counted only inside the configured opening hours and outside holidays, in the workspace's timezone.
+// Every triaged email gets a "dueAt" (ms) computed from when it arrived. The clock stops once a reply is sent
+// or the case is resolved: from then on the stored due date is kept as it was (see slaRunning).
+import { z } from "zod";
+import { URGENCIES } from "./categories.js";
+import { emailState } from "./workflow.js";
+
+const MAX_DAYS = 400; // how far ahead a due date is searched before giving up
+
+// Used until the workspace saves its own settings; the timezone defaults to SLA_TIMEZONE or UTC.
+export function defaultSla(env) {
+  return {
+    timezone: env.SLA_TIMEZONE || "UTC",
+    businessDays: [1, 2, 3, 4, 5], // 0 = Sunday
+    dayStart: "09:00",
+    dayEnd: "17:00",
+    holidays: [],
+    targets: { HIGH: 2, MEDIUM: 8, LOW: 24 },
+    categoryTargets: {}
+  };
+}
+
+export function slaFor(workspace, env) {
+  return workspace?.sla || defaultSla(env);
+}
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const hhmm = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "must be HH:MM");
+const hours = z.number().positive().max(24 * 365).nullable();
+const targetsSchema = z.object(Object.fromEntries(URGENCIES.map((u) => [u, hours.optional()])));
+const minutes = (t) => Number(t.slice(0, 2)) * 60 + Number(t.slice(3));
+
+const SlaSchema = z
+  .object({
+    timezone: z.string().trim().refine(validTimezone, "unknown timezone"),
+    businessDays: z.array(z.number().int().min(0).max(6)).min(1).max(7),
+    dayStart: hhmm,
+    dayEnd: hhmm,
+    holidays: z.array(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "must be YYYY-MM-DD")).max(200).default([]),
+    targets: targetsSchema,
+    categoryTargets: z.record(targetsSchema).default({})
+  })
+  .refine((s) => minutes(s.dayEnd) > minutes(s.dayStart), { message: "dayEnd must be after dayStart", path: ["dayEnd"] });
+
+// parseSlaSettings
+// Validates SLA settings from the API. Categories in categoryTargets must exist.
+// Returns { sla } or { error }.
+export function parseSlaSettings(input, categories) {
+  const parsed = SlaSchema.safeParse(input);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".") || "sla"}: ${issue.message}` };
+  }
+
+  const sla = parsed.data;
+  const names = new Set(categories.map((c) => c.name));
+  const unknown = Object.keys(sla.categoryTargets).find((name) => !names.has(name));
+  if (unknown) return { error: `categoryTargets: unknown category ${unknown}` };
+
+  sla.businessDays = [...new Set(sla.businessDays)].sort();
+  sla.holidays = [...new Set(sla.holidays)].sort();
+  return { sla };
+}
+
+// Business hours allowed for an urgency / category: the category's own target wins, null = no SLA
+export function targetHours(sla, { category, urgency }) {
+  if (!urgency) return null;
+  const own = sla.categoryTargets?.[category]?.[urgency];
+  return own !== undefined ? own : sla.targets?.[urgency] ?? null;
+}
+
+// Wall-clock parts of an instant in a timezone
+function localParts(ms, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute"), second: get("second") };
+}
+
+// The instant of a wall-clock time in a timezone (the offset is re-checked once for DST changes)
+function fromLocal({ year, month, day }, minuteOfDay, timezone) {
+  const wall = Date.UTC(year, month - 1, day) + Math.round(minuteOfDay * 60000);
+  const offsetAt = (ms) => {
+    const p = localParts(ms, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+// addBusinessHours
+// The instant that lies the given number of business hours after start.
+// Time before opening counts from opening; closed days, holidays and evenings are skipped.
+export function addBusinessHours(start, hoursToAdd, sla) {
+  const open = minutes(sla.dayStart);
+  const close = minutes(sla.dayEnd);
+  const holidays = new Set(sla.holidays || []);
+  let remaining = Math.round(hoursToAdd * 60);
+
+  const p = localParts(start, sla.timezone);
+  let day = { year: p.year, month: p.month, day: p.day };
+  let at = p.hour * 60 + p.minute + p.second / 60;
+
+  for (let i = 0; i < MAX_DAYS; i++) {
+    const date = new Date(Date.UTC(day.year, day.month - 1, day.day));
+    const iso = date.toISOString().slice(0, 10);
+
+    if (sla.businessDays.includes(date.getUTCDay()) && !holidays.has(iso) && at < close) {
+      const from = Math.max(at, open);
+      if (from + remaining <= close) return fromLocal(day, from + remaining, sla.timezone);
+      remaining -= close - from;
+    }
+
+    const next = new Date(date.getTime() + 86400000);
+    day = { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+    at = 0;
+  }
+  return null;
+}
+
+// dueAtFor
+// { dueAt, slaHours } for an email: its arrival + the target for its (overridden) category / urgency.
+// Both are null when no target applies (no urgency yet, or the target is switched off).
+export function dueAtFor(email, sla) {
+  const category = email.override?.category || email.ai?.category || null;
+  const urgency = email.override?.urgency || email.ai?.urgency || null;
+  const slaHours = targetHours(sla, { category, urgency });
+  if (slaHours == null) return { dueAt: null, slaHours: null };
+
+  const received = email.dateIso ? Date.parse(email.dateIso) : NaN;
+  const start = Number.isFinite(received) ? received : email.createdAt || Date.now();
+  return { dueAt: addBusinessHours(start, slaHours, sla), slaHours };
+}
+
+// slaRunning
+// false once the reply was sent or the case is resolved: the due date is frozen then.
+export function slaRunning(email) {
+  return email.reply?.status !== "SENT" && emailState(email) !== "RESOLVED";
+}
+
+// updateDueAt
+// Recomputes and stores the due date of a stored email (after triage, an override or new settings).
+// A stopped clock keeps its due date, so "Answered late" still compares against the target of the time.
+export async function updateDueAt({ storage, workspace, env, gmailId, sla = slaFor(workspace, env) }) {
+  const email = await storage.emails.get(workspace.id, gmailId);
+  if (!email) return null;
+  if (!slaRunning(email)) return { dueAt: email.dueAt ?? null, slaHours: email.slaHours ?? null };
+
+  const due = dueAtFor(email, sla);
+  if (due.dueAt !== (email.dueAt ?? null) || due.slaHours !== (email.slaHours ?? null)) {
+    await storage.emails.update(workspace.id, gmailId, due);
+  }
+  return due;
+}
@@ -0,0 +1,438 @@
+// Storage repository layer.
+// Routes and auth talk to these repositories instead of Firestore directly,
+// so the backend can be swapped with STORAGE_BACKEND:
+//   - firestore (default): Firebase/Firestore, needs FIREBASE_SERVICE_ACCOUNT_PATH
+//   - json:   local JSON file at STORAGE_JSON_PATH (default ./data/store.json), fully on-prem
+//   - memory: in-process only, nothing survives a restart (tests / demos)
+// Gmail tokens and everything that quotes a member's message are encrypted here before they reach the adapter (encryption.js).
+import { makeCipher, makeCipherFromEnv } from "./encryption.js";
+import { makeFirestoreAdapter } from "./storageFirestore.js";
+import { makeLocalAdapter } from "./storageLocal.js";
+
+export const STORAGE_BACKENDS = ["firestore", "json", "memory"];
+
+export function storageBackendFromEnv(env) {
+  const backend = String(env.STORAGE_BACKEND || "firestore").toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend} (expected one of ${STORAGE_BACKENDS.join(", ")})`);
+  }
+  return backend;
+}
+
+export function makeStorage({ env }) {
+  const backend = storageBackendFromEnv(env);
+  const cipher = makeCipherFromEnv(env);
+
+  if (backend === "firestore") {
+    return makeRepositories(makeFirestoreAdapter({ serviceAccountPath: env.FIREBASE_SERVICE_ACCOUNT_PATH }), { cipher });
+  }
+  if (backend === "json") {
+    return makeRepositories(makeLocalAdapter({ filePath: env.STORAGE_JSON_PATH || "./data/store.json" }), { cipher });
+  }
+  return makeRepositories(makeLocalAdapter(), { cipher });
+}
+
+// Fields encrypted at rest, per collection. Besides the message itself, the AI results, drafts, the sent reply
+// and the extracted entities repeat its content (names, phone numbers, amounts, health details), as does a correction's text.
+// Whole objects are encrypted: nothing queries inside them.
+export const ENCRYPTED_FIELDS = {
+  users: ["accessToken", "refreshToken"],
+  emails: ["bodyText", "cleanBodyText", "snippet", "attachments", "ai", "aiSummary", "aiPartial", "draft", "reply", "entities"],
+  corrections: ["text"]
+};
+
+// makeRepositories
+// Builds the domain repositories on top of an adapter (see storageFirestore.js / storageLocal.js).
+// Every record is returned as { id, ...data }, or null when it does not exist.
+// cipher (encryption.js) encrypts ENCRYPTED_FIELDS on write and decrypts them on read; without keys it is a no-op.
+export function makeRepositories(db, { cipher = makeCipher() } = {}) {
+  const withId = (id, data) => (data ? { id, ...data } : null);
+
+  const sealFields = (fields, data) => {
+    if (!cipher.enabled) return data;
+    const out = { ...data };
+    for (const f of fields) if (f in out) out[f] = cipher.encrypt(out[f], f);
+    return out;
+  };
+  const openFields = (fields, data) => {
+    if (!data) return data;
+    const out = { ...data };
+    for (const f of fields) if (f in out) out[f] = cipher.decrypt(out[f], f);
+    return out;
+  };
+  const openUser = (id, data) => withId(id, openFields(ENCRYPTED_FIELDS.users, data));
+  const openEmail = (id, data) => withId(id, openFields(ENCRYPTED_FIELDS.emails, data));
+
+  const users = {
+    async get(id) {
+      return openUser(id, await db.get(["users", id]));
+    },
+
+    async findByGoogleId(googleId) {
+      const rows = await db.query(["users"], { where: [["googleId", "==", googleId]], limit: 1 });
+      return rows.length ? openUser(rows[0].id, rows[0].data) : null;
+    },
+
+    // Returns the new user id
+    async create(data) {
+      return db.add(["users"], sealFields(ENCRYPTED_FIELDS.users, data));
+    },
+
+    async update(id, patch) {
+      await db.update(["users", id], sealFields(ENCRYPTED_FIELDS.users, patch));
+    }
+  };
+
+  // Workspaces (workspaces.js): one shared mailbox, its settings and its staff.
+  // Members live in "workspaces/{id}/members/{userId}" as { userId, email, displayName, role, joinedAt }.
+  const membersCol = (workspaceId) => ["workspaces", workspaceId, "members"];
+
+  // Collections that used to live under "users/{id}" and now belong to a workspace
+  const WORKSPACE_COLLECTIONS = ["emails", "kbDocs", "kbChunks", "templates", "corrections"];
+
+  const workspaces = {
+    async get(id) {
+      return withId(id, await db.get(["workspaces", id]));
+    },
+
+    // Returns the new workspace id
+    async create(data) {
+      return db.add(["workspaces"], data);
+    },
+
+    // Creates or replaces a workspace with a known id (personal workspaces use their owner's user id)
+    async set(id, data) {
+      await db.set(["workspaces", id], data);
+    },
+
+    async update(id, patch) {
+      await db.update(["workspaces", id], patch);
+    },
+
+    async listMembers(workspaceId) {
+      const rows = await db.query(membersCol(workspaceId), { limit: 500 });
+      return rows.map((r) => withId(r.id, r.data));
+    },
+
+    async getMember(workspaceId, userId) {
+      return withId(userId, await db.get([...membersCol(workspaceId), userId]));
+    },
+
+    async setMember(workspaceId, userId, data) {
+      await db.set([...membersCol(workspaceId), userId], data);
+    },
+
+    async removeMember(workspaceId, userId) {
+      await db.delete([...membersCol(workspaceId), userId]);
+    },
+
+    // Moves a user's pre-workspace data ("users/{id}/emails" ...) into a workspace.
+    // Returns how many records were moved per collection.
+    async adoptUserData(userId, workspaceId) {
+      const moved = {};
+      for (const name of WORKSPACE_COLLECTIONS) {
+        const rows = await db.query(["users", userId, name]);
+        for (const r of rows) await db.set(["workspaces", workspaceId, name, r.id], r.data);
+        if (rows.length) await db.deleteAll(["users", userId, name]);
+        moved[name] = rows.length;
+      }
+      return moved;
+    }
+  };
+
+  // Pending invitations, keyed "{workspaceId}:{email}"; accepted when that Google account signs in
+  const invites = {
+    async listByEmail(email) {
+      const rows = await db.query(["invites"], { where: [["email", "==", email]], limit: 50 });
+      return rows.map((r) => withId(r.id, r.data));
+    },
+
+    async listForWorkspace(workspaceId) {
+      const rows = await db.query(["invites"], { where: [["workspaceId", "==", workspaceId]], limit: 200 });
+      return rows.map((r) => withId(r.id, r.data));
+    },
+
+    async save(workspaceId, email, data) {
+      await db.set(["invites", `${workspaceId}:${email}`], { workspaceId, email, ...data });
+    },
+
+    async delete(workspaceId, email) {
+      await db.delete(["invites", `${workspaceId}:${email}`]);
+    }
+  };
+
+  const emailPath = (workspaceId, gmailId) => ["workspaces", workspaceId, "emails", gmailId];
+  const emailsCol = (workspaceId) => ["workspaces", workspaceId, "emails"];
+
+  const emails = {
+    async get(workspaceId, gmailId) {
+      return openEmail(gmailId, await db.get(emailPath(workspaceId, gmailId)));
+    },
+
+    // Newest first. unreadOnly keeps the Firestore query index-free and sorts in memory.
+    async list(workspaceId, { unreadOnly = true, limit = 50 } = {}) {
+      const rows = unreadOnly
+        ? await db.query(emailsCol(workspaceId), { where: [["isUnread", "==", true]], limit })
+        : await db.query(emailsCol(workspaceId), { orderBy: ["createdAt", "desc"], limit });
+
+      const list = rows.map((r) => openEmail(r.id, r.data));
+      list.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+      return list;
+    },
+
+    // Every email, newest first, one page at a time (ordered by createdAt only, so no index is needed).
+    // before: { at, ids } continues after those emails (the createdAt of the last one and the ids seen at it).
+    async listPage(workspaceId, { before = null, limit = 200 } = {}) {
+      const where = before ? [["createdAt", "<=", before.at]] : [];
+      const skip = before?.ids || [];
+      const rows = await db.query(emailsCol(workspaceId), { where, orderBy: ["createdAt", "desc"], limit: limit + skip.length });
+      return rows
+        .filter((r) => !skip.includes(r.id))
+        .slice(0, limit)
+        .map((r) => openEmail(r.id, r.data));
+    },
+
+    // Emails assigned to one member (workspaces.js)
+    async listByAssignee(workspaceId, userId, { limit = 200 } = {}) {
+      const rows = await db.query(emailsCol(workspaceId), { where: [["assignee.userId", "==", userId]], limit });
+      return rows.map((r) => openEmail(r.id, r.data));
+    },
+
+    // Stored emails of one Gmail thread (workflow.js reopens waiting cases with it)
+    async listByThread(workspaceId, threadId) {
+      const rows = await db.query(emailsCol(workspaceId), { where: [["threadId", "==", threadId]], limit: 50 });
+      return rows.map((r) => openEmail(r.id, r.data));
+    },
+
+    async create(workspaceId, gmailId, data) {
+      await db.set(emailPath(workspaceId, gmailId), sealFields(ENCRYPTED_FIELDS.emails, data));
+    },
+
+    async update(workspaceId, gmailId, patch) {
+      await db.update(emailPath(workspaceId, gmailId), sealFields(ENCRYPTED_FIELDS.emails, patch));
+    },
+
+    // AI results live on the email record: "ai" (triage + draft) and "aiSummary".
+    // The extracted entities (entities.js) are kept as a top-level "entities" field of the email.
+    async saveTriage(workspaceId, gmailId, ai) {
+      const { entities = null, ...rest } = ai;
+      await db.update(emailPath(workspaceId, gmailId), sealFields(ENCRYPTED_FIELDS.emails, { ai: rest, entities, updatedAt: Date.now() }));
+    },
+
+    async saveSummary(workspaceId, gmailId, aiSummary) {
+      await db.update(emailPath(workspaceId, gmailId), sealFields(ENCRYPTED_FIELDS.emails, { aiSummary, updatedAt: Date.now() }));
+    },
+
+    // Staff override of the AI category / urgency (null clears it); "ai" keeps the original result
+    async saveOverride(workspaceId, gmailId, override) {
+      await db.update(emailPath(workspaceId, gmailId), { override, updatedAt: Date.now() });
+    },
+
+    // Edited reply draft + revision history (drafts.js)
+    async saveDraft(workspaceId, gmailId, draft) {
+      await db.update(emailPath(workspaceId, gmailId), sealFields(ENCRYPTED_FIELDS.emails, { draft, updatedAt: Date.now() }));
+    },
+
+    async delete(workspaceId, gmailId) {
+      await db.delete(emailPath(workspaceId, gmailId));
+    },
+
+    // Returns how many emails were deleted
+    async deleteAll(workspaceId) {
+      return db.deleteAll(emailsCol(workspaceId));
+    }
+  };
+
+  // Knowledge base: uploaded documents ("kbDocs") and their embedded chunks ("kbChunks").
+  // Chunk ids are "{docId}_{index}" so re-indexing a document overwrites its chunks in place.
+  const kbDocsCol = (workspaceId) => ["workspaces", workspaceId, "kbDocs"];
+  const kbChunksCol = (workspaceId) => ["workspaces", workspaceId, "kbChunks"];
+
+  const knowledge = {
+    async listDocs(workspaceId) {
+      const rows = await db.query(kbDocsCol(workspaceId), { orderBy: ["createdAt", "desc"], limit: 500 });
+      return rows.map((r) => withId(r.id, r.data));
+    },
+
+    async getDoc(workspaceId, docId) {
+      return withId(docId, await db.get([...kbDocsCol(workspaceId), docId]));
+    },
+
+    // Returns the new document id
+    async createDoc(workspaceId, data) {
+      return db.add(kbDocsCol(workspaceId), data);
+    },
+
+    async updateDoc(workspaceId, docId, patch) {
+      await db.update([...kbDocsCol(workspaceId), docId], patch);
+    },
+
+    // chunks: [{ index, text, embedding, embedKey }]
+    async saveChunks(workspaceId, docId, chunks) {
+      for (const c of chunks) {
+        await db.set([...kbChunksCol(workspaceId), `${docId}_${c.index}`], { docId, ...c });
+      }
+    },
+
+    // All chunks of the workspace, or of one document
+    async listChunks(workspaceId, { docId = null } = {}) {
+      const rows = await db.query(kbChunksCol(workspaceId), docId ? { where: [["docId", "==", docId]] } : {});
+      return rows.map((r) => withId(r.id, r.data));
+    },
+
+    async deleteDoc(workspaceId, docId) {
+      const chunks = await db.query(kbChunksCol(workspaceId), { where: [["docId", "==", docId]] });
+      for (const c of chunks) await db.delete([...kbChunksCol(workspaceId), c.id]);
+      await db.delete([...kbDocsCol(workspaceId), docId]);
+    }
+  };
+
+  // Reply templates (templates.js)
+  const templatesCol = (workspaceId) => ["workspaces", workspaceId, "templates"];
+
+  const templates = {
+    async list(workspaceId) {
+      const rows = await db.query(templatesCol(workspaceId), { limit: 500 });
+      const list = rows.map((r) => withId(r.id, r.data));
+      list.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+      return list;
+    },
+
+    async get(workspaceId, templateId) {
+      return withId(templateId, await db.get([...templatesCol(workspaceId), templateId]));
+    },
+
+    // Returns the new template id
+    async create(workspaceId, data) {
+      return db.add(templatesCol(workspaceId), data);
+    },
+
+    async update(workspaceId, templateId, patch) {
+      await db.update([...templatesCol(workspaceId), templateId], patch);
+    },
+
+    async delete(workspaceId, templateId) {
+      await db.delete([...templatesCol(workspaceId), templateId]);
+    }
+  };
+
+  // Staff corrections of the AI triage (corrections.js), one per email, keyed by gmailId
+  const correctionsCol = (workspaceId) => ["workspaces", workspaceId, "corrections"];
+
+  const corrections = {
+    // Newest first
+    async list(workspaceId, { limit = 300 } = {}) {
+      const rows = await db.query(correctionsCol(workspaceId), { orderBy: ["createdAt", "desc"], limit });
+      return rows.map((r) => withId(r.id, openFields(ENCRYPTED_FIELDS.corrections, r.data)));
+    },
+
+    async save(workspaceId, gmailId, data) {
+      await db.set([...correctionsCol(workspaceId), gmailId], sealFields(ENCRYPTED_FIELDS.corrections, data));
+    },
+
+    async delete(workspaceId, gmailId) {
+      await db.delete([...correctionsCol(workspaceId), gmailId]);
+    }
+  };
+
+  // Audit trail (audit.js), "workspaces/{id}/audit". Append-only: there is no update or delete.
+  // On Firestore, filtering by action or target needs composite indexes on (action, at desc) and (target, at desc).
+  const audit = {
+    async append(workspaceId, entry) {
+      return db.add(["workspaces", workspaceId, "audit"], entry);
+    },
+
+    // Newest first. actions: list of actions to keep (at most 30, a Firestore "in" limit);
+    // from / to: inclusive time range in ms; before: { at, ids } continues after those entries (audit.js cursor).
+    async list(workspaceId, { actions = null, target = null, from = null, to = null, before = null, limit = 200 } = {}) {
+      const where = [];
+      if (actions) where.push(actions.length === 1 ? ["action", "==", actions[0]] : ["action", "in", actions]);
+      if (target) where.push(["target", "==", target]);
+      if (from !== null) where.push(["at", ">=", from]);
+      const upTo = before ? Math.min(before.at, to ?? before.at) : to;
+      if (upTo !== null) where.push(["at", "<=", upTo]);
+
+      const skip = before?.at === upTo ? before.ids : [];
+      const rows = await db.query(["workspaces", workspaceId, "audit"], { where, orderBy: ["at", "desc"], limit: limit + skip.length });
+      return rows
+        .filter((r) => !skip.includes(r.id))
+        .slice(0, limit)
+        .map((r) => withId(r.id, r.data));
+    }
+  };
+
+  // Sessions are stored as a JSON string so cookie Dates survive every backend unchanged.
+  const sessions = {
+    async get(sid) {
+      const row = await db.get(["sessions", sid]);
+      if (!row) return null;
+      if (row.expiresAt && row.expiresAt < Date.now()) {
+        await db.delete(["sessions", sid]);
+        return null;
+      }
+      return JSON.parse(row.data);
+    },
+
+    async set(sid, sess, expiresAt) {
+      await db.set(["sessions", sid], { data: JSON.stringify(sess), expiresAt, updatedAt: Date.now() });
+    },
+
+    async touch(sid, expiresAt) {
+      const row = await db.get(["sessions", sid]);
+      if (row) await db.update(["sessions", sid], { expiresAt, updatedAt: Date.now() });
+    },
+
+    async destroy(sid) {
+      await db.delete(["sessions", sid]);
+    }
+  };
+
+  // Encrypts plaintext fields and re-wraps fields of older keys (npm run encrypt).
+  // Reads and writes the raw documents, so only what needs it is rewritten.
+  async function rewriteFields(colPath, fields, counts) {
+    for (const { id, data } of await db.query(colPath)) {
+      const patch = {};
+      for (const f of fields) {
+        if (!cipher.needsRewrite(data[f])) continue;
+        patch[f] = cipher.rewrap(cipher.encrypt(data[f], f));
+      }
+      counts.scanned += 1;
+      if (!Object.keys(patch).length) continue;
+      await db.update([...colPath, id], patch);
+      counts.rewritten += 1;
+    }
+  }
+
+  const encryption = {
+    enabled: cipher.enabled,
+    activeKeyId: cipher.activeKeyId,
+
+    // Returns { users, emails, corrections }, each { scanned, rewritten }
+    async migrate({ onProgress = () => {} } = {}) {
+      if (!cipher.enabled) throw new Error("No encryption key configured (ENCRYPTION_KEYS or ENCRYPTION_KEY_FILE)");
+      const result = {
+        users: { scanned: 0, rewritten: 0 },
+        emails: { scanned: 0, rewritten: 0 },
+        corrections: { scanned: 0, rewritten: 0 }
+      };
+
+      const userRows = await db.query(["users"]);
+      await rewriteFields(["users"], ENCRYPTED_FIELDS.users, result.users);
+      onProgress({ stage: "users", ...result.users });
+
+      // data not yet moved into a workspace (workspaces.js adopts it at the next login)
+      for (const u of userRows) {
+        await rewriteFields(["users", u.id, "emails"], ENCRYPTED_FIELDS.emails, result.emails);
+        await rewriteFields(["users", u.id, "corrections"], ENCRYPTED_FIELDS.corrections, result.corrections);
+      }
+      for (const w of await db.query(["workspaces"])) {
+        await rewriteFields(emailsCol(w.id), ENCRYPTED_FIELDS.emails, result.emails);
+        await rewriteFields(correctionsCol(w.id), ENCRYPTED_FIELDS.corrections, result.corrections);
+        onProgress({ stage: "workspace", workspaceId: w.id, emails: result.emails, corrections: result.corrections });
+      }
+      return result;
+    }
+  };
+
+  return { backend: db.name, users, workspaces, invites, emails, knowledge, templates, corrections, audit, sessions, encryption };
+}
@@ -0,0 +1,69 @@
+import { initFirestore } from "./firestore.js";
+
+// Firestore adapter for storage.js.
+// Paths are arrays of segments alternating collection/doc, e.g. ["users", uid, "emails", gmailId].
+export function makeFirestoreAdapter({ serviceAccountPath }) {
+  const db = initFirestore(serviceAccountPath);
+
+  const docRef = (path) => db.doc(path.join("/"));
+  const colRef = (path) => db.collection(path.join("/"));
+
+  return {
+    name: "firestore",
+
+    async get(path) {
+      const snap = await docRef(path).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async set(path, data) {
+      await docRef(path).set(data);
+    },
+
+    async update(path, patch) {
+      await docRef(path).update(patch);
+    },
+
+    async delete(path) {
+      await docRef(path).delete();
+    },
+
+    async add(path, data) {
+      const ref = await colRef(path).add(data);
+      return ref.id;
+    },
+
+    // where: [[field, op, value], ...], orderBy: [field, "asc" | "desc"]
+    async query(path, { where = [], orderBy = null, limit = null } = {}) {
+      let q = colRef(path);
+      for (const [field, op, value] of where) q = q.where(field, op, value);
+      if (orderBy) q = q.orderBy(orderBy[0], orderBy[1] || "asc");
+      if (limit) q = q.limit(limit);
+
+      const snap = await q.get();
+      return snap.docs.map((d) => ({ id: d.id, data: d.data() }));
+    },
+
+    // Delete every doc in a collection (batched)
+    async deleteAll(path) {
+      const BATCH_SIZE = 400; // keep under Firestore 500 limit
+      let deleted = 0;
+
+      while (true) {
+        const snap = await colRef(path).limit(BATCH_SIZE).get();
+        if (snap.empty) break;
+
+        const batch = db.batch();
+        snap.docs.forEach((d) => batch.delete(d.ref));
+        await batch.commit();
+
+        deleted += snap.size;
+
+        // safety: if fewer than batch size, we're done
+        if (snap.size < BATCH_SIZE) break;
+      }
+
+      return deleted;
+    }
+  };
+}
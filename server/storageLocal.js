@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Local adapter for storage.js: everything lives in memory, optionally mirrored to a JSON file.
+// Used for on-prem installs without Google Cloud and for integration tests.
+//   - filePath = null   -> pure in-memory (lost on restart)
+//   - filePath = "x.json" -> loaded on start, rewritten after every change
+export function makeLocalAdapter({ filePath = null } = {}) {
+  // collections: Map<"users/abc/emails", Map<docId, data>>
+  const collections = new Map();
+
+  if (filePath && fs.existsSync(filePath)) {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    for (const [colPath, docs] of Object.entries(raw.collections || {})) {
+      collections.set(colPath, new Map(Object.entries(docs)));
+    }
+  }
+
+  function persist() {
+    if (!filePath) return;
+
+    const out = { collections: {} };
+    for (const [colPath, docs] of collections) {
+      if (docs.size) out.collections[colPath] = Object.fromEntries(docs);
+    }
+
+    // write to a temp file first so a crash never leaves a half-written store
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, filePath);
+  }
+
+  const split = (docPath) => [docPath.slice(0, -1).join("/"), docPath[docPath.length - 1]];
+
+  function col(colPath, create = false) {
+    let docs = collections.get(colPath);
+    if (!docs && create) {
+      docs = new Map();
+      collections.set(colPath, docs);
+    }
+    return docs || new Map();
+  }
+
+  // Same semantics as the Firestore operators we use; "a.b" reads a nested field like a Firestore field path
+  function matches(data, [field, op, value]) {
+    const v = field.split(".").reduce((obj, key) => obj?.[key], data);
+    switch (op) {
+      case "==":
+        return v === value;
+      case "!=":
+        return v !== value;
+      case "<":
+        return v < value;
+      case "<=":
+        return v <= value;
+      case ">":
+        return v > value;
+      case ">=":
+        return v >= value;
+      case "in":
+        return value.includes(v);
+      case "array-contains":
+        return Array.isArray(v) && v.includes(value);
+      default:
+        throw new Error(`Unsupported query operator: ${op}`);
+    }
+  }
+
+  return {
+    name: filePath ? "json" : "memory",
+
+    async get(docPath) {
+      const [colPath, id] = split(docPath);
+      const data = col(colPath).get(id);
+      return data ? structuredClone(data) : null;
+    },
+
+    async set(docPath, data) {
+      const [colPath, id] = split(docPath);
+      col(colPath, true).set(id, structuredClone(data));
+      persist();
+    },
+
+    async update(docPath, patch) {
+      const [colPath, id] = split(docPath);
+      const docs = col(colPath);
+      if (!docs.has(id)) throw new Error(`No document to update: ${docPath.join("/")}`);
+      docs.set(id, { ...docs.get(id), ...structuredClone(patch) });
+      persist();
+    },
+
+    async delete(docPath) {
+      const [colPath, id] = split(docPath);
+      col(colPath).delete(id);
+      persist();
+    },
+
+    async add(colPath, data) {
+      const id = crypto.randomBytes(10).toString("hex");
+      col(colPath.join("/"), true).set(id, structuredClone(data));
+      persist();
+      return id;
+    },
+
+    async query(colPath, { where = [], orderBy = null, limit = null } = {}) {
+      let rows = [...col(colPath.join("/")).entries()]
+        .filter(([, data]) => where.every((w) => matches(data, w)))
+        .map(([id, data]) => ({ id, data: structuredClone(data) }));
+
+      if (orderBy) {
+        const [field, dir = "asc"] = orderBy;
+        const sign = dir === "desc" ? -1 : 1;
+        rows.sort((a, b) => (a.data[field] > b.data[field] ? 1 : a.data[field] < b.data[field] ? -1 : 0) * sign);
+      }
+      if (limit) rows = rows.slice(0, limit);
+
+      return rows;
+    },
+
+    async deleteAll(colPath) {
+      const key = colPath.join("/");
+      const deleted = col(key).size;
+      collections.delete(key);
+      persist();
+      return deleted;
+    }
+  };
+}
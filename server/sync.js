@@ -0,0 +1,321 @@
+import { triageEmail, summarizeEmail } from "./ai.js";
+import {
+  listMessageIds,
+  fetchEmail,
+  fetchLabelIds,
+  getMailboxHistoryId,
+  listHistoryChanges,
+  fetchThreadHistory,
+  threadStats,
+  fetchAttachmentData,
+  isNotFound
+} from "./gmail.js";
+import { categoriesFor } from "./categories.js";
+import { loadCorrections, similarCorrections } from "./corrections.js";
+import { knowledgeForEmail } from "./knowledge.js";
+import { slaFor, updateDueAt } from "./sla.js";
+import { reopenWaiting } from "./workflow.js";
+import { attachmentKind, attachmentLimits, extractAttachmentText, findFacts } from "./attachments.js";
+
+export const SUMMARY_THRESHOLD = 900; // chars: when to auto-summarize
+
+const isInboxUnread = (labelIds) => labelIds.includes("INBOX") && labelIds.includes("UNREAD");
+
+// Mirrors Gmail labels onto a stored email (e.g. read in Gmail -> isUnread=false)
+async function applyLabels({ storage, workspaceId, email, labelIds, progress }) {
+  const same =
+    labelIds.length === (email.labelIds || []).length && labelIds.every((l) => email.labelIds.includes(l));
+  if (same) return;
+
+  await storage.emails.update(workspaceId, email.id, {
+    labelIds,
+    isUnread: labelIds.includes("UNREAD"),
+    updatedAt: Date.now()
+  });
+  progress({ stage: "updated", gmailId: email.id });
+}
+
+// Earlier messages of the email's thread for the AI prompts (null when it is a fresh conversation).
+// A failure here must not block triage: the email is then handled on its own.
+async function loadThread({ oauth2Client, email }) {
+  if (!email.threadId) return null;
+  try {
+    const history = await fetchThreadHistory({ oauth2Client, threadId: email.threadId, gmailId: email.gmailId });
+    if (!history.length) return null;
+    return { history, stats: threadStats({ history, fromEmail: email.fromEmail }) };
+  } catch (err) {
+    console.warn("Could not load thread:", err?.message || err);
+    return null;
+  }
+}
+
+// Attachment metadata for storage, with the text of PDF/CSV/plain-text files (size-capped)
+// and the amounts/dates/invoice numbers found in it. Failures are recorded per attachment.
+async function readAttachments({ oauth2Client, email, limits }) {
+  const out = [];
+
+  for (const att of email.attachments || []) {
+    const { inlineData, ...meta } = att;
+    const kind = attachmentKind(att);
+
+    if (!kind) {
+      out.push(meta);
+    } else if (att.size > limits.maxBytes) {
+      out.push({ ...meta, textSkipped: `larger than ${limits.maxBytes} bytes` });
+    } else {
+      try {
+        const buffer = await fetchAttachmentData({ oauth2Client, gmailId: email.gmailId, attachment: att });
+        const text = await extractAttachmentText({ buffer, ...meta, maxChars: limits.maxChars });
+        out.push({ ...meta, text, facts: findFacts(text) });
+      } catch (err) {
+        out.push({ ...meta, textError: String(err?.message || err) });
+      }
+    }
+  }
+
+  return out;
+}
+
+// triageStoredEmail
+// Triage of one stored email outside a sync run (the live re-run streamed to the browser),
+// with the same context a sync gives it: thread, knowledge base, templates and past corrections.
+// Returns { triage, thread } so the caller can summarize with the same thread.
+export async function triageStoredEmail({ storage, env, workspace, audit, llm, oauth2Client, email, onToken, signal }) {
+  const thread = await loadThread({ oauth2Client, email: { ...email, gmailId: email.gmailId || email.id } });
+  const categories = categoriesFor(workspace);
+  const corrections = await loadCorrections({ storage, workspaceId: workspace.id, env });
+
+  const knowledge = await knowledgeForEmail({ storage, llm, workspaceId: workspace.id, email, env });
+  const templates = await storage.templates.list(workspace.id);
+
+  const triage = await audit.aiCall({ task: "triage", llm, target: email.id }, () =>
+    triageEmail({
+      email,
+      llm,
+      thread,
+      categories,
+      knowledge,
+      templates,
+      examples: similarCorrections({ corrections, email, categories, env }),
+      onToken,
+      signal,
+      timeoutMs: 60000,
+      maxChars: 1500
+    })
+  );
+  return { triage, thread };
+}
+
+// Stored unread emails whose triage failed earlier get another attempt on every sync
+async function failedTriageIds({ storage, workspaceId }) {
+  const unread = await storage.emails.list(workspaceId, { unreadOnly: true, limit: 200 });
+  return unread.filter((e) => e.ai?.error).map((e) => e.id);
+}
+
+// Incremental: only messages added or relabelled since the stored historyId.
+// At most maxResults emails per run: after a long gap the newest are processed first and the cursor
+// stays put (historyId null), so the next sync picks up the rest instead of one run triaging hundreds.
+async function planIncremental({ storage, workspaceId, oauth2Client, startHistoryId, maxResults, progress }) {
+  const { historyId, changes } = await listHistoryChanges({ oauth2Client, startHistoryId });
+
+  const ids = [];
+  for (const [gmailId, change] of changes) {
+    const existing = await storage.emails.get(workspaceId, gmailId);
+    if (existing) {
+      await applyLabels({ storage, workspaceId, email: existing, labelIds: change.labelIds, progress });
+    } else if (isInboxUnread(change.labelIds)) {
+      ids.push(gmailId);
+    }
+  }
+
+  // history is chronological; process newest first like the full listing does
+  ids.reverse();
+  const complete = ids.length <= maxResults;
+  for (const id of await failedTriageIds({ storage, workspaceId })) {
+    if (!ids.includes(id)) ids.push(id);
+  }
+
+  return { mode: "incremental", historyId: complete ? historyId : null, ids: ids.slice(0, maxResults) };
+}
+
+// Full: latest N unread inbox messages, plus a label check of everything stored as unread.
+async function planFull({ storage, workspaceId, oauth2Client, maxResults, progress }) {
+  // read the historyId first so nothing that arrives during the listing is missed next time
+  const historyId = await getMailboxHistoryId({ oauth2Client });
+
+  const ids = await listMessageIds({
+    oauth2Client,
+    maxResults,
+    labelIds: ["INBOX", "UNREAD"]
+  });
+
+  const storedUnread = await storage.emails.list(workspaceId, { unreadOnly: true, limit: 200 });
+  for (const email of storedUnread) {
+    if (ids.includes(email.id)) continue;
+
+    let labelIds;
+    try {
+      labelIds = await fetchLabelIds({ oauth2Client, gmailId: email.id });
+    } catch (err) {
+      // deleted in Gmail: nothing left to answer
+      if (!isNotFound(err)) throw err;
+      labelIds = [];
+    }
+    await applyLabels({ storage, workspaceId, email, labelIds, progress });
+  }
+
+  return { mode: "full", historyId, ids };
+}
+
+// runSync
+// Fetches new unread inbox messages, stores them and runs summary + triage on each.
+// Uses the stored Gmail historyId for an incremental sync when possible and
+// falls back to a full resync when there is none or it has expired.
+// Runs inside a sync job (see syncJobs.js): reports every step through progress()
+// and stops before the next email once signal is aborted. AI calls are recorded through audit (audit.js).
+export async function runSync({ storage, env, workspace, audit, llm, oauth2Client, maxResults, signal, progress }) {
+  const startHistoryId = (await storage.workspaces.get(workspace.id))?.gmailHistoryId || null;
+
+  let plan = null;
+  if (startHistoryId) {
+    try {
+      plan = await planIncremental({ storage, workspaceId: workspace.id, oauth2Client, startHistoryId, maxResults, progress });
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+    }
+  }
+  if (!plan) plan = await planFull({ storage, workspaceId: workspace.id, oauth2Client, maxResults, progress });
+
+  const { ids } = plan;
+  progress({ stage: "listed", total: ids.length, mode: plan.mode });
+
+  const templates = ids.length ? await storage.templates.list(workspace.id) : [];
+  const corrections = ids.length ? await loadCorrections({ storage, workspaceId: workspace.id, env }) : [];
+  const categories = categoriesFor(workspace);
+  const sla = slaFor(workspace, env);
+
+  for (const gmailId of ids) {
+    if (signal.aborted) return;
+
+    let e;
+    try {
+      e = await fetchEmail({ oauth2Client, gmailId });
+    } catch (err) {
+      // deleted between listing and fetching
+      if (!isNotFound(err)) throw err;
+      progress({ stage: "done", gmailId });
+      continue;
+    }
+    progress({ stage: "fetched", gmailId, subject: e.subject });
+
+    const existing = await storage.emails.get(workspace.id, e.gmailId);
+
+    if (!existing) {
+      await storage.emails.create(workspace.id, e.gmailId, {
+        ...e,
+        attachments: await readAttachments({ oauth2Client, email: e, limits: attachmentLimits(env) }),
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        ai: null,
+        aiSummary: null,
+        state: "NEW",
+        stateChangedAt: Date.now()
+      });
+      progress({ stage: "created", gmailId });
+
+      // the member answered: their case is no longer waiting on them
+      for (const id of await reopenWaiting({ storage, workspaceId: workspace.id, threadId: e.threadId, gmailId })) {
+        progress({ stage: "reopened", gmailId: id });
+      }
+    } else {
+      await storage.emails.update(workspace.id, e.gmailId, {
+        isUnread: e.isUnread,
+        labelIds: e.labelIds,
+        // Keep latest cleaned text in case Gmail formatting changed
+        cleanBodyText: e.cleanBodyText,
+        snippet: e.snippet,
+        updatedAt: Date.now()
+      });
+    }
+
+    const data = await storage.emails.get(workspace.id, e.gmailId);
+    // what the AI sees: fresh Gmail content + the attachment text read when the email was stored
+    const aiEmail = { ...e, attachments: data.attachments || [] };
+
+    const msg = (e.cleanBodyText || e.bodyText || e.snippet || "").trim();
+    const needsSummary = !data.aiSummary && msg.length > SUMMARY_THRESHOLD;
+    const needsTriage = !data.ai || !data.ai.reply_draft || data.ai.error;
+
+    // conversation context, only fetched when an AI call is coming
+    let thread = null;
+    if (!signal.aborted && (needsSummary || needsTriage)) {
+      thread = await loadThread({ oauth2Client, email: e });
+      await storage.emails.update(workspace.id, e.gmailId, { threadStats: thread?.stats || null });
+    }
+
+    // summary if long and not yet summarized
+    if (!signal.aborted && needsSummary) {
+      try {
+        const sum = await audit.aiCall({ task: "summary", llm, target: gmailId }, () =>
+          summarizeEmail({
+            email: aiEmail,
+            llm,
+            thread,
+            timeoutMs: 45000,
+            maxChars: 4000
+          })
+        );
+        await storage.emails.saveSummary(workspace.id, e.gmailId, { ...sum, createdAt: Date.now() });
+        progress({ stage: "summarized", gmailId });
+      } catch (err) {
+        await storage.emails.saveSummary(workspace.id, e.gmailId, {
+          title: "",
+          summary: "",
+          key_points: [],
+          error: String(err?.message || err),
+          createdAt: Date.now()
+        });
+        progress({ stage: "error", gmailId, step: "summary", message: String(err?.message || err) });
+      }
+    }
+
+    // triage only if missing
+    if (!signal.aborted && needsTriage) {
+      try {
+        const knowledge = await knowledgeForEmail({ storage, llm, workspaceId: workspace.id, email: e, env });
+        const triage = await audit.aiCall({ task: "triage", llm, target: gmailId }, () =>
+          triageEmail({
+            email: aiEmail,
+            llm,
+            thread,
+            categories,
+            knowledge,
+            templates,
+            examples: similarCorrections({ corrections, email: aiEmail, categories, env }),
+            timeoutMs: 60000,
+            maxChars: 1500
+          })
+        );
+
+        await storage.emails.saveTriage(workspace.id, e.gmailId, { ...triage, createdAt: Date.now() });
+        progress({ stage: "triaged", gmailId });
+      } catch (err) {
+        // No made-up classification: the email is flagged for staff (and triage is tried again next sync)
+        await storage.emails.saveTriage(workspace.id, e.gmailId, {
+          needsManualTriage: true,
+          error: String(err?.message || err),
+          createdAt: Date.now()
+        });
+        progress({ stage: "error", gmailId, step: "triage", message: String(err?.message || err) });
+      }
+      await updateDueAt({ storage, workspace, env, gmailId: e.gmailId, sla });
+    }
+
+    progress({ stage: "done", gmailId });
+  }
+
+  // Only move the cursor forward after a complete run, so a cancelled or capped sync resumes where it stopped
+  if (!signal.aborted) {
+    await storage.workspaces.update(workspace.id, { ...(plan.historyId ? { gmailHistoryId: plan.historyId } : {}), lastSyncAt: Date.now() });
+  }
+}
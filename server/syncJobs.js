@@ -0,0 +1,165 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+
+// Finished jobs stay queryable for a while so a reloaded browser can still read the result.
+const KEEP_FINISHED_MS = 60 * 60 * 1000;
+
+// makeSyncJobs
+// In-process registry of background sync jobs.
+// A job runs on the server regardless of whether any browser is still listening;
+// clients poll GET /api/sync/jobs/:id or subscribe to its SSE stream.
+export function makeSyncJobs() {
+  const jobs = new Map();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Public view of a job (no AbortController etc.)
+  function snapshot(job) {
+    return {
+      id: job.id,
+      workspaceId: job.workspaceId,
+      status: job.status, // running | completed | failed | cancelled
+      mode: job.mode, // incremental | full (known once the job has listed its messages)
+      cancelRequested: job.controller.signal.aborted,
+      total: job.total,
+      counts: { ...job.counts },
+      current: job.current,
+      errors: job.errors.slice(-20),
+      error: job.error,
+      errorCode: job.errorCode, // e.g. GMAIL_RECONNECT_REQUIRED (tokens.js)
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  function prune() {
+    const cutoff = Date.now() - KEEP_FINISHED_MS;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  }
+
+  // Applies one progress event from the runner to the job counters.
+  //   { stage: "listed", total, mode }
+  //   { stage: "updated", gmailId }   (labels / read state changed in Gmail)
+  //   { stage: "fetched" | "created" | "summarized" | "triaged", gmailId, subject? }
+  //   { stage: "reopened", gmailId }   (a waiting email of the thread went back to IN_PROGRESS)
+  //   { stage: "error", gmailId, step, message }
+  //   { stage: "done", gmailId }   (one email fully processed)
+  function applyProgress(job, event) {
+    const c = job.counts;
+    switch (event.stage) {
+      case "listed":
+        job.total = event.total;
+        job.mode = event.mode || null;
+        break;
+      case "updated":
+        c.updated++;
+        break;
+      case "fetched":
+        c.fetched++;
+        job.current = { gmailId: event.gmailId, subject: event.subject || "" };
+        break;
+      case "created":
+        c.created++;
+        break;
+      case "summarized":
+        c.summarized++;
+        break;
+      case "triaged":
+        c.triaged++;
+        break;
+      case "reopened":
+        c.reopened++;
+        break;
+      case "error":
+        c.aiErrors++;
+        job.errors.push({ gmailId: event.gmailId, step: event.step, message: event.message, at: Date.now() });
+        break;
+      case "done":
+        c.processed++;
+        job.current = null;
+        break;
+    }
+    job.updatedAt = Date.now();
+  }
+
+  function finish(job, status, error = null, errorCode = null) {
+    job.status = status;
+    job.error = error;
+    job.errorCode = errorCode;
+    job.current = null;
+    job.finishedAt = Date.now();
+    job.updatedAt = job.finishedAt;
+    emitter.emit(job.id, { type: "done", job: snapshot(job) });
+  }
+
+  return {
+    // start({ workspaceId, run }) -> { job, alreadyRunning }
+    // run({ signal, progress }) does the actual work; it should stop early when signal.aborted.
+    // Only one job per workspace runs at a time: a second start returns the running one.
+    start({ workspaceId, run }) {
+      prune();
+
+      const running = [...jobs.values()].find((j) => j.workspaceId === workspaceId && j.status === "running");
+      if (running) return { job: snapshot(running), alreadyRunning: true };
+
+      const job = {
+        id: crypto.randomUUID(),
+        workspaceId,
+        status: "running",
+        controller: new AbortController(),
+        mode: null,
+        total: null,
+        counts: { fetched: 0, created: 0, updated: 0, summarized: 0, triaged: 0, reopened: 0, aiErrors: 0, processed: 0 },
+        current: null,
+        errors: [],
+        error: null,
+        errorCode: null,
+        startedAt: Date.now(),
+        updatedAt: Date.now(),
+        finishedAt: null
+      };
+      jobs.set(job.id, job);
+
+      const progress = (event) => {
+        applyProgress(job, event);
+        emitter.emit(job.id, { type: "progress", event, job: snapshot(job) });
+      };
+
+      Promise.resolve()
+        .then(() => run({ signal: job.controller.signal, progress }))
+        .then(() => finish(job, job.controller.signal.aborted ? "cancelled" : "completed"))
+        .catch((err) => {
+          console.error("SYNC JOB ERROR ❌", err);
+          finish(job, "failed", String(err?.message || err), typeof err?.code === "string" ? err.code : null);
+        });
+
+      return { job: snapshot(job), alreadyRunning: false };
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    // Cancellation is cooperative: the runner stops before the next email.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === "running") {
+        job.controller.abort();
+        job.updatedAt = Date.now();
+        emitter.emit(job.id, { type: "progress", event: { stage: "cancelling" }, job: snapshot(job) });
+      }
+      return snapshot(job);
+    },
+
+    // Returns an unsubscribe function
+    subscribe(id, listener) {
+      emitter.on(id, listener);
+      return () => emitter.off(id, listener);
+    }
+  };
+}
@@ -0,0 +1,47 @@
+// Reply templates: named replies with {{placeholders}} that triage can pick and fill.
+// The model only chooses a template and returns the placeholder values; the text itself
+// is filled in here, so a template's wording reaches the member exactly as written.
+import { z } from "zod";
+
+const PLACEHOLDER = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/gi;
+
+// "Hi {{first_name}}, ... {{freeze_start}}" -> ["first_name", "freeze_start"]
+export function placeholdersOf(body) {
+  return Array.from(new Set([...String(body || "").matchAll(PLACEHOLDER)].map((m) => m[1].toLowerCase())));
+}
+
+// fillTemplate
+// Replaces {{name}} with values[name]. Placeholders without a value become "[name]"
+// so they stand out in the draft, and are returned in "missing".
+export function fillTemplate(body, values = {}) {
+  const missing = new Set();
+  const text = String(body || "").replace(PLACEHOLDER, (_, name) => {
+    const key = name.toLowerCase();
+    const value = values[key];
+    if (value == null || String(value).trim() === "") {
+      missing.add(key);
+      return `[${key}]`;
+    }
+    return String(value).trim();
+  });
+  return { text, missing: [...missing] };
+}
+
+const TemplateSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  description: z.string().trim().max(300).default(""),
+  // category names this template is meant for; empty = any category
+  categories: z.array(z.string().trim().min(1)).max(30).default([]),
+  body: z.string().trim().min(1).max(4000)
+});
+
+// parseTemplate
+// Validates a template from the API. Returns { template } or { error }.
+export function parseTemplate(input) {
+  const parsed = TemplateSchema.safeParse(input);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".") || "template"}: ${issue.message}` };
+  }
+  return { template: { ...parsed.data, placeholders: placeholdersOf(parsed.data.body) } };
+}
@@ -0,0 +1,71 @@
+// Token manager for the Gmail OAuth credentials stored on the user record
+// ("accessToken", "refreshToken", "tokenExpiry", set at login by auth.js).
+// The googleapis client refreshes the access token on its own; every refreshed token is written back,
+// so the next request starts from a valid token instead of refreshing again.
+// When Google refuses the refresh token (revoked access, expired grant, changed password) the user is marked
+// "gmailDisconnected" and Gmail calls fail with a GMAIL_RECONNECT_REQUIRED error until they log in with Google again.
+import { makeOAuthClient } from "./gmail.js";
+
+export const GMAIL_RECONNECT_REQUIRED = "GMAIL_RECONNECT_REQUIRED";
+
+export function gmailReconnectError(details = "Gmail access has expired or was revoked. Log in with Google again to reconnect.") {
+  return Object.assign(new Error(details), { code: GMAIL_RECONNECT_REQUIRED, status: 401 });
+}
+
+// invalid_grant from the token endpoint, or no refresh token to try at all
+export function isInvalidGrant(err) {
+  const data = err?.response?.data;
+  return data?.error === "invalid_grant" || err?.message === "invalid_grant" || err?.message === "No refresh token is set.";
+}
+
+// makeTokenManager
+// clientFor(user) -> OAuth2 client that persists refreshed tokens and turns invalid_grant into a reconnect error.
+export function makeTokenManager({ storage, env }) {
+  async function markDisconnected(user, err) {
+    console.warn(`Gmail disconnected for user ${user.id}:`, err?.response?.data?.error_description || err?.message || err);
+    await storage.users.update(user.id, {
+      gmailDisconnected: true,
+      gmailDisconnectedAt: Date.now(),
+      updatedAt: Date.now()
+    });
+  }
+
+  function clientFor(user) {
+    if (user.gmailDisconnected || !user.accessToken) throw gmailReconnectError();
+
+    const oauth2 = makeOAuthClient({
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+      redirectUri: env.GOOGLE_CALLBACK_URL,
+      tokens: {
+        access_token: user.accessToken,
+        refresh_token: user.refreshToken || undefined,
+        // known expiry: the client refreshes ahead of time instead of after a 401
+        expiry_date: user.tokenExpiry || undefined
+      }
+    });
+
+    // Google only sends a refresh_token again when it rotates it; keep the stored one otherwise
+    oauth2.on("tokens", (tokens) => {
+      const patch = { accessToken: tokens.access_token, tokenExpiry: tokens.expiry_date || null, updatedAt: Date.now() };
+      if (tokens.refresh_token) patch.refreshToken = tokens.refresh_token;
+      storage.users.update(user.id, patch).catch((err) => console.error("Could not save refreshed Gmail tokens:", err?.message || err));
+    });
+
+    // every googleapis call goes through request(); a refused refresh surfaces here
+    const request = oauth2.request.bind(oauth2);
+    oauth2.request = async (opts) => {
+      try {
+        return await request(opts);
+      } catch (err) {
+        if (!isInvalidGrant(err)) throw err;
+        await markDisconnected(user, err);
+        throw gmailReconnectError();
+      }
+    };
+
+    return oauth2;
+  }
+
+  return { clientFor };
+}
@@ -0,0 +1,60 @@
+// Case workflow of an email: NEW -> IN_PROGRESS -> WAITING_ON_MEMBER -> RESOLVED.
+// The current state is stored on the email ("state", "stateChangedAt", "resolvedAt") together with
+// the list of transitions ("stateHistory"). Emails stored before states existed count as NEW.
+
+export const STATES = ["NEW", "IN_PROGRESS", "WAITING_ON_MEMBER", "RESOLVED"];
+
+// Allowed moves; RESOLVED and WAITING_ON_MEMBER can be reopened
+const TRANSITIONS = {
+  NEW: ["IN_PROGRESS", "WAITING_ON_MEMBER", "RESOLVED"],
+  IN_PROGRESS: ["NEW", "WAITING_ON_MEMBER", "RESOLVED"],
+  WAITING_ON_MEMBER: ["IN_PROGRESS", "RESOLVED"],
+  RESOLVED: ["IN_PROGRESS"]
+};
+
+const MAX_HISTORY = 50;
+
+export function emailState(email) {
+  return STATES.includes(email?.state) ? email.state : "NEW";
+}
+
+export function allowedTransitions(email) {
+  return TRANSITIONS[emailState(email)];
+}
+
+// transition
+// The storage patch that moves an email to another state, or { error } when the move is not allowed.
+// by is the staff member's email (null for automatic moves), reason a short note for the history.
+export function transition(email, to, { by = null, reason = null } = {}) {
+  const from = emailState(email);
+  if (!STATES.includes(to)) return { error: `Unknown state ${to}. Expected one of ${STATES.join(", ")}` };
+  if (!TRANSITIONS[from].includes(to)) return { error: `Cannot move from ${from} to ${to}` };
+
+  const at = Date.now();
+  const entry = { from, to, at, by, reason };
+  return {
+    patch: {
+      state: to,
+      stateChangedAt: at,
+      resolvedAt: to === "RESOLVED" ? at : null,
+      stateHistory: [...(email.stateHistory || []), entry].slice(-MAX_HISTORY),
+      updatedAt: at
+    }
+  };
+}
+
+// reopenWaiting
+// A member reply arrived in a thread: emails of that thread waiting on the member go back to IN_PROGRESS.
+// Returns the ids of the reopened emails.
+export async function reopenWaiting({ storage, workspaceId, threadId, gmailId }) {
+  if (!threadId) return [];
+  const reopened = [];
+
+  for (const email of await storage.emails.listByThread(workspaceId, threadId)) {
+    if (email.id === gmailId || emailState(email) !== "WAITING_ON_MEMBER") continue;
+    const { patch } = transition(email, "IN_PROGRESS", { reason: "Member replied" });
+    await storage.emails.update(workspaceId, email.id, patch);
+    reopened.push(email.id);
+  }
+  return reopened;
+}
@@ -0,0 +1,130 @@
+// Workspaces: one connected Gmail mailbox shared by several staff accounts.
+// Emails, knowledge base, templates, corrections and the category / SLA settings belong to the workspace;
+// the Gmail tokens are the owner's. Staff join through an invitation by email address and get a role:
+//   owner    - connected the mailbox; everything, cannot be removed
+//   admin    - settings, templates, knowledge base, members, deleting emails
+//   agent    - works the inbox: sync, triage, drafts, replies, states, assignment
+//   readonly - sees everything, changes nothing
+import { z } from "zod";
+
+export const ROLES = ["owner", "admin", "agent", "readonly"];
+export const INVITE_ROLES = ["admin", "agent", "readonly"];
+
+// hasRole("admin", "agent") -> true: admin includes everything an agent may do
+export function hasRole(role, min) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank <= ROLES.indexOf(min);
+}
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// parseInvite
+// { email, role } from the API -> { invite } or { error }
+export function parseInvite(input) {
+  const parsed = z
+    .object({
+      email: z.string().trim().toLowerCase().email(),
+      role: z.enum(INVITE_ROLES).default("agent")
+    })
+    .safeParse(input || {});
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    return { error: `${issue.path.join(".") || "invite"}: ${issue.message}` };
+  }
+  return { invite: parsed.data };
+}
+
+export function parseRole(input) {
+  const parsed = z.enum(INVITE_ROLES).safeParse(input);
+  return parsed.success ? { role: parsed.data } : { error: `role: expected one of ${INVITE_ROLES.join(", ")}` };
+}
+
+const memberRecord = (user, role) => ({
+  userId: user.id,
+  email: user.email || null,
+  displayName: user.displayName || null,
+  role,
+  joinedAt: Date.now()
+});
+
+// Personal workspace of a user who had none yet. The data stored under "users/{id}" before
+// workspaces existed moves into it, together with the user's category / SLA settings and sync cursor.
+// Its id is the user's id, so two requests running this at once (two open tabs) end up with
+// the same workspace and the same moved records instead of one copy each.
+async function createPersonalWorkspace({ storage, user }) {
+  const id = user.id;
+  if (!(await storage.workspaces.get(id))) {
+    await storage.workspaces.set(id, {
+      name: user.displayName || user.email || "My inbox",
+      ownerId: user.id,
+      categories: user.categories || null,
+      sla: user.sla || null,
+      gmailHistoryId: user.gmailHistoryId || null,
+      lastSyncAt: user.lastSyncAt || null,
+      createdAt: Date.now()
+    });
+  }
+  await storage.workspaces.setMember(id, user.id, memberRecord(user, "owner"));
+
+  const moved = await storage.workspaces.adoptUserData(user.id, id);
+  const total = Object.values(moved).reduce((sum, n) => sum + n, 0);
+  if (total) console.log(`Moved ${total} records of user ${user.id} into workspace ${id}`, moved);
+  return id;
+}
+
+// ensureWorkspace
+// Called when a user signs in: makes sure they have a workspace and accepts pending invitations.
+// The newest accepted invitation becomes the active workspace. Returns the active workspace id.
+export async function ensureWorkspace({ storage, user }) {
+  const fresh = (await storage.users.get(user.id)) || user;
+  let workspaceIds = [...(fresh.workspaceIds || [])];
+  let active = workspaceIds.includes(fresh.workspaceId) ? fresh.workspaceId : workspaceIds[0] || null;
+
+  if (!workspaceIds.length) {
+    active = await createPersonalWorkspace({ storage, user: fresh });
+    workspaceIds = [active];
+  }
+
+  const email = normalizeEmail(fresh.email);
+  const invites = email ? await storage.invites.listByEmail(email) : [];
+  invites.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  for (const invite of invites) {
+    const workspace = await storage.workspaces.get(invite.workspaceId);
+    if (workspace && !(await storage.workspaces.getMember(workspace.id, fresh.id))) {
+      await storage.workspaces.setMember(workspace.id, fresh.id, memberRecord(fresh, invite.role));
+    }
+    if (workspace && !workspaceIds.includes(workspace.id)) workspaceIds.push(workspace.id);
+    if (workspace) active = workspace.id;
+    await storage.invites.delete(invite.workspaceId, invite.email);
+  }
+
+  if (active !== fresh.workspaceId || workspaceIds.length !== (fresh.workspaceIds || []).length) {
+    await storage.users.update(fresh.id, { workspaceId: active, workspaceIds, updatedAt: Date.now() });
+  }
+  return active;
+}
+
+// Workspaces a user belongs to, with their role in each (for the workspace switcher)
+export async function listUserWorkspaces({ storage, user }) {
+  const out = [];
+  for (const id of user.workspaceIds || []) {
+    const [workspace, member] = await Promise.all([storage.workspaces.get(id), storage.workspaces.getMember(id, user.id)]);
+    if (workspace && member) out.push({ id, name: workspace.name, role: member.role });
+  }
+  return out;
+}
+
+// removeMember
+// Takes a user out of a workspace. If it was their active workspace they fall back to another one
+// (or get a new personal workspace on their next request).
+export async function removeMember({ storage, workspaceId, userId }) {
+  await storage.workspaces.removeMember(workspaceId, userId);
+
+  const user = await storage.users.get(userId);
+  if (!user) return;
+  const workspaceIds = (user.workspaceIds || []).filter((id) => id !== workspaceId);
+  const active = user.workspaceId === workspaceId ? workspaceIds[0] || null : user.workspaceId;
+  await storage.users.update(userId, { workspaceIds, workspaceId: active, updatedAt: Date.now() });
+}